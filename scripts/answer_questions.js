@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+// Unanswered screening questions
+// Goes through the questions collected in Logs/unanswered_questions.json, asks for an answer to
+// each one and merges the answers into the answer bank (answerBankPath in dice.config.json), so
+// later runs can get past those steps. Answers typed into the JSON file by hand ("answer": "...")
+// are merged as well.
+//
+// Examples:
+//   npm run answer-questions
+//   npm run answer-questions -- --list
+//   npm run answer-questions -- --no-prompt      (merge hand-written answers only)
+const path = require("path");
+const readline = require("readline");
+const { loadConfig } = require("../utils/config");
+const { UnansweredQuestions } = require("../utils/unanswered_questions");
+const {
+  mergeIntoAnswerBank,
+  fitAnswer,
+} = require("../utils/screening_answers");
+
+function printEntry(entry, position, total) {
+  const lastJob = entry.jobs[entry.jobs.length - 1];
+  console.log(
+    `\n❓ [${position}/${total}] ${entry.question}${
+      entry.required ? " (required)" : ""
+    }`
+  );
+  console.log(
+    `   ${entry.type} field, seen ${entry.count} time(s)${
+      lastJob
+        ? `, last at ${lastJob.companyName || "Unknown Company"} (${
+            lastJob.jobUrl
+          })`
+        : ""
+    }`
+  );
+  entry.options.forEach((option, index) =>
+    console.log(`   ${index + 1}. ${option}`)
+  );
+}
+
+// Option numbers ("2" or "1,3") stand for the option labels
+function toAnswer(input, entry) {
+  if (entry.options.length > 0 && /^\d+(\s*,\s*\d+)*$/.test(input)) {
+    const labels = input
+      .split(",")
+      .map((number) => entry.options[Number(number) - 1]);
+    if (labels.every(Boolean)) return labels.join(", ");
+  }
+  return input;
+}
+
+async function promptAnswers(store) {
+  const entries = store.list().filter((entry) => !entry.answer);
+  if (entries.length === 0) return;
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+  // The iterator buffers piped input, and a closed stdin ends the prompts instead of hanging
+  const lines = rl[Symbol.asyncIterator]();
+  const ask = async (question) => {
+    process.stdout.write(question);
+    const { value, done } = await lines.next();
+    return done ? "q" : value;
+  };
+
+  try {
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+      printEntry(entry, i + 1, entries.length);
+      const input = (
+        await ask(
+          `   Answer${
+            entry.options.length ? " (option number or text)" : ""
+          }, Enter to skip, q to quit: `
+        )
+      ).trim();
+      if (input.toLowerCase() === "q") break;
+      if (!input) continue;
+      const answer = toAnswer(input, entry);
+      if (!fitAnswer(answer, entry)) {
+        console.log("   ⚠️ That answer fits none of the options, skipped.");
+        continue;
+      }
+      store.setAnswer(entry.key, answer);
+    }
+  } finally {
+    rl.close();
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const config = loadConfig();
+  const store = new UnansweredQuestions().load();
+  const total = store.list().length;
+  console.log(
+    `📋 ${total} unanswered screening question(s) in ${path.basename(
+      store.filepath
+    )}`
+  );
+  if (total === 0) return;
+
+  if (args.includes("--list")) {
+    store.list().forEach((entry, index) => printEntry(entry, index + 1, total));
+    return;
+  }
+  if (!args.includes("--no-prompt")) await promptAnswers(store);
+
+  const answered = store
+    .load()
+    .list()
+    .filter((entry) => String(entry.answer || "").trim());
+  if (answered.length === 0) {
+    console.log("ℹ️ No answers to merge.");
+    return;
+  }
+  const { added, updated } = mergeIntoAnswerBank(
+    config.answerBankPath,
+    answered.map((entry) => ({
+      question: entry.question,
+      answer: String(entry.answer).trim(),
+    }))
+  );
+  store.remove(answered.map((entry) => entry.key));
+  console.log(
+    `✅ Merged ${added} new and ${updated} updated answer(s) into ${path.basename(
+      config.answerBankPath
+    )}; ${store.list().length} question(s) still unanswered`
+  );
+}
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+// Approval queue review server
+// Serves the review page for Logs/approval_queue.json on localhost so borderline jobs can be
+// approved or rejected in bulk. Approved jobs are applied to by `npm run apply-approved`.
+//
+// Examples:
+//   npm run review
+//   npm run review -- --port 5000
+const http = require("http");
+const { ApprovalQueue } = require("../utils/approval_queue");
+const { buildReviewPage } = require("../utils/review_page");
+
+const DEFAULT_PORT = 4173;
+const MAX_BODY_BYTES = 1024 * 1024;
+
+function parsePort(argv) {
+  const index = argv.indexOf("--port");
+  const raw =
+    index !== -1 ? argv[index + 1] : process.env.DICE_REVIEW_PORT || "";
+  if (!raw) return DEFAULT_PORT;
+  const port = Number(raw);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    console.error(`❌ Invalid port "${raw}"`);
+    process.exit(1);
+  }
+  return port;
+}
+
+function sendJson(response, statusCode, body) {
+  response.writeHead(statusCode, { "Content-Type": "application/json" });
+  response.end(JSON.stringify(body));
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    request.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new Error("Request body too large"));
+        request.destroy();
+      }
+    });
+    request.on("end", () => resolve(body));
+    request.on("error", reject);
+  });
+}
+
+// Only a page served by this server may talk to it. The Host check stops DNS rebinding (a
+// remote name pointed at 127.0.0.1), the Origin check stops other sites posting decisions.
+function checkSameOrigin(request, port) {
+  const allowedHosts = [`127.0.0.1:${port}`, `localhost:${port}`];
+  const host = String(request.headers.host || "").toLowerCase();
+  if (!allowedHosts.includes(host)) {
+    return { success: false, reason: `Host "${host}" is not allowed` };
+  }
+  const origin = request.headers.origin;
+  if (
+    origin !== undefined &&
+    !allowedHosts.some(
+      (allowed) => origin.toLowerCase() === `http://${allowed}`
+    )
+  ) {
+    return { success: false, reason: `Origin "${origin}" is not allowed` };
+  }
+  return { success: true };
+}
+
+async function handleRequest(request, response, port) {
+  const sameOrigin = checkSameOrigin(request, port);
+  if (!sameOrigin.success) {
+    sendJson(response, 403, sameOrigin);
+    return;
+  }
+
+  // Re-read the queue on every request so a bot run in parallel never gets overwritten
+  const queue = new ApprovalQueue().load();
+
+  if (request.method === "GET" && request.url === "/") {
+    response.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+    response.end(buildReviewPage(queue.list()));
+    return;
+  }
+  if (request.method === "GET" && request.url === "/api/queue") {
+    sendJson(response, 200, { entries: queue.list() });
+    return;
+  }
+  if (request.method === "POST" && request.url === "/api/decisions") {
+    // A cross-site form can only send form or text bodies without a preflight
+    const contentType = String(request.headers["content-type"] || "");
+    if (contentType.split(";")[0].trim().toLowerCase() !== "application/json") {
+      sendJson(response, 415, {
+        success: false,
+        reason: "Content-Type must be application/json",
+      });
+      return;
+    }
+    let payload;
+    try {
+      payload = JSON.parse(await readBody(request));
+    } catch (error) {
+      sendJson(response, 400, { success: false, reason: error.message });
+      return;
+    }
+    if (!payload || !Array.isArray(payload.keys)) {
+      sendJson(response, 400, {
+        success: false,
+        reason: '"keys" must be an array',
+      });
+      return;
+    }
+    const result = queue.decide(payload.keys, payload.decision);
+    if (result.success) {
+      console.log(`🗳️ Marked ${result.updated} job(s) as ${payload.decision}`);
+    }
+    sendJson(response, result.success ? 200 : 400, result);
+    return;
+  }
+  sendJson(response, 404, { success: false, reason: "Not found" });
+}
+
+const port = parsePort(process.argv.slice(2));
+const server = http.createServer((request, response) => {
+  handleRequest(request, response, port).catch((error) => {
+    console.error(`❌ Review server error: ${error.message}`);
+    sendJson(response, 500, { success: false, reason: error.message });
+  });
+});
+
+// Bound to localhost only: the page can change what is applied to under your name
+server.listen(port, "127.0.0.1", () => {
+  const queue = new ApprovalQueue().load();
+  console.log(
+    `🗳️ Approval queue: ${queue.list("pending").length} pending, ${
+      queue.list("approved").length
+    } approved`
+  );
+  console.log(`🌐 Review page: http://localhost:${port} (Ctrl+C to stop)`);
+});
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+// Command-line entry point
+// Playwright's CLI does not accept custom flags, so this wrapper turns run options into the
+// DICE_* environment variables read by utils/config.js and then starts `playwright test`.
+// Any argument it does not recognise (e.g. --headed) is passed through to Playwright.
+//
+// Examples:
+//   npm run dice -- --profile all-postings --max-pages 2
+//   npm run dice -- --search "Playwright,SDET" --headed
+//   npm run dice -- --spec tests/new_easy.spec.js --fresh-start
+//   npm run dice -- --dry-run --max-pages 1
+const { spawn } = require("child_process");
+const path = require("path");
+const { CONFIG_SCHEMA } = require("../utils/config");
+
+const DEFAULT_SPEC = "tests/dice_easy.spec.js";
+
+// Flags that take a value and map straight to an environment variable
+const VALUE_FLAGS = {
+  "--profile": "DICE_PROFILE",
+  "--config": "DICE_CONFIG",
+};
+// Boolean settings may also be given without a value, e.g. `--dry-run`
+const OPTIONAL_VALUE_FLAGS = new Set();
+for (const rule of Object.values(CONFIG_SCHEMA)) {
+  VALUE_FLAGS[rule.flag] = rule.env;
+  if (rule.type === "boolean") OPTIONAL_VALUE_FLAGS.add(rule.flag);
+}
+
+// Boolean switches
+const SWITCH_FLAGS = {
+  "--fresh-start": "DICE_FRESH_START",
+  "--ignore-history": "DICE_IGNORE_HISTORY",
+};
+
+function printHelp() {
+  console.log("Usage: npm run dice -- [options] [playwright options]\n");
+  console.log("Options:");
+  console.log(
+    `  --spec <file>                  Spec to run (default ${DEFAULT_SPEC})`
+  );
+  console.log("  --profile <name>               Profile from dice.config.json");
+  console.log("  --config <file>                Use another config file");
+  for (const rule of Object.values(CONFIG_SCHEMA)) {
+    const usage =
+      rule.type === "boolean"
+        ? `${rule.flag} [true|false]`
+        : `${rule.flag} <value>`;
+    console.log(`  ${usage.padEnd(30)} ${rule.description}`);
+  }
+  console.log(
+    "  --fresh-start                  Ignore the saved checkpoint and start over"
+  );
+  console.log(
+    "  --ignore-history               Re-process jobs seen in previous runs"
+  );
+  console.log("  -h, --help                     Show this help");
+}
+
+function parseArgs(argv) {
+  const env = {};
+  const passthrough = [];
+  let spec = DEFAULT_SPEC;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [flag, inlineValue] = arg.startsWith("--")
+      ? arg.split(/=(.*)/s, 2)
+      : [arg, undefined];
+
+    if (flag === "-h" || flag === "--help") {
+      printHelp();
+      process.exit(0);
+    } else if (
+      OPTIONAL_VALUE_FLAGS.has(flag) &&
+      inlineValue === undefined &&
+      !/^(true|false|1|0|yes|no)$/i.test(argv[i + 1] || "")
+    ) {
+      env[VALUE_FLAGS[flag]] = "true";
+    } else if (flag === "--spec" || VALUE_FLAGS[flag]) {
+      const value = inlineValue !== undefined ? inlineValue : argv[++i];
+      if (value === undefined) {
+        console.error(`❌ Missing value for ${flag}`);
+        process.exit(1);
+      }
+      if (flag === "--spec") spec = value;
+      else env[VALUE_FLAGS[flag]] = value;
+    } else if (SWITCH_FLAGS[flag]) {
+      env[SWITCH_FLAGS[flag]] = "true";
+    } else {
+      passthrough.push(arg);
+    }
+  }
+  return { env, spec, passthrough };
+}
+
+const { env, spec, passthrough } = parseArgs(process.argv.slice(2));
+for (const [name, value] of Object.entries(env)) {
+  console.log(`⚙️ ${name}=${value}`);
+}
+
+const child = spawn(
+  process.platform === "win32" ? "npx.cmd" : "npx",
+  ["playwright", "test", spec, ...passthrough],
+  {
+    cwd: path.join(__dirname, ".."),
+    env: { ...process.env, ...env },
+    stdio: "inherit",
+  }
+);
+child.on("exit", (code) => process.exit(code === null ? 1 : code));
@@ -0,0 +1,7 @@
+// Dice Job Application Automation Script - jobs approved on the review page
+// Applies to the approved entries of Logs/approval_queue.json (see `npm run review`).
+// Run it with `npm run apply-approved`; `--dry-run` only logs what would be applied to.
+const { test } = require("@playwright/test");
+const { registerApprovedRun } = require("../utils/approved_run");
+
+registerApprovedRun(test, { defaultProfile: "easy-apply" });
@@ -0,0 +1,131 @@
+// Unit tests for utils/application_history.js (no browser needed)
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test, expect } = require("@playwright/test");
+const { ApplicationHistory } = require("../../utils/application_history");
+
+const JOB_URL =
+  "https://www.dice.com/job-detail/0b6f3a52-1c1d-4a8e-9f0e-2a7c5d9e4b11";
+const KEY = "id:0b6f3a52-1c1d-4a8e-9f0e-2a7c5d9e4b11";
+
+function writeHistory(records) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "history-"));
+  const filepath = path.join(dir, "application_history.jsonl");
+  fs.writeFileSync(
+    filepath,
+    records.map((record) => JSON.stringify(record)).join("\n") + "\n"
+  );
+  return filepath;
+}
+
+test.describe("ApplicationHistory.load", () => {
+  test("re-categorizes records from their status", () => {
+    // Written before categories were matched on the leading words only
+    const filepath = writeHistory([
+      {
+        key: KEY,
+        jobPageUrl: JOB_URL,
+        status:
+          'Skipped - Rule "no-science" (title contains "Applied Scientist")',
+        category: "success",
+        loggedAt: new Date().toISOString(),
+      },
+    ]);
+    const history = new ApplicationHistory(filepath).load();
+
+    expect(history.find(JOB_URL).category).toBe("skipped");
+    expect(history.findFinal(JOB_URL)).toBeNull();
+    expect(history.applicationsSince(new Date(0))).toHaveLength(0);
+  });
+
+  test("keeps a final record over a later retryable one", () => {
+    const filepath = writeHistory([
+      {
+        key: KEY,
+        jobPageUrl: JOB_URL,
+        status: "Success - Applied",
+        category: "success",
+      },
+      {
+        key: KEY,
+        jobPageUrl: JOB_URL,
+        status: "Failed - No Apply button found",
+        category: "failed",
+      },
+    ]);
+    const history = new ApplicationHistory(filepath).load();
+
+    expect(history.findFinal(JOB_URL).status).toBe("Success - Applied");
+  });
+
+  test("retries failed and skipped jobs", () => {
+    const filepath = writeHistory([
+      {
+        key: KEY,
+        jobPageUrl: JOB_URL,
+        status: "Failed - No Apply button found",
+        category: "failed",
+      },
+    ]);
+    const history = new ApplicationHistory(filepath).load();
+
+    expect(history.find(JOB_URL).category).toBe("failed");
+    expect(history.findFinal(JOB_URL)).toBeNull();
+  });
+
+  test("treats only an LLM NO_MATCH as final", () => {
+    const rejected = (verdictSource) =>
+      new ApplicationHistory(
+        writeHistory([
+          {
+            key: KEY,
+            jobPageUrl: JOB_URL,
+            status: "Skipped (LLM NO_MATCH)",
+            category: "skipped",
+            llmMatchScore: "NO_MATCH",
+            verdictSource,
+          },
+        ])
+      ).load();
+
+    expect(rejected("llm").findFinal(JOB_URL)).not.toBeNull();
+    expect(rejected("offline").findFinal(JOB_URL)).toBeNull();
+  });
+
+  test("skips a corrupt line", () => {
+    const filepath = writeHistory([
+      { key: KEY, jobPageUrl: JOB_URL, status: "Already Applied" },
+    ]);
+    fs.appendFileSync(filepath, '{"key": "id:half-written');
+    const history = new ApplicationHistory(filepath).load();
+
+    expect(history.entries.size).toBe(1);
+  });
+});
+
+test.describe("ApplicationHistory.applicationsSince", () => {
+  test("returns the submissions made since a point in time", () => {
+    const daysAgo = (days) =>
+      new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    const job = (id, status, category, days) => ({
+      key: `id:job-${id}`,
+      jobPageUrl: `https://www.dice.com/job-detail/job-${id}`,
+      status,
+      category,
+      recordedAt: daysAgo(days),
+    });
+    const filepath = writeHistory([
+      job(1, "Success - Applied", "success", 0),
+      job(2, "Submitted (Unverified)", "unverified", 0),
+      job(3, "Already Applied", "already_applied", 0),
+      job(4, "Success - Applied", "success", 10),
+    ]);
+    const history = new ApplicationHistory(filepath).load();
+
+    const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    expect(
+      history.applicationsSince(since).map((record) => record.key)
+    ).toEqual(["id:job-1", "id:job-2"]);
+  });
+});
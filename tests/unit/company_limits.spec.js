@@ -0,0 +1,87 @@
+// Unit tests for utils/company_limits.js (no browser needed)
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test, expect } = require("@playwright/test");
+const {
+  CompanyLimits,
+  parseCompanyLimitOverrides,
+} = require("../../utils/company_limits");
+const { ApplicationHistory } = require("../../utils/application_history");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A loaded history with one record per [company, days ago, status, category]
+function historyOf(applications) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "history-"));
+  const filepath = path.join(dir, "application_history.jsonl");
+  const lines = applications.map(
+    ([companyName, daysAgo, status, category], index) =>
+      JSON.stringify({
+        key: `id:job-${index}`,
+        companyName,
+        status,
+        category,
+        recordedAt: new Date(Date.now() - daysAgo * DAY_MS).toISOString(),
+      })
+  );
+  fs.writeFileSync(filepath, lines.join("\n") + "\n");
+  return new ApplicationHistory(filepath).load();
+}
+
+test.describe("parseCompanyLimitOverrides", () => {
+  test("keys the limits by normalized company name", () => {
+    expect(
+      parseCompanyLimitOverrides(["Robert Half, Inc.=1", "Acme = 0", "=2"])
+    ).toEqual(
+      new Map([
+        ["robert half", 1],
+        ["acme", 0],
+      ])
+    );
+  });
+});
+
+test.describe("CompanyLimits", () => {
+  test("counts the history's submissions inside the window", () => {
+    const history = historyOf([
+      ["Acme, Inc.", 1, "Success - Applied", "success"],
+      ["ACME LLC", 2, "Submitted (Unverified)", "unverified"],
+      ["Acme", 3, "Already Applied", "already_applied"],
+      ["Acme", 10, "Success - Applied", "success"],
+      // Stored as a success before categories were matched on the leading words
+      ["Acme", 1, 'Skipped - Rule "x" (title contains "Applied")', "success"],
+    ]);
+    const limits = new CompanyLimits({ limit: 3, days: 7, history });
+    expect(limits.check("Acme")).toBeNull();
+    limits.count("Acme Corp.");
+    expect(limits.check("acme")).toEqual({
+      limit: 3,
+      applications: 3,
+      reason: "3 in the last 7 days, limit 3",
+    });
+  });
+
+  test("applies the overrides, 0 meaning no limit", () => {
+    const limits = new CompanyLimits({
+      limit: 1,
+      days: 7,
+      overrides: ["Robert Half=2", "Acme=0"],
+    });
+    for (const company of ["Robert Half", "Acme", "Globex"]) {
+      limits.count(company);
+    }
+    expect(limits.check("Robert Half")).toBeNull();
+    expect(limits.check("Acme")).toBeNull();
+    expect(limits.check("Globex").limit).toBe(1);
+  });
+
+  test("never limits an unknown company or a limit of 0", () => {
+    const limits = new CompanyLimits({ limit: 0, days: 7 });
+    limits.count("Acme");
+    limits.count("Unknown Company");
+    expect(limits.check("Acme")).toBeNull();
+    expect(limits.check("Unknown Company")).toBeNull();
+    expect(limits.describe()).toBe("no limit per company, 0 override(s)");
+  });
+});
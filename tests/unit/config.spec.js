@@ -0,0 +1,167 @@
+// Unit tests for utils/config.js (no browser needed)
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test, expect } = require("@playwright/test");
+const {
+  CONFIG_SCHEMA,
+  DEFAULT_CONFIG_PATH,
+  loadConfig,
+  validateConfig,
+} = require("../../utils/config");
+
+// A copy of dice.config.json, so a personal dice.config.local.json is not merged in
+function copyConfig(edit = (config) => config) {
+  const config = JSON.parse(fs.readFileSync(DEFAULT_CONFIG_PATH, "utf-8"));
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "dice-config-"));
+  const filepath = path.join(dir, "dice.config.json");
+  fs.writeFileSync(filepath, JSON.stringify(edit(config), null, 2));
+  return filepath;
+}
+
+// Sets DICE_* variables for one test, restoring the previous values afterwards
+function withEnv(variables, callback) {
+  const previous = {};
+  for (const [name, value] of Object.entries(variables)) {
+    previous[name] = process.env[name];
+    process.env[name] = value;
+  }
+  try {
+    return callback();
+  } finally {
+    for (const [name, value] of Object.entries(previous)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  }
+}
+
+// Problems validateConfig reports for a partial config, one case per schema type
+const INVALID_VALUES = [
+  [{ searchItems: [] }, '"searchItems" needs at least 1 item(s)'],
+  [{ searchItems: ["QA", " "] }, '"searchItems" must be an array'],
+  [
+    { acceptedTaxTerms: ["W2", "W4"] },
+    '"acceptedTaxTerms" items must be among',
+  ],
+  [
+    { companyLimitOverrides: ["Robert Half"] },
+    '"companyLimitOverrides" items must look like "Company=limit"',
+  ],
+  [{ maxPages: 1.5 }, '"maxPages" must be an integer'],
+  [{ maxPages: 0 }, '"maxPages" must be >= 1'],
+  [{ llmScoreThreshold: 101 }, '"llmScoreThreshold" must be <= 100'],
+  [
+    { searchUrlTemplate: "https://www.dice.com/jobs" },
+    '"searchUrlTemplate" must contain "{query}"',
+  ],
+  [{ cvPath: "" }, '"cvPath" must be a non-empty string'],
+  [{ searchMode: "everything" }, '"searchMode" must be one of'],
+  [{ llmEnabled: "yes" }, '"llmEnabled" must be true or false'],
+  [{ maxPage: 2 }, 'unknown key "maxPage"'],
+];
+
+test.describe("validateConfig", () => {
+  test("accepts the committed defaults", () => {
+    const { defaults } = JSON.parse(
+      fs.readFileSync(DEFAULT_CONFIG_PATH, "utf-8")
+    );
+    expect(validateConfig(defaults, "defaults")).toEqual([]);
+  });
+
+  test("accepts Company=limit overrides", () => {
+    const config = { companyLimitOverrides: ["Robert Half=1", "Acme = 0"] };
+    expect(validateConfig(config, "profile", true)).toEqual([]);
+  });
+
+  test("requires every non-optional key of a resolved config", () => {
+    const errors = validateConfig({}, "resolved config");
+    expect(errors).toContain('resolved config: "searchItems" is required');
+    expect(errors.join("\n")).not.toContain('"searchUrlTemplate"');
+  });
+
+  for (const [config, problem] of INVALID_VALUES) {
+    test(`rejects ${JSON.stringify(config)}`, () => {
+      const errors = validateConfig(config, "profile", true);
+      expect(errors).toHaveLength(1);
+      expect(errors[0]).toContain(problem);
+    });
+  }
+
+  test("declares an env var for every key", () => {
+    for (const [key, rule] of Object.entries(CONFIG_SCHEMA)) {
+      expect(rule.env, key).toMatch(/^DICE_[A-Z_]+$/);
+    }
+  });
+});
+
+test.describe("loadConfig", () => {
+  test("resolves a profile over the defaults", () => {
+    const config = withEnv({ DICE_PROFILE: "" }, () =>
+      loadConfig({ defaultProfile: "all-postings", configPath: copyConfig() })
+    );
+    expect(config.profile).toBe("all-postings");
+    expect(config.searchItems).toContain("Manual Tester");
+    expect(config.searchMode).toBe("all-postings");
+    expect(config.requireEasyApply).toBe(false);
+    expect(config.searchUrlTemplate).toBe(
+      "https://www.dice.com/jobs?&q={query}"
+    );
+    expect(config.llmMatchModels).toEqual(config.llmModels);
+    expect(path.isAbsolute(config.cvPath)).toBe(true);
+  });
+
+  test("applies DICE_* environment overrides by schema type", () => {
+    const config = withEnv(
+      {
+        DICE_PROFILE: "",
+        DICE_SEARCH_ITEMS: "Playwright, SDET,",
+        DICE_MAX_PAGES: "4",
+        DICE_LLM_ENABLED: "no",
+        DICE_COMPANY_LIMIT_OVERRIDES: "Robert Half=1,Acme=0",
+      },
+      () =>
+        loadConfig({ defaultProfile: "easy-apply", configPath: copyConfig() })
+    );
+    expect(config.searchItems).toEqual(["Playwright", "SDET"]);
+    expect(config.maxPages).toBe(4);
+    expect(config.llmEnabled).toBe(false);
+    expect(config.companyLimitOverrides).toEqual(["Robert Half=1", "Acme=0"]);
+  });
+
+  test("DICE_PROFILE selects the profile", () => {
+    const config = withEnv({ DICE_PROFILE: "easy-apply-no-llm" }, () =>
+      loadConfig({ defaultProfile: "easy-apply", configPath: copyConfig() })
+    );
+    expect(config.profile).toBe("easy-apply-no-llm");
+    expect(config.llmEnabled).toBe(false);
+  });
+
+  test("rejects an invalid override", () => {
+    withEnv({ DICE_PROFILE: "", DICE_MAX_PAGES: "many" }, () => {
+      expect(() =>
+        loadConfig({ defaultProfile: "easy-apply", configPath: copyConfig() })
+      ).toThrow('"maxPages" must be an integer, got "many"');
+    });
+  });
+
+  test("rejects an unknown profile", () => {
+    withEnv({ DICE_PROFILE: "" }, () => {
+      expect(() =>
+        loadConfig({ defaultProfile: "nope", configPath: copyConfig() })
+      ).toThrow('Unknown profile "nope"');
+    });
+  });
+
+  test("requires llmBaseUrl for an openai-compatible provider", () => {
+    const configPath = copyConfig((config) => {
+      delete config.profiles["local-llm"].llmBaseUrl;
+      return config;
+    });
+    withEnv({ DICE_PROFILE: "" }, () => {
+      expect(() =>
+        loadConfig({ defaultProfile: "local-llm", configPath })
+      ).toThrow('"llmBaseUrl" is required');
+    });
+  });
+});
@@ -0,0 +1,22 @@
+// Unit tests for utils/easy_apply_wizard.js (no browser needed)
+const { test, expect } = require("@playwright/test");
+const { isSuccessUrl } = require("../../utils/easy_apply_wizard");
+
+const URLS = [
+  ["https://www.dice.com/apply/success", true],
+  ["https://www.dice.com/job-detail/1234/confirmation/", true],
+  ["https://www.dice.com/jobs/thank-you?jobId=1", true],
+  // Legacy detail URLs carry the job title as a slug
+  ["https://www.dice.com/jobs/detail/applied-ai-engineer/acme/abc123", false],
+  ["https://www.dice.com/jobs/detail/success-coach/acme/abc123", false],
+  ["https://www.dice.com/dashboard/applied-jobs", false],
+  ["not a url", false],
+];
+
+test.describe("isSuccessUrl", () => {
+  for (const [url, expected] of URLS) {
+    test(`${url} is ${expected ? "" : "not "}a success URL`, () => {
+      expect(isSuccessUrl(url)).toBe(expected);
+    });
+  }
+});
@@ -0,0 +1,60 @@
+// Unit tests for utils/job_registry.js (no browser needed)
+const { test, expect } = require("@playwright/test");
+const {
+  JobRegistry,
+  registryKey,
+  normalizeCompanyName,
+} = require("../../utils/job_registry");
+
+const COMPANY_NAMES = [
+  ["Acme, Inc.", "acme"],
+  ["ACME LLC", "acme"],
+  ["Acme Holdings Co., Ltd.", "acme holdings"],
+  ["Robert Half & Co.", "robert half"],
+  ["Johnson & Johnson", "johnson and johnson"],
+  // Suffix words that are part of the name
+  ["Co-Op Solutions", "co op solutions"],
+  ["Limited Brands Inc", "limited brands"],
+  ["Company", "company"],
+  ["Unknown Company", ""],
+  ["", ""],
+];
+
+test.describe("normalizeCompanyName", () => {
+  for (const [companyName, normalized] of COMPANY_NAMES) {
+    test(`"${companyName}" is "${normalized}"`, () => {
+      expect(normalizeCompanyName(companyName)).toBe(normalized);
+    });
+  }
+});
+
+test.describe("JobRegistry", () => {
+  const JOB_URL =
+    "https://www.dice.com/job-detail/0b6f3a52-1c1d-4a8e-9f0e-2a7c5d9e4b11";
+
+  test("returns the first sighting of a job met again", () => {
+    const registry = new JobRegistry();
+    expect(registry.claim({ jobPageUrl: JOB_URL }, "QA")).toBeNull();
+    expect(
+      registry.claim({ jobPageUrl: `${JOB_URL}?searchlink=1` }, "SDET")
+    ).toEqual({ searchTerm: "QA" });
+    expect(registry.size).toBe(1);
+  });
+
+  test("keys a job without an ID by its title and company", () => {
+    const registry = new JobRegistry();
+    registry.claim({ jobTitle: "QA Engineer", companyName: "Acme, Inc." });
+    expect(
+      registry.claim({ jobTitle: "QA  engineer", companyName: "ACME LLC" })
+    ).toEqual({ searchTerm: "" });
+  });
+
+  test("does not register an unidentifiable job", () => {
+    const registry = new JobRegistry();
+    const job = { jobTitle: "QA Engineer", companyName: "Unknown Company" };
+    expect(registryKey(job)).toBeNull();
+    expect(registry.claim(job)).toBeNull();
+    expect(registry.claim(job)).toBeNull();
+    expect(registry.size).toBe(0);
+  });
+});
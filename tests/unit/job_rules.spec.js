@@ -0,0 +1,196 @@
+// Unit tests for utils/job_rules.js (no browser needed)
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test, expect } = require("@playwright/test");
+const {
+  loadJobRules,
+  evaluateRules,
+  rulesNeedDescription,
+  parsePay,
+  postingAgeDays,
+} = require("../../utils/job_rules");
+
+function writeRules(data) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "job-rules-"));
+  const filepath = path.join(dir, "job_rules.json");
+  fs.writeFileSync(filepath, JSON.stringify(data));
+  return filepath;
+}
+
+const PAY = [
+  ["$60 - $70/hr", { amount: 70, period: "hour", yearly: 145600 }],
+  ["USD 120,000 - 140,000 per year", { amount: 140000, period: "year" }],
+  ["$120k", { amount: 120000, period: "year" }],
+  ["$9,000 monthly", { amount: 9000, period: "month", yearly: 108000 }],
+  ["$55", { amount: 55, period: "hour" }],
+  ["Depends on experience", null],
+];
+
+const NOW = new Date("2025-07-10T12:00:00Z");
+const AGES = [
+  ["Posted today", 0],
+  ["Posted yesterday", 1],
+  ["Posted 3 days ago", 3],
+  ["Updated 2 weeks ago", 14],
+  ["Posted 30+ days ago", 30],
+  ["Updated 2025-07-05", 5],
+  ["", null],
+  ["Recently", null],
+];
+
+// [rule, job fields, expected failure detail or null]
+const RULE_CASES = [
+  [
+    { type: "titleExcludes", values: ["Senior Manager"] },
+    { jobTitle: "Senior  Manager, QA" },
+    'title contains "Senior Manager"',
+  ],
+  // Values match whole words only
+  [
+    { type: "titleExcludes", values: ["VP"] },
+    { jobTitle: "VPN Engineer" },
+    null,
+  ],
+  [
+    { type: "titleExcludes", values: ["VP"] },
+    { jobTitle: "VP, Engineering" },
+    'title contains "VP"',
+  ],
+  [
+    { type: "titleExcludes", values: ["C#"] },
+    { jobTitle: "Senior C# Developer" },
+    'title contains "C#"',
+  ],
+  [
+    { type: "companyBlocklist", values: ["Acme"] },
+    { companyName: "ACME Corp" },
+    'company "ACME Corp" is blocked',
+  ],
+  [
+    { type: "companyAllowlist", values: ["Acme"] },
+    { companyName: "Globex" },
+    'company "Globex" is not on the allow list',
+  ],
+  [
+    { type: "locationIncludes", values: ["TX", "Remote"] },
+    { location: "Austin, TX" },
+    null,
+  ],
+  [
+    { type: "workplace", values: ["Remote", "Hybrid"] },
+    { workplace: "On-Site" },
+    "On-Site is not Remote or Hybrid",
+  ],
+  [
+    { type: "minSalary", yearly: 100000, hourly: 50 },
+    { salary: "$45/hr" },
+    'pay "$45/hr" is below the minimum',
+  ],
+  [{ type: "minSalary", yearly: 100000 }, { salary: "$60/hr" }, null],
+  [
+    { type: "employmentType", allow: ["Full-time", "W2"], block: ["C2C"] },
+    { employmentType: "Contract, C2C" },
+    "employment type C2C is blocked",
+  ],
+  [
+    { type: "employmentType", allow: ["Full-time"] },
+    { employmentType: "Contract" },
+    'employment type "Contract" is not Full-time',
+  ],
+  // Fields the job does not state are not judged
+  [{ type: "minSalary", yearly: 100000 }, { salary: "" }, null],
+  [
+    { type: "companyAllowlist", values: ["Acme"] },
+    { companyName: "Unknown Company" },
+    null,
+  ],
+];
+
+test.describe("parsePay", () => {
+  for (const [salary, expected] of PAY) {
+    test(`reads "${salary}"`, () => {
+      const pay = parsePay(salary);
+      if (expected === null) expect(pay).toBeNull();
+      else expect(pay).toMatchObject(expected);
+    });
+  }
+});
+
+test.describe("postingAgeDays", () => {
+  for (const [postedDate, days] of AGES) {
+    test(`"${postedDate}" is ${days} days old`, () => {
+      expect(postingAgeDays(postedDate, NOW)).toBe(days);
+    });
+  }
+});
+
+test.describe("evaluateRules", () => {
+  for (const [rule, job, detail] of RULE_CASES) {
+    test(`${rule.type} on ${JSON.stringify(job)}`, () => {
+      const result = evaluateRules(job, [{ name: "rule", ...rule }]);
+      expect(result).toEqual(detail ? { rule: "rule", detail } : null);
+    });
+  }
+
+  test("reports the first rule the job breaks", () => {
+    const rules = [
+      { name: "no-managers", type: "titleExcludes", values: ["Manager"] },
+      { name: "no-acme", type: "companyBlocklist", values: ["Acme"] },
+    ];
+    const job = { jobTitle: "QA Manager", companyName: "Acme" };
+    expect(evaluateRules(job, rules).rule).toBe("no-managers");
+  });
+});
+
+test.describe("loadJobRules", () => {
+  test("puts the config exclusions first and drops disabled rules", () => {
+    const filepath = writeRules({
+      rules: [
+        { name: "no-c2c", type: "employmentType", block: ["C2C"] },
+        {
+          name: "off",
+          type: "titleExcludes",
+          values: ["Intern"],
+          enabled: false,
+        },
+      ],
+    });
+    const rules = loadJobRules(filepath, {
+      excludedCompanies: ["Acme"],
+      excludedTitleKeywords: [],
+    });
+    expect(rules.map((rule) => rule.name)).toEqual([
+      "excludedCompanies",
+      "no-c2c",
+    ]);
+    expect(rulesNeedDescription(rules)).toBe(false);
+  });
+
+  test("lists every invalid rule", () => {
+    const filepath = writeRules({
+      rules: [
+        { name: "pay", type: "minSalary", yearly: "100k" },
+        { name: "typo", type: "titleExclude", values: ["Intern"] },
+        { type: "titleExcludes", values: ["Intern"] },
+      ],
+    });
+    expect(() => loadJobRules(filepath)).toThrow(
+      /rule 1 \("pay"\) needs a numeric[\s\S]*rule 2 \("typo"\) has unknown type "titleExclude"[\s\S]*rule 3 needs a name/
+    );
+  });
+
+  test("needs a rules array", () => {
+    expect(() => loadJobRules(writeRules({}))).toThrow(
+      'must have a "rules" array'
+    );
+  });
+
+  test("knows when the description is needed", () => {
+    expect(
+      rulesNeedDescription([
+        { name: "no-php", type: "descriptionExcludes", values: ["PHP"] },
+      ])
+    ).toBe(true);
+  });
+});
@@ -0,0 +1,48 @@
+// Unit tests for utils/job_status.js (no browser needed)
+const { test, expect } = require("@playwright/test");
+const { categorizeStatus } = require("../../utils/job_status");
+
+const CASES = [
+  ["Success - Applied", "success"],
+  ["Success - Applied (approved)", "success"],
+  ["Already Applied", "already_applied"],
+  ["Already Applied (search card)", "already_applied"],
+  ["Submitted (Unverified)", "unverified"],
+  ["Submitted (Unverified, approved)", "unverified"],
+  ["Would Apply", "would_apply"],
+  ["Pending Review (PARTIAL_MATCH, score 72)", "pending_review"],
+  ["Would Queue for Review", "pending_review"],
+  ["Deferred (daily cap of 40 reached)", "deferred"],
+  ["Skipped - Seen in previous run (Success - Applied)", "previously_seen"],
+  ["Skipped (LLM NO_MATCH)", "skipped"],
+  ["Skipped (No LLM Match or Fallback Failed)", "skipped"],
+  ["Failed - No Apply button found", "failed"],
+  // Page headings, rule details and submit errors quoted after the leading words
+  [
+    'Failed - Required field(s) empty: Phone at step 3 "Review your application"',
+    "failed",
+  ],
+  ['Failed - Submit rejected "Please review the highlighted fields"', "failed"],
+  ['Skipped - Rule "no-reviews" (title contains "Code Review")', "skipped"],
+  [
+    "Skipped - In approval queue (Pending Review (PARTIAL_MATCH, score 70))",
+    "skipped",
+  ],
+  [
+    'Skipped - Rule "no-science" (title contains "Applied Scientist")',
+    "skipped",
+  ],
+  [
+    'Skipped - Pre-filtered (company "Applied Materials" is blocked)',
+    "skipped",
+  ],
+  ["", "unknown"],
+];
+
+test.describe("categorizeStatus", () => {
+  for (const [status, category] of CASES) {
+    test(`"${status}" is ${category}`, () => {
+      expect(categorizeStatus(status)).toBe(category);
+    });
+  }
+});
@@ -0,0 +1,134 @@
+// Unit tests for utils/key_pool.js (no browser needed)
+const { test, expect } = require("@playwright/test");
+const {
+  KeyPool,
+  getCooldownFromHeaders,
+  parseDuration,
+} = require("../../utils/key_pool");
+
+const NOW = Date.parse("2025-07-10T12:00:00Z");
+const MODEL = "llama-3.1-8b-instant";
+
+const DURATIONS = [
+  ["7.66s", 7660],
+  ["2m59.56s", 179560],
+  ["120ms", 120],
+  ["1h2m", 3720000],
+  ["3", 3000],
+  ["", null],
+  ["soon", null],
+];
+
+test.describe("parseDuration", () => {
+  for (const [value, ms] of DURATIONS) {
+    test(`"${value}" is ${ms} ms`, () => {
+      expect(parseDuration(value)).toBe(ms);
+    });
+  }
+});
+
+test.describe("getCooldownFromHeaders", () => {
+  test("prefers retry-after seconds", () => {
+    const headers = { "retry-after": "12", "x-ratelimit-reset-tokens": "1m" };
+    expect(getCooldownFromHeaders(headers, true, NOW)).toBe(12000);
+  });
+
+  test("reads a retry-after HTTP date", () => {
+    const headers = { "retry-after": new Date(NOW + 30000).toUTCString() };
+    expect(getCooldownFromHeaders(headers, true, NOW)).toBe(30000);
+  });
+
+  test("waits for the longest reset of a rate-limited response", () => {
+    const headers = {
+      "x-ratelimit-reset-requests": "2s",
+      "x-ratelimit-reset-tokens": "7.5s",
+    };
+    expect(getCooldownFromHeaders(headers, true, NOW)).toBe(7500);
+  });
+
+  test("only rests after a success when a quota is used up", () => {
+    const headers = new Headers({
+      "x-ratelimit-remaining-requests": "10",
+      "x-ratelimit-reset-requests": "2s",
+      "x-ratelimit-remaining-tokens": "0",
+      "x-ratelimit-reset-tokens": "4s",
+    });
+    expect(getCooldownFromHeaders(headers, false, NOW)).toBe(4000);
+    headers.set("x-ratelimit-remaining-tokens", "500");
+    expect(getCooldownFromHeaders(headers, false, NOW)).toBeNull();
+  });
+});
+
+test.describe("KeyPool", () => {
+  test("rotates to the least recently used key", () => {
+    const pool = new KeyPool(["key-1", "key-2"]);
+    expect(pool.acquire(MODEL, NOW).keyIndex).toBe(0);
+    expect(pool.acquire(MODEL, NOW + 1).keyIndex).toBe(1);
+    expect(pool.acquire(MODEL, NOW + 2).keyIndex).toBe(0);
+  });
+
+  test("skips a key cooling down for the model only", () => {
+    const pool = new KeyPool(["key-1", "key-2"]);
+    pool.markRateLimited(0, MODEL, { "retry-after": "10" }, NOW);
+    expect(pool.acquire(MODEL, NOW).keyIndex).toBe(1);
+    expect(pool.acquire("other-model", NOW + 1).keyIndex).toBe(0);
+  });
+
+  test("reports the wait when every key is resting", () => {
+    const pool = new KeyPool(["key-1"]);
+    pool.markRateLimited(0, MODEL, { "retry-after": "10" }, NOW);
+    expect(pool.acquire(MODEL, NOW + 4000)).toEqual({
+      keyIndex: null,
+      waitMs: 6000,
+    });
+    expect(pool.getWaitMs(MODEL, NOW + 4000)).toBe(6000);
+    expect(pool.acquire(MODEL, NOW + 10000).keyIndex).toBe(0);
+  });
+
+  test("backs off exponentially without headers", () => {
+    const pool = new KeyPool(["key-1"]);
+    expect(pool.markRateLimited(0, MODEL, {}, NOW)).toBe(5000);
+    expect(pool.markRateLimited(0, MODEL, {}, NOW)).toBe(10000);
+    expect(pool.markRateLimited(0, MODEL, {}, NOW)).toBe(20000);
+    pool.markSuccess(0, MODEL, {}, NOW);
+    expect(pool.markRateLimited(0, MODEL, {}, NOW)).toBe(5000);
+  });
+
+  test("never hands out an invalid key", () => {
+    const pool = new KeyPool(["key-1", "key-2"]);
+    pool.markInvalid(0);
+    expect(pool.acquire(MODEL, NOW).keyIndex).toBe(1);
+    pool.markInvalid(1);
+    expect(pool.hasValidKeys()).toBe(false);
+    expect(pool.acquire(MODEL, NOW)).toEqual({
+      keyIndex: null,
+      waitMs: Infinity,
+    });
+  });
+
+  test("reports usage per key", () => {
+    const pool = new KeyPool(["key-1", "key-2"]);
+    pool.acquire(MODEL, NOW);
+    pool.markSuccess(0, MODEL, {}, NOW);
+    pool.acquire(MODEL, NOW + 1);
+    pool.markRateLimited(1, MODEL, { "retry-after": "60" }, NOW + 1);
+    expect(pool.getUsageReport(NOW + 2)).toEqual([
+      {
+        label: "key-1",
+        requests: 1,
+        successes: 1,
+        rateLimited: 0,
+        errors: 0,
+        state: "ok",
+      },
+      {
+        label: "key-2",
+        requests: 1,
+        successes: 0,
+        rateLimited: 1,
+        errors: 0,
+        state: `cooling down (${MODEL})`,
+      },
+    ]);
+  });
+});
@@ -0,0 +1,95 @@
+// Unit tests for utils/llm_cache.js (no browser needed)
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test, expect } = require("@playwright/test");
+const { LlmCache } = require("../../utils/llm_cache");
+
+const META = { prompt: "prompt-hash", model: "llama-3.1-8b-instant" };
+
+const tempCachePath = () =>
+  path.join(fs.mkdtempSync(path.join(os.tmpdir(), "llm-cache-")), "cache.json");
+
+const savedKeys = (filepath) =>
+  fs.existsSync(filepath)
+    ? Object.keys(JSON.parse(fs.readFileSync(filepath, "utf-8")).entries)
+    : [];
+
+test.describe("LlmCache writes", () => {
+  test("set does not rewrite the file for every entry", () => {
+    const filepath = tempCachePath();
+    const cache = new LlmCache({ ttlHours: 24, filepath }).load();
+    cache.set("match:a", { match: "MATCH" }, META);
+    expect(fs.existsSync(filepath)).toBe(false);
+  });
+
+  test("a full batch of new entries is written", () => {
+    const filepath = tempCachePath();
+    const cache = new LlmCache({ ttlHours: 24, filepath }).load();
+    for (let i = 0; i < 20; i++) cache.set(`match:${i}`, i, META);
+    expect(savedKeys(filepath)).toHaveLength(20);
+  });
+
+  test("flush writes the remaining entries once", () => {
+    const filepath = tempCachePath();
+    const cache = new LlmCache({ ttlHours: 24, filepath }).load();
+    cache.set("match:a", { match: "MATCH" }, META);
+    cache.flush();
+    expect(savedKeys(filepath)).toEqual(["match:a"]);
+
+    fs.unlinkSync(filepath);
+    cache.flush(); // Nothing new since the last write
+    expect(fs.existsSync(filepath)).toBe(false);
+  });
+
+  test("flushed entries are read back by a new cache", () => {
+    const filepath = tempCachePath();
+    const cache = new LlmCache({ ttlHours: 24, filepath }).load();
+    cache.set("keywords:a", ["node"], META);
+    cache.flush();
+    const reloaded = new LlmCache({ ttlHours: 24, filepath }).load();
+    expect(reloaded.get("keywords:a").value).toEqual(["node"]);
+  });
+});
+
+test.describe("LlmCache expiry", () => {
+  const cache = new LlmCache({ ttlHours: 24, filepath: tempCachePath() });
+  const now = Date.parse("2025-07-10T12:00:00Z");
+
+  test("an entry younger than the TTL is kept", () => {
+    expect(cache.isExpired({ createdAt: "2025-07-10T00:00:00Z" }, now)).toBe(
+      false
+    );
+  });
+
+  test("an entry older than the TTL expires", () => {
+    expect(cache.isExpired({ createdAt: "2025-07-09T00:00:00Z" }, now)).toBe(
+      true
+    );
+  });
+
+  test("an entry without a timestamp expires", () => {
+    expect(cache.isExpired({}, now)).toBe(true);
+    expect(cache.isExpired({ createdAt: "yesterday" }, now)).toBe(true);
+  });
+
+  test("entries without a timestamp are dropped on load", () => {
+    const filepath = tempCachePath();
+    fs.writeFileSync(
+      filepath,
+      JSON.stringify({
+        version: 1,
+        entries: {
+          "match:old": { value: 1, ...META },
+          "match:new": {
+            value: 2,
+            ...META,
+            createdAt: new Date().toISOString(),
+          },
+        },
+      })
+    );
+    const loaded = new LlmCache({ ttlHours: 24, filepath }).load();
+    expect(Object.keys(loaded.entries)).toEqual(["match:new"]);
+  });
+});
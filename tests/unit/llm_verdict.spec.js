@@ -0,0 +1,99 @@
+// Unit tests for utils/llm_verdict.js (no browser needed)
+const { test, expect } = require("@playwright/test");
+const {
+  parseMatchVerdict,
+  extractJsonObject,
+} = require("../../utils/llm_verdict");
+
+const VALID = {
+  verdict: "MATCH",
+  score: 86.4,
+  matchedSkills: [" Playwright ", "JavaScript"],
+  missingSkills: [],
+  reason: " Strong automation fit. ",
+};
+
+// [description, response, expected error (substring)]
+const INVALID_RESPONSES = [
+  ["an empty response", "", "Empty response"],
+  ["plain text", "This is a MATCH.", "Response is not a JSON object"],
+  ["broken JSON", '{"verdict": "MATCH",}', "Response is not a JSON object"],
+  [
+    "an unknown verdict",
+    JSON.stringify({ ...VALID, verdict: "MAYBE" }),
+    '"verdict" must be one of MATCH, PARTIAL_MATCH, NO_MATCH',
+  ],
+  [
+    "a score above 100",
+    JSON.stringify({ ...VALID, score: 120 }),
+    '"score" must be a number from 0 to 100',
+  ],
+  [
+    "a missing score",
+    JSON.stringify({ ...VALID, score: null }),
+    '"score" must be a number from 0 to 100',
+  ],
+  [
+    "a skill list of objects",
+    JSON.stringify({ ...VALID, matchedSkills: [{ name: "Playwright" }] }),
+    '"matchedSkills" must be an array of strings',
+  ],
+  [
+    "a blank reason",
+    JSON.stringify({ ...VALID, reason: " " }),
+    '"reason" must be a non-empty string',
+  ],
+];
+
+test.describe("parseMatchVerdict", () => {
+  test("parses a verdict wrapped in a code fence", () => {
+    const response = `Here you go:\n\`\`\`json\n${JSON.stringify(
+      VALID
+    )}\n\`\`\``;
+    expect(parseMatchVerdict(response)).toEqual({
+      verdict: {
+        match: "MATCH",
+        score: 86,
+        matchedSkills: ["Playwright", "JavaScript"],
+        missingSkills: [],
+        reason: "Strong automation fit.",
+      },
+    });
+  });
+
+  test("normalizes the verdict spelling and a numeric string score", () => {
+    const response = JSON.stringify({
+      ...VALID,
+      verdict: "partial match",
+      score: "70",
+    });
+    const { verdict } = parseMatchVerdict(response);
+    expect(verdict.match).toBe("PARTIAL_MATCH");
+    expect(verdict.score).toBe(70);
+  });
+
+  for (const [description, response, error] of INVALID_RESPONSES) {
+    test(`rejects ${description}`, () => {
+      const result = parseMatchVerdict(response);
+      expect(result.verdict).toBeUndefined();
+      expect(result.error).toContain(error);
+    });
+  }
+
+  test("lists every problem at once", () => {
+    const { error } = parseMatchVerdict('{"verdict": "MATCH"}');
+    expect(error.split("; ")).toHaveLength(4);
+  });
+});
+
+test.describe("extractJsonObject", () => {
+  test("takes the outermost braces", () => {
+    expect(extractJsonObject('text {"a": {"b": 1}} text')).toEqual({
+      a: { b: 1 },
+    });
+  });
+
+  test("returns null without an object", () => {
+    expect(extractJsonObject("} nothing {")).toBeNull();
+  });
+});
@@ -0,0 +1,91 @@
+// Unit tests for utils/offline_scorer.js (no browser needed)
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test, expect } = require("@playwright/test");
+const {
+  OfflineScorer,
+  loadSkillSynonyms,
+} = require("../../utils/offline_scorer");
+
+const SYNONYMS = {
+  Playwright: ["playwright test"],
+  SDET: ["software developer engineer in test"],
+  JavaScript: ["js"],
+  JMeter: [],
+  Salesforce: ["sfdc"],
+};
+
+const CV_TEXT =
+  "SDET with six years of Playwright and JS test automation, load testing with JMeter.";
+
+const newScorer = () =>
+  new OfflineScorer({ cvText: CV_TEXT, synonyms: SYNONYMS });
+
+test.describe("OfflineScorer", () => {
+  test("folds synonyms into one skill", () => {
+    const scorer = newScorer();
+    expect(scorer.tokenize("Software Developer Engineer in Test (JS)")).toEqual(
+      ["sdet", "javascript"]
+    );
+  });
+
+  test("rates a posting that asks for the CV's skills as a match", () => {
+    const verdict = newScorer().score(
+      "We need a Software Developer Engineer in Test: Playwright, JavaScript and JMeter test automation."
+    );
+    expect(verdict.match).toBe("MATCH");
+    expect(verdict.matchedSkills).toEqual([
+      "Playwright",
+      "SDET",
+      "JavaScript",
+      "JMeter",
+    ]);
+    expect(verdict.missingSkills).toEqual([]);
+    expect(verdict.reason).toMatch(
+      /^\[Offline\] 4\/4 skills, \d+% key-term overlap$/
+    );
+    expect(verdict.source).toBe("offline");
+  });
+
+  test("rates a posting for other skills as no match", () => {
+    const verdict = newScorer().score(
+      "Salesforce administrator: SFDC flows, Apex triggers, Lightning page layouts, payroll reporting."
+    );
+    expect(verdict.match).toBe("NO_MATCH");
+    expect(verdict.matchedSkills).toEqual([]);
+    expect(verdict.missingSkills).toEqual(["Salesforce"]);
+    expect(verdict.score).toBeLessThan(40);
+  });
+
+  test("scores an empty description as no match", () => {
+    const verdict = newScorer().score("");
+    expect(verdict).toMatchObject({ match: "NO_MATCH", score: 0 });
+  });
+});
+
+test.describe("loadSkillSynonyms", () => {
+  const write = (content) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "synonyms-"));
+    const filepath = path.join(dir, "skill_synonyms.json");
+    fs.writeFileSync(filepath, content);
+    return filepath;
+  };
+
+  test("loads the committed dictionary", () => {
+    const synonyms = loadSkillSynonyms(
+      path.join(__dirname, "..", "..", "skill_synonyms.json")
+    );
+    expect(Object.keys(synonyms).length).toBeGreaterThan(0);
+  });
+
+  test("rejects a skill without a synonym list", () => {
+    expect(() => loadSkillSynonyms(write('{"Playwright": "pw"}'))).toThrow(
+      "must map each skill to an array of synonym strings"
+    );
+  });
+
+  test("rejects broken JSON", () => {
+    expect(() => loadSkillSynonyms(write("{"))).toThrow("Could not parse");
+  });
+});
@@ -0,0 +1,63 @@
+// Unit tests for utils/ranked_apply.js (no browser needed)
+const { test, expect } = require("@playwright/test");
+const { rankShortlist, ApplicationCaps } = require("../../utils/ranked_apply");
+
+const entry = (jobTitle, score) => ({
+  jobTitle,
+  llmMatch: score === undefined ? null : { match: "MATCH", score },
+});
+
+test.describe("rankShortlist", () => {
+  test("orders best match first, unscored jobs last in found order", () => {
+    const shortlist = [
+      entry("unscored A"),
+      entry("72", 72),
+      entry("91", 91),
+      entry("unscored B"),
+      entry("80", 80),
+    ];
+    expect(rankShortlist(shortlist).map((job) => job.jobTitle)).toEqual([
+      "91",
+      "80",
+      "72",
+      "unscored A",
+      "unscored B",
+    ]);
+  });
+
+  test("leaves the shortlist itself unsorted", () => {
+    const shortlist = [entry("low", 10), entry("high", 90)];
+    rankShortlist(shortlist);
+    expect(shortlist[0].jobTitle).toBe("low");
+  });
+});
+
+test.describe("ApplicationCaps", () => {
+  test("counts today's earlier submissions", () => {
+    const caps = new ApplicationCaps({
+      maxPerDay: 3,
+      maxPerCompany: 0,
+      applications: [{ companyName: "Acme" }, { companyName: "Globex" }],
+    });
+    expect(caps.check("Initech")).toBeNull();
+    caps.count("Initech");
+    expect(caps.check("Initech")).toBe("daily cap of 3 reached");
+    expect(caps.describe()).toBe(
+      "3 sent today, daily cap 3, per company no cap"
+    );
+  });
+
+  test("caps each company by its normalized name", () => {
+    const caps = new ApplicationCaps({ maxPerDay: 0, maxPerCompany: 2 });
+    caps.count("Acme, Inc.");
+    caps.count("ACME LLC");
+    expect(caps.check("Acme")).toBe("company cap of 2 per day reached");
+    expect(caps.check("Globex")).toBeNull();
+  });
+
+  test("does not cap unknown companies per company", () => {
+    const caps = new ApplicationCaps({ maxPerDay: 0, maxPerCompany: 1 });
+    caps.count("Unknown Company");
+    expect(caps.check("Unknown Company")).toBeNull();
+  });
+});
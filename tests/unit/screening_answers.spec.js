@@ -0,0 +1,131 @@
+// Unit tests for utils/screening_answers.js (no browser needed)
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test, expect } = require("@playwright/test");
+const {
+  ScreeningAnswerer,
+  loadAnswerBank,
+  mergeIntoAnswerBank,
+  fitAnswer,
+} = require("../../utils/screening_answers");
+
+const bank = loadAnswerBank(
+  path.join(__dirname, "..", "..", "answer_bank.json")
+);
+const answerer = new ScreeningAnswerer({ bank });
+const yesNo = (label) => ({
+  label,
+  type: "radio",
+  options: ["Yes", "No"],
+  required: false,
+});
+
+test.describe("ScreeningAnswerer bank answers", () => {
+  const CASES = [
+    ["Are you legally authorized to work in the United States?", "Yes"],
+    ["Are you authorized to work in the U.S.? (Yes/No)", "Yes"],
+    ["Do you require visa sponsorship?", "No"],
+    // Negated questions must not get the answer of their positive form
+    ["Are you NOT legally authorized to work in the United States?", null],
+    ["Will you not require visa sponsorship now or in the future?", null],
+    ["Aren't you authorized to work in the US?", null],
+    ["Are you authorized to work in the US without sponsorship?", null],
+  ];
+  for (const [label, expected] of CASES) {
+    test(`"${label}"`, async () => {
+      const result = await answerer.answer(yesNo(label));
+      expect(result.value).toBe(expected);
+    });
+  }
+});
+
+test.describe("ScreeningAnswerer experience answers", () => {
+  test("years of a listed skill", async () => {
+    const [skill, years] = Object.entries(bank.yearsOfExperience)[0];
+    const result = await answerer.answer({
+      label: `How many years of ${skill} experience do you have?`,
+      type: "number",
+      options: [],
+      required: true,
+    });
+    expect(result.value).toBe(String(years));
+  });
+});
+
+test.describe("fitAnswer", () => {
+  test("picks the option that matches the answer", () => {
+    expect(fitAnswer("Yes", yesNo("Q")).value).toBe("Yes");
+  });
+  test("finds no option for an unrelated answer", () => {
+    expect(fitAnswer("Maybe later", yesNo("Q"))).toBeNull();
+  });
+});
+
+test.describe("mergeIntoAnswerBank", () => {
+  const writeBank = (answers) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "answer-bank-"));
+    const filepath = path.join(dir, "answer_bank.json");
+    fs.writeFileSync(
+      filepath,
+      JSON.stringify({ answers, yearsOfExperience: {} }),
+      "utf-8"
+    );
+    return filepath;
+  };
+  const readAnswers = (filepath) =>
+    JSON.parse(fs.readFileSync(filepath, "utf-8")).answers;
+
+  test("adds a new question as its own entry", () => {
+    const filepath = writeBank([]);
+    const result = mergeIntoAnswerBank(filepath, [
+      { question: "Preferred start date?", answer: "2 weeks" },
+    ]);
+    expect(result).toEqual({ added: 1, updated: 0 });
+    expect(readAnswers(filepath)).toEqual([
+      { questions: ["Preferred start date?"], answer: "2 weeks" },
+    ]);
+  });
+
+  test("updates the answer of an entry the question is the only example of", () => {
+    const filepath = writeBank([
+      { questions: ["Notice period?"], answer: "Immediately" },
+    ]);
+    const result = mergeIntoAnswerBank(filepath, [
+      { question: "Notice period ?", answer: "2 weeks" },
+    ]);
+    expect(result).toEqual({ added: 0, updated: 1 });
+    expect(readAnswers(filepath)).toEqual([
+      { questions: ["Notice period?"], answer: "2 weeks" },
+    ]);
+  });
+
+  test("moves the question out of an entry with other examples", () => {
+    const filepath = writeBank([
+      {
+        questions: ["Are you willing to relocate?", "Open to relocation?"],
+        answer: "Yes",
+      },
+    ]);
+    const result = mergeIntoAnswerBank(filepath, [
+      { question: "Open to relocation?", answer: "Yes, within the US" },
+    ]);
+    expect(result).toEqual({ added: 0, updated: 1 });
+    expect(readAnswers(filepath)).toEqual([
+      { questions: ["Are you willing to relocate?"], answer: "Yes" },
+      { questions: ["Open to relocation?"], answer: "Yes, within the US" },
+    ]);
+  });
+
+  test("leaves the file alone when nothing changes", () => {
+    const filepath = writeBank([
+      { questions: ["Notice period?"], answer: "2 weeks" },
+    ]);
+    const before = fs.readFileSync(filepath, "utf-8");
+    const result = mergeIntoAnswerBank(filepath, [
+      { question: "Notice period?", answer: "2 weeks" },
+    ]);
+    expect(result).toEqual({ added: 0, updated: 0 });
+    expect(fs.readFileSync(filepath, "utf-8")).toBe(before);
+  });
+});
@@ -0,0 +1,128 @@
+// Unit tests for utils/work_requirements.js (no browser needed)
+const { test, expect } = require("@playwright/test");
+const {
+  detectWorkRequirements,
+  describeRequirements,
+  checkEligibility,
+  candidateProfileFromConfig,
+} = require("../../utils/work_requirements");
+
+const describe = (description) =>
+  describeRequirements(detectWorkRequirements(description));
+
+// [description, log column, expected value]
+const DETECTION_CASES = [
+  // Sponsorship
+  [
+    "We are unable to sponsor visas at this time.",
+    "sponsorship",
+    "No sponsorship",
+  ],
+  ["No H1B.", "sponsorship", "No sponsorship"],
+  [
+    "Visa sponsorship is available for the right candidate.",
+    "sponsorship",
+    "Sponsorship offered",
+  ],
+  ["Strong communication skills.", "sponsorship", ""],
+  // Work authorization
+  ["USC/GC only.", "workAuthorization", "USC/GC only"],
+  ["Must be a US citizen.", "workAuthorization", "USC only"],
+  ["Open to USC, GC or EAD.", "workAuthorization", "USC/GC/EAD only"],
+  // Clearance
+  ["Active Secret clearance required.", "clearance", "Secret clearance"],
+  ["TS/SCI with polygraph.", "clearance", "TS/SCI clearance"],
+  [
+    "Must be able to obtain a Public Trust clearance.",
+    "clearance",
+    "Public Trust clearance (obtainable)",
+  ],
+  ["Security clearance required.", "clearance", "Security clearance"],
+  ["No clearance required.", "clearance", ""],
+  ["Protect trade secret information.", "clearance", ""],
+  // Tax terms
+  ["W2 only.", "taxTerms", "W2 only"],
+  ["No C2C/1099.", "taxTerms", "no C2C/1099"],
+  ["No C2C, W2 only.", "taxTerms", "W2 only, no C2C"],
+  ["No C2C; W2 only.", "taxTerms", "W2 only, no C2C"],
+  ["W2 only, no C2C or 1099.", "taxTerms", "W2 only, no C2C/1099"],
+  ["Not remote, W2 only.", "taxTerms", "W2 only"],
+  ["Must be on W2. No corp-to-corp.", "taxTerms", "W2 only, no C2C"],
+];
+
+test.describe("detectWorkRequirements", () => {
+  for (const [description, field, expected] of DETECTION_CASES) {
+    test(`"${description}" -> ${field} "${expected}"`, () => {
+      expect(describe(description)[field]).toBe(expected);
+    });
+  }
+
+  test("quotes the sentence a requirement was read from", () => {
+    const requirements = detectWorkRequirements(
+      "Great team. Active Secret clearance required."
+    );
+    expect(requirements.evidence.clearance).toBe(
+      "Active Secret clearance required."
+    );
+  });
+});
+
+test.describe("checkEligibility", () => {
+  const FULL =
+    "No sponsorship. USC/GC only. Active Secret clearance required. W2 only, no C2C.";
+  const profile = (config) =>
+    candidateProfileFromConfig({ securityClearance: "top-secret", ...config });
+  const check = (description, config) =>
+    checkEligibility(detectWorkRequirements(description), profile(config));
+
+  test("a candidate who meets every requirement is eligible", () => {
+    expect(
+      check(FULL, { workAuthorization: "citizen", acceptedTaxTerms: ["W2"] })
+    ).toBeNull();
+  });
+
+  test("unset profile fields are not judged", () => {
+    expect(check(FULL, {})).toBeNull();
+  });
+
+  test("a candidate who needs sponsorship", () => {
+    expect(check(FULL, { needsSponsorship: true })).toMatchObject({
+      requirement: "sponsorship",
+    });
+  });
+
+  test("a work authorization the posting does not accept", () => {
+    expect(check(FULL, { workAuthorization: "ead" })).toEqual({
+      requirement: "workAuthorization",
+      reason: "USC/GC only, candidate is EAD",
+    });
+  });
+
+  test("a clearance below the required level", () => {
+    expect(check(FULL, { securityClearance: "public-trust" })).toEqual({
+      requirement: "clearance",
+      reason: "Secret clearance required, candidate has Public Trust",
+    });
+  });
+
+  test("an obtainable clearance is not required", () => {
+    expect(
+      check("Must be able to obtain a Secret clearance.", {
+        securityClearance: "none",
+      })
+    ).toBeNull();
+  });
+
+  test("no accepted tax term left", () => {
+    expect(check("No C2C, W2 only.", { acceptedTaxTerms: ["C2C"] })).toEqual({
+      requirement: "taxTerms",
+      reason: "W2 only, no C2C, candidate accepts C2C",
+    });
+  });
+
+  test("a W2 candidate is eligible for a job that only excludes C2C", () => {
+    expect(
+      check("No C2C, W2 only.", { acceptedTaxTerms: ["W2", "C2C"] })
+    ).toBeNull();
+  });
+});
@@ -0,0 +1,302 @@
+// Persistent Application History
+// A JSON-lines store (Logs/application_history.jsonl) of every job the bot has handled, keyed by
+// the Dice job ID (or the canonical job URL when no ID can be found). processJob consults it before
+// opening a tab so jobs applied to, or rejected by the LLM, in earlier runs are not opened again.
+const fs = require("fs");
+const path = require("path");
+const ExcelJS = require("exceljs");
+const { categorizeStatus } = require("./job_status");
+
+const DEFAULT_HISTORY_PATH = path.join(
+  __dirname,
+  "..",
+  "Logs",
+  "application_history.jsonl"
+);
+const DICE_BASE_URL = "https://www.dice.com";
+
+// Maps the Excel log headers to jobEntry keys, used when importing old JobApp_*.xlsx logs
+const EXCEL_HEADER_KEYS = {
+  "Job Title": "jobTitle",
+  "Company Name": "companyName",
+  Status: "status",
+  Timestamp: "timestamp",
+  "LLM Match Score": "llmMatchScore",
+  "LLM Reason": "llmReason",
+  "Job Page URL": "jobPageUrl",
+  "Search Term": "searchTerm",
+  "LLM Score": "llmScore",
+  Location: "location",
+  Workplace: "workplace",
+  "Employment Type": "employmentType",
+  Salary: "salary",
+};
+
+/**
+ * Extracts the Dice job ID from a job URL.
+ * Handles both /job-detail/<uuid> and the older /jobs/detail/<title>/<company>/<id> formats.
+ * @returns {string|null}
+ */
+function extractJobId(jobUrl) {
+  if (!jobUrl) return null;
+  const detailMatch = jobUrl.match(/\/job-detail\/([0-9a-f-]{36})/i);
+  if (detailMatch) return detailMatch[1].toLowerCase();
+  const legacyMatch = jobUrl.match(/\/jobs\/detail\/[^/]+\/[^/]+\/([^/?#]+)/i);
+  if (legacyMatch) return legacyMatch[1].toLowerCase();
+  return null;
+}
+
+/**
+ * Builds the history key for a job URL: "id:<jobId>" when possible, else "url:<origin+path>".
+ * @returns {string|null}
+ */
+function getHistoryKey(jobUrl) {
+  if (!jobUrl || jobUrl === "N/A") return null;
+  const jobId = extractJobId(jobUrl);
+  if (jobId) return `id:${jobId}`;
+  try {
+    const parsed = new URL(jobUrl, DICE_BASE_URL);
+    return `url:${parsed.origin}${parsed.pathname.replace(/\/$/, "")}`;
+  } catch (error) {
+    return null;
+  }
+}
+
+// When a log file was started, from its name (JobApp_2025-07-07_01-54-PM.xlsx), as an ISO string
+function logFileTime(filename) {
+  const match = /_(\d{4})-(\d{2})-(\d{2})_(\d{2})-(\d{2})-(AM|PM)\.xlsx$/.exec(
+    filename || ""
+  );
+  if (!match) return null;
+  const [, year, month, day, hours, minutes, ampm] = match;
+  const hour = (Number(hours) % 12) + (ampm === "PM" ? 12 : 0);
+  return new Date(year, month - 1, day, hour, minutes).toISOString();
+}
+
+// Converts a logger jobEntry into a history record, or null when it has no usable job URL
+function buildRecord(jobEntry, source) {
+  const key = getHistoryKey(jobEntry.jobPageUrl);
+  if (!key) return null;
+  return {
+    key,
+    jobId: extractJobId(jobEntry.jobPageUrl),
+    jobPageUrl: jobEntry.jobPageUrl,
+    jobTitle: jobEntry.jobTitle,
+    companyName: jobEntry.companyName,
+    status: jobEntry.status,
+    category: jobEntry.category,
+    llmMatchScore: jobEntry.llmMatchScore || "N/A",
+    llmScore: Number.isFinite(jobEntry.llmScore) ? jobEntry.llmScore : null,
+    // Imported Excel rows have no source column; offline reasons start with "[Offline]"
+    verdictSource:
+      jobEntry.verdictSource ||
+      (String(jobEntry.llmReason || "").startsWith("[Offline]")
+        ? "offline"
+        : "llm"),
+    searchTerm: jobEntry.searchTerm || "",
+    location: jobEntry.location || "",
+    workplace: jobEntry.workplace || "",
+    employmentType: jobEntry.employmentType || "",
+    salary: jobEntry.salary || "",
+    timestamp: jobEntry.timestamp,
+    // The Timestamp column is locale-formatted; imported rows fall back to their log's start
+    loggedAt: jobEntry.loggedAt || logFileTime(source),
+    source,
+    recordedAt: new Date().toISOString(),
+  };
+}
+
+// When a job was logged (ISO loggedAt), else when the record was written
+function recordTime(record) {
+  const logged = Date.parse(record.loggedAt);
+  return Number.isNaN(logged) ? Date.parse(record.recordedAt) || 0 : logged;
+}
+
+class ApplicationHistory {
+  constructor(filepath = DEFAULT_HISTORY_PATH) {
+    this.filepath = filepath;
+    this.entries = new Map(); // key -> latest record
+    this.sources = new Set(); // Excel log filenames already present in the history
+    this.loaded = false;
+  }
+
+  load() {
+    this.entries.clear();
+    this.sources.clear();
+    if (fs.existsSync(this.filepath)) {
+      const lines = fs.readFileSync(this.filepath, "utf-8").split("\n");
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+          const record = JSON.parse(line);
+          if (record.source) this.sources.add(record.source);
+          // Re-categorize from the status: older records matched words anywhere in it, so a
+          // rule skip quoting "Applied Scientist" was stored as a success
+          if (record.status) record.category = categorizeStatus(record.status);
+          if (record.key) this.remember(record);
+        } catch (error) {
+          // Skip a corrupt line (e.g. a write interrupted by a crash)
+          continue;
+        }
+      }
+    }
+    this.loaded = true;
+    console.log(
+      `📚 Application history loaded: ${this.entries.size} known jobs from ${this.filepath}`
+    );
+    return this;
+  }
+
+  // Keeps the latest record per key, but never lets a retryable outcome replace a final one
+  // (old logs are imported in filename order, which is not always chronological)
+  remember(record) {
+    const existing = this.entries.get(record.key);
+    if (
+      existing &&
+      ApplicationHistory.isFinal(existing) &&
+      !ApplicationHistory.isFinal(record)
+    ) {
+      return;
+    }
+    this.entries.set(record.key, record);
+  }
+
+  /**
+   * Returns the latest record for a job URL, or null.
+   */
+  find(jobUrl) {
+    const key = getHistoryKey(jobUrl);
+    return key ? this.entries.get(key) || null : null;
+  }
+
+  /**
+   * Returns the latest record only if it is final: the job was applied to, was already applied,
+   * or was rejected by the LLM. Failed and otherwise skipped jobs are retried. Unverified
+   * submissions are not final either: the next run opens the job again and finds the applied
+   * badge if the application did go through.
+   */
+  findFinal(jobUrl) {
+    const record = this.find(jobUrl);
+    return record && ApplicationHistory.isFinal(record) ? record : null;
+  }
+
+  static isFinal(record) {
+    return (
+      record.category === "success" ||
+      record.category === "already_applied" ||
+      // An offline NO_MATCH is only a fallback; let the LLM rate the job in a later run
+      (record.llmMatchScore === "NO_MATCH" &&
+        record.verdictSource !== "offline")
+    );
+  }
+
+  /**
+   * Returns the jobs submitted (verified or not) since a point in time.
+   * @param {Date} since
+   * @returns {object[]} History records.
+   */
+  applicationsSince(since) {
+    return [...this.entries.values()].filter(
+      (record) =>
+        ["success", "unverified"].includes(record.category) &&
+        recordTime(record) >= since.getTime()
+    );
+  }
+
+  /**
+   * Appends a logged job entry to the history.
+   * @param {object} jobEntry - An entry built by JobApplicationLogger.logJob.
+   * @param {string} source - The Excel log filename the entry belongs to.
+   */
+  record(jobEntry, source) {
+    const record = buildRecord(jobEntry, source);
+    if (record) this.append([record]);
+  }
+
+  append(records) {
+    if (records.length === 0) return;
+    try {
+      const dir = path.dirname(this.filepath);
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+      fs.appendFileSync(
+        this.filepath,
+        records.map((record) => JSON.stringify(record)).join("\n") + "\n",
+        "utf-8"
+      );
+      for (const record of records) {
+        if (record.key) this.remember(record);
+        if (record.source) this.sources.add(record.source);
+      }
+    } catch (error) {
+      console.error(`❌ Error writing application history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Seeds the history from JobApp_*.xlsx logs that have not been imported yet.
+   * @param {string} logsDir - Directory holding the Excel logs.
+   * @param {function(string): string} categorizeStatus - Status to category mapping (from the logger).
+   * @param {string[]} [excludeFilenames] - Logs to leave out, e.g. the current run's file.
+   * @returns {Promise<number>} Number of records imported.
+   */
+  async importExcelLogs(logsDir, categorizeStatus, excludeFilenames = []) {
+    if (!fs.existsSync(logsDir)) return 0;
+    const files = fs
+      .readdirSync(logsDir)
+      .filter((file) => /^JobApp_.*\.xlsx$/.test(file))
+      .filter(
+        (file) => !this.sources.has(file) && !excludeFilenames.includes(file)
+      )
+      .sort();
+
+    let imported = 0;
+    for (const file of files) {
+      try {
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.readFile(path.join(logsDir, file));
+        const worksheet =
+          workbook.getWorksheet("Job Applications") || workbook.worksheets[0];
+        if (!worksheet) continue;
+
+        const headerKeys = {};
+        worksheet.getRow(1).eachCell((cell, colNumber) => {
+          const key = EXCEL_HEADER_KEYS[String(cell.value).trim()];
+          if (key) headerKeys[colNumber] = key;
+        });
+
+        const records = [];
+        worksheet.eachRow((row, rowNumber) => {
+          if (rowNumber === 1) return;
+          const jobEntry = {};
+          for (const [colNumber, key] of Object.entries(headerKeys)) {
+            const value = row.getCell(Number(colNumber)).value;
+            jobEntry[key] = value === null || value === undefined ? "" : value;
+          }
+          if (!jobEntry.status) return;
+          jobEntry.category = categorizeStatus(String(jobEntry.status));
+          const record = buildRecord(jobEntry, file);
+          if (record) records.push(record);
+        });
+
+        if (records.length === 0) {
+          // Still remember the file so empty logs are not re-read on every run
+          this.append([{ source: file, recordedAt: new Date().toISOString() }]);
+          continue;
+        }
+        this.append(records);
+        imported += records.length;
+        console.log(`📥 Imported ${records.length} jobs from ${file}`);
+      } catch (error) {
+        console.error(`❌ Error importing ${file}: ${error.message}`);
+      }
+    }
+    return imported;
+  }
+}
+
+module.exports = {
+  ApplicationHistory,
+  DEFAULT_HISTORY_PATH,
+  extractJobId,
+  getHistoryKey,
+};
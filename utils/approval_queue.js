@@ -0,0 +1,167 @@
+// Approval Queue
+// Borderline jobs (PARTIAL_MATCH verdicts that clear the score threshold) are parked in
+// Logs/approval_queue.json instead of being applied to. Each entry keeps what a human needs to
+// decide: title, company, URL, description and the LLM verdict. `npm run review` approves or
+// rejects them in a local web page and tests/apply_approved.spec.js applies to the approved ones.
+// Entry status: pending -> approved / rejected (review page) -> applied / failed (apply spec).
+// The bot and the review server may run at the same time, so every change re-reads the file
+// before writing it.
+const fs = require("fs");
+const path = require("path");
+const { getHistoryKey } = require("./application_history");
+
+const DEFAULT_QUEUE_PATH = path.join(
+  __dirname,
+  "..",
+  "Logs",
+  "approval_queue.json"
+);
+
+class ApprovalQueue {
+  constructor(filepath = DEFAULT_QUEUE_PATH) {
+    this.filepath = filepath;
+    this.entries = new Map(); // history key -> entry
+  }
+
+  load() {
+    this.entries.clear();
+    if (fs.existsSync(this.filepath)) {
+      try {
+        const data = JSON.parse(fs.readFileSync(this.filepath, "utf-8"));
+        for (const entry of data.entries || []) {
+          if (entry.key) this.entries.set(entry.key, entry);
+        }
+      } catch (error) {
+        console.warn(`⚠️ Could not read approval queue: ${error.message}`);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Returns the queue entry for a job URL, or null.
+   */
+  find(jobUrl) {
+    const key = getHistoryKey(jobUrl);
+    return key ? this.entries.get(key) || null : null;
+  }
+
+  /**
+   * Parks a job for review. A job that is already queued keeps its entry (and any decision).
+   * @param {object} job - { jobTitle, companyName, jobPageUrl, description, searchTerm, llmMatch,
+   *   metadata }
+   * @returns {object|null} The queue entry, or null when the job URL is unusable.
+   */
+  add({
+    jobTitle,
+    companyName,
+    jobPageUrl,
+    description,
+    searchTerm,
+    llmMatch,
+    metadata,
+  }) {
+    const key = getHistoryKey(jobPageUrl);
+    if (!key) return null;
+    this.load();
+    if (this.entries.has(key)) return this.entries.get(key);
+    const entry = {
+      key,
+      jobTitle,
+      companyName,
+      jobPageUrl,
+      searchTerm: searchTerm || "",
+      description: description || "",
+      llmMatch: llmMatch ? llmMatch.match : "N/A",
+      llmScore:
+        llmMatch && llmMatch.score !== undefined ? llmMatch.score : null,
+      llmReason: llmMatch ? llmMatch.reason || "" : "",
+      matchedSkills: (llmMatch && llmMatch.matchedSkills) || [],
+      missingSkills: (llmMatch && llmMatch.missingSkills) || [],
+      metadata: metadata || {},
+      status: "pending",
+      queuedAt: new Date().toISOString(),
+      decidedAt: null,
+      appliedAt: null,
+      result: "",
+    };
+    this.entries.set(key, entry);
+    this.save();
+    return entry;
+  }
+
+  /**
+   * @param {string} [status] - Only entries with this status; all entries when omitted.
+   * @returns {object[]} Oldest first.
+   */
+  list(status) {
+    return [...this.entries.values()]
+      .filter((entry) => !status || entry.status === status)
+      .sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+  }
+
+  /**
+   * Records approve/reject decisions from the review page.
+   * @param {string[]} keys - Queue entry keys.
+   * @param {string} decision - "approved", "rejected" or "pending" (undo).
+   * @returns {{success: boolean, updated?: number, reason?: string}}
+   */
+  decide(keys, decision) {
+    if (!["approved", "rejected", "pending"].includes(decision)) {
+      return { success: false, reason: `Unknown decision "${decision}"` };
+    }
+    this.load();
+    let updated = 0;
+    for (const key of keys) {
+      const entry = this.entries.get(key);
+      // Jobs that were applied to cannot be re-decided; failed ones may be approved again
+      if (!entry || entry.status === "applied") continue;
+      entry.status = decision;
+      entry.decidedAt =
+        decision === "pending" ? null : new Date().toISOString();
+      updated++;
+    }
+    if (updated > 0) this.save();
+    return { success: true, updated };
+  }
+
+  /**
+   * Stores the outcome of applying to an approved job.
+   * @param {string} key
+   * @param {{success: boolean, alreadyApplied?: boolean, verified?: boolean, reason?: string}} applicationResult
+   */
+  markApplied(key, applicationResult) {
+    this.load();
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    entry.status = applicationResult.success ? "applied" : "failed";
+    entry.appliedAt = new Date().toISOString();
+    entry.result = applicationResult.success
+      ? applicationResult.alreadyApplied
+        ? "Already Applied"
+        : applicationResult.verified === false
+        ? "Submitted (Unverified)"
+        : "Applied"
+      : applicationResult.reason || "Failed";
+    this.save();
+  }
+
+  save() {
+    try {
+      const dir = path.dirname(this.filepath);
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+      // Write to a temp file first so a crash mid-write never leaves a truncated queue
+      const tmpPath = `${this.filepath}.tmp`;
+      fs.writeFileSync(
+        tmpPath,
+        JSON.stringify({ version: 1, entries: this.list() }, null, 2),
+        "utf-8"
+      );
+      fs.renameSync(tmpPath, this.filepath);
+    } catch (error) {
+      console.error(`❌ Error saving approval queue: ${error.message}`);
+    }
+  }
+}
+
+module.exports = { ApprovalQueue, DEFAULT_QUEUE_PATH };
@@ -0,0 +1,194 @@
+// Approved Jobs Runner
+// Applies to the jobs approved on the review page (Logs/approval_queue.json) with the same
+// login and applyToJob flow as the search runs, and logs them to a regular JobApp_*.xlsx log
+// so they end up in the application history and the HTML dashboard. Screening questions are
+// answered from the answer bank only; this run has no LLM client.
+const { ApplicationHistory } = require("./application_history");
+const { ApprovalQueue } = require("./approval_queue");
+const { CompanyLimits } = require("./company_limits");
+const { loadConfig } = require("./config");
+const { JobApplicationLogger } = require("./job_application_logger");
+const {
+  safeGoto,
+  performLogin,
+  applyToJob,
+  BROWSER_CONTEXT_OPTIONS,
+} = require("./dice_page");
+const { createStats, recordResult } = require("./dice_engine");
+const { ScreeningAnswerer, loadAnswerBank } = require("./screening_answers");
+const { reconcileWithDashboard } = require("./reconciliation");
+
+/**
+ * Registers one test that applies to every approved queue entry.
+ * @param {object} test - The Playwright `test` object of the calling spec.
+ * @param {object} options
+ * @param {string} options.defaultProfile - dice.config.json profile (only dryRun, the tab
+ *   delay, the answer bank, the company limits and the reconciliation settings are used).
+ */
+function registerApprovedRun(test, { defaultProfile }) {
+  const config = loadConfig({ defaultProfile });
+  test.setTimeout(0);
+
+  const queue = new ApprovalQueue();
+  const history = new ApplicationHistory();
+  const logger = new JobApplicationLogger({
+    history: config.dryRun ? null : history,
+    filePrefix: config.dryRun ? "DryRun" : "JobApp",
+  });
+  const stats = createStats();
+
+  test.describe(`approval queue${config.dryRun ? " (dry run)" : ""}`, () => {
+    test("Apply to approved jobs", async ({ browser }) => {
+      const approved = queue.load().list("approved");
+      console.log(`🗳️ ${approved.length} approved job(s) in the queue`);
+      test.skip(approved.length === 0, "No approved jobs in the queue");
+
+      await logger.initializeExcel();
+      history.load();
+      const companyLimits = new CompanyLimits({
+        limit: config.companyLimit,
+        days: config.companyLimitDays,
+        overrides: config.companyLimitOverrides,
+        history,
+      });
+      console.log(`🏢 Company limits: ${companyLimits.describe()}`);
+      const screening = new ScreeningAnswerer({
+        bank: loadAnswerBank(config.answerBankPath),
+        onUnanswered: (record) => logger.logUnansweredQuestion(record),
+      });
+      const context = await browser.newContext(BROWSER_CONTEXT_OPTIONS);
+      try {
+        const page = await context.newPage();
+        await performLogin(page);
+
+        for (const entry of approved) {
+          logger.setSearchTerm(entry.searchTerm);
+          const llmMatch = {
+            match: entry.llmMatch,
+            score: entry.llmScore === null ? undefined : entry.llmScore,
+            reason: `[Approved] ${entry.llmReason}`,
+            matchedSkills: entry.matchedSkills,
+            missingSkills: entry.missingSkills,
+          };
+          const log = (status) =>
+            logger.logJob(
+              entry.jobTitle,
+              entry.companyName,
+              status,
+              llmMatch,
+              "",
+              entry.jobPageUrl,
+              entry.metadata
+            );
+
+          // Another run may have applied in the meantime
+          const previousRecord = history.find(entry.jobPageUrl);
+          if (
+            previousRecord &&
+            ["success", "already_applied"].includes(previousRecord.category)
+          ) {
+            const status = `Skipped - Seen in previous run (${previousRecord.status})`;
+            await log(status);
+            queue.markApplied(entry.key, {
+              success: true,
+              alreadyApplied: true,
+            });
+            recordResult(stats, {
+              success: false,
+              reason: status,
+              skipped: true,
+              previouslySeen: true,
+            });
+            continue;
+          }
+
+          // Stays approved in the queue, so a later run applies once the window has moved on
+          const limited = companyLimits.check(entry.companyName);
+          if (limited) {
+            const status = `Skipped - Company limit (${limited.reason})`;
+            console.log(
+              `🏢 "${entry.jobTitle}" skipped, ${entry.companyName} reached its limit: ${limited.reason}`
+            );
+            await log(status);
+            recordResult(stats, {
+              success: false,
+              reason: status,
+              skipped: true,
+              companyLimited: true,
+            });
+            continue;
+          }
+
+          if (config.dryRun) {
+            companyLimits.count(entry.companyName);
+            await log("Would Apply");
+            recordResult(stats, {
+              success: false,
+              reason: "Would Apply",
+              wouldApply: true,
+            });
+            continue;
+          }
+
+          const pageLoaded = await safeGoto(page, entry.jobPageUrl);
+          const applicationResult = pageLoaded
+            ? await applyToJob(page, {
+                fillStep: (jobPage, step) =>
+                  screening.fillStep(jobPage, step, entry),
+              })
+            : { success: false, reason: "Job page failed to load" };
+          queue.markApplied(entry.key, applicationResult);
+
+          if (applicationResult.success) {
+            if (!applicationResult.alreadyApplied) {
+              companyLimits.count(entry.companyName);
+            }
+            await log(
+              applicationResult.alreadyApplied
+                ? "Already Applied"
+                : applicationResult.verified === false
+                ? "Submitted (Unverified, approved)"
+                : "Success - Applied (approved)"
+            );
+          } else {
+            await log(`Failed - ${applicationResult.reason}`);
+          }
+          recordResult(stats, {
+            success: applicationResult.success,
+            reason: applicationResult.reason,
+            alreadyApplied: applicationResult.alreadyApplied,
+            unverified:
+              applicationResult.success && applicationResult.verified === false,
+          });
+          await logger.saveExcel();
+          await page.waitForTimeout(config.tabDelay);
+        }
+
+        if (config.reconcileEnabled && stats.applied + stats.unverified > 0) {
+          await reconcileWithDashboard({
+            browser,
+            logger,
+            history,
+            appliedJobsUrl: config.appliedJobsUrl,
+          });
+        }
+      } finally {
+        await context.close();
+        await logger.saveExcel();
+        await logger.saveHtmlReport(stats);
+        console.log(
+          `📊 Approved jobs: ${stats.applied} applied, ${
+            stats.unverified
+          } unverified, ${stats.alreadyApplied} already applied, ${
+            stats.failed
+          } failed, ${stats.skipped} skipped${
+            config.dryRun ? `, ${stats.wouldApply} would apply (dry run)` : ""
+          }`
+        );
+        console.log(`📁 Excel Log: ${logger.getLogSummary().filepath}`);
+      }
+    });
+  });
+}
+
+module.exports = { registerApprovedRun };
@@ -0,0 +1,122 @@
+// Search Card Pre-filter
+// Reads title, company, location and the Easy Apply / Applied badges straight from a search
+// result card and drops jobs that would be skipped anyway before processJob opens a tab for them.
+// The job rules (utils/job_rules.js) run on the fields a card shows; rules that need the job page
+// wait for processJob. Rejections are logged as "Skipped - Pre-filtered (<reason>)"; the job stays
+// out of the final history categories, so a later run with other settings looks at it again.
+const { evaluateRules } = require("./job_rules");
+
+const TITLE_SELECTORS = [
+  "[data-testid='job-search-job-detail-link']",
+  "a[href*='/job-detail/']",
+  "a[data-cy='card-title-link']",
+  "h5",
+];
+const COMPANY_SELECTORS = [
+  "[data-testid='search-result-company-name']",
+  "[data-cy='search-result-company-name']",
+  "a[href*='/company-profile/']",
+  "[class*='company' i]",
+];
+const LOCATION_SELECTORS = [
+  "[data-testid='search-result-location']",
+  "[data-cy='search-result-location']",
+  "[class*='location' i]",
+];
+
+/**
+ * Reads what a search result card shows about its job.
+ * @param {import('@playwright/test').Locator} jobCard
+ * @returns {Promise<{jobTitle: string, companyName: string, location: string, jobPageUrl: string,
+ *   easyApply: boolean, applied: boolean}|null>} null when the card cannot be read.
+ */
+async function readSearchCard(jobCard) {
+  try {
+    return await jobCard.evaluate(
+      (card, selectors) => {
+        const text = (el) =>
+          ((el && (el.innerText || el.textContent)) || "")
+            .replace(/\s+/g, " ")
+            .trim();
+        const first = (list) =>
+          list
+            .map((selector) => text(card.querySelector(selector)))
+            .find(Boolean) || "";
+        // A badge's whole text is the label (an icon may sit next to it); longer text only
+        // mentions the words
+        const badges = Array.from(
+          card.querySelectorAll("span, div, p, button, a")
+        ).map((el) => text(el).toLowerCase());
+        const link =
+          card.querySelector("a[href*='/job-detail/']") ||
+          card.querySelector("a");
+        return {
+          jobTitle: first(selectors.title),
+          companyName: first(selectors.company),
+          location: first(selectors.location),
+          jobPageUrl: link ? link.href : "",
+          easyApply:
+            badges.includes("easy apply") ||
+            Boolean(card.querySelector("[data-testid*='easy-apply' i]")),
+          applied:
+            badges.includes("applied") ||
+            Boolean(card.querySelector("[data-testid*='applied-badge' i]")),
+        };
+      },
+      {
+        title: TITLE_SELECTORS,
+        company: COMPANY_SELECTORS,
+        location: LOCATION_SELECTORS,
+      },
+      { timeout: 5000 }
+    );
+  } catch (error) {
+    console.warn(`⚠️ Could not read search card: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Decides whether a card is worth opening.
+ * @param {object} card - From readSearchCard.
+ * @param {object} options
+ * @param {boolean} [options.requireEasyApply] - Drop cards without the Easy Apply badge.
+ * @param {object[]} [options.rules] - Job rules (from loadJobRules).
+ * @param {function(string): boolean} [options.titleMatches] - Only when titles decide on their
+ *   own (no scorer to rate the description), the search-term match for a title.
+ * @returns {{pass: boolean, reason?: string}}
+ */
+function preFilterCard(
+  card,
+  { requireEasyApply = false, rules = [], titleMatches = null } = {}
+) {
+  if (requireEasyApply && !card.easyApply) {
+    return { pass: false, reason: "No Easy Apply" };
+  }
+  const broken = evaluateRules(card, rules);
+  if (broken) {
+    return { pass: false, reason: `Rule "${broken.rule}": ${broken.detail}` };
+  }
+  // An unreadable title is never a reason to drop the job
+  if (titleMatches && card.jobTitle && !titleMatches(card.jobTitle)) {
+    return { pass: false, reason: "No keyword match" };
+  }
+  return { pass: true };
+}
+
+/**
+ * Fills the fields a card did not show from the search response data (utils/network_jobs.js).
+ * @param {object} card
+ * @param {object|null} networkJob
+ * @returns {object} The card.
+ */
+function completeCard(card, networkJob) {
+  if (!networkJob) return card;
+  card.jobTitle = card.jobTitle || networkJob.jobTitle;
+  card.companyName = card.companyName || networkJob.companyName;
+  card.location = card.location || networkJob.metadata.location;
+  card.easyApply = card.easyApply || networkJob.easyApply === true;
+  return card;
+}
+
+module.exports = { readSearchCard, preFilterCard, completeCard };
@@ -0,0 +1,92 @@
+// Company Application Limits
+// Staffing agencies post dozens of near-identical reqs, so applications per company are limited
+// over a rolling window (companyLimit per companyLimitDays, e.g. 3 per 7 days). Earlier runs are
+// counted from the application history, this run as it goes. companyLimitOverrides sets another
+// limit for single companies ("Robert Half=1", "=0" for no limit). Company names are compared
+// normalized, so "Acme, Inc." and "ACME LLC" share one limit.
+const { normalizeCompanyName } = require("./job_registry");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parses companyLimitOverrides entries ("Company=limit").
+ * @param {string[]} entries
+ * @returns {Map<string, number>} normalized company name -> limit
+ */
+function parseCompanyLimitOverrides(entries = []) {
+  const overrides = new Map();
+  for (const entry of entries) {
+    const separator = entry.lastIndexOf("=");
+    const company = normalizeCompanyName(entry.slice(0, separator));
+    const limit = Number(entry.slice(separator + 1).trim());
+    if (separator > 0 && company && Number.isInteger(limit) && limit >= 0) {
+      overrides.set(company, limit);
+    }
+  }
+  return overrides;
+}
+
+class CompanyLimits {
+  /**
+   * @param {object} options
+   * @param {number} options.limit - Applications per company in the window (0 = no limit).
+   * @param {number} options.days - Length of the rolling window.
+   * @param {string[]} [options.overrides] - companyLimitOverrides entries.
+   * @param {object} [options.history] - A loaded ApplicationHistory; its submissions inside the
+   *   window are counted once, here, and this run's are added with count().
+   */
+  constructor({ limit, days, overrides = [], history = null }) {
+    this.limit = limit;
+    this.days = days;
+    this.overrides = parseCompanyLimitOverrides(overrides);
+    this.applications = new Map(); // normalized company name -> submissions in the window
+    if (history && history.loaded) {
+      const since = new Date(Date.now() - days * DAY_MS);
+      for (const record of history.applicationsSince(since)) {
+        this.count(record.companyName);
+      }
+    }
+  }
+
+  limitFor(company) {
+    return this.overrides.has(company)
+      ? this.overrides.get(company)
+      : this.limit;
+  }
+
+  // Counts a submission (or, in a dry run, a job that would be applied to)
+  count(companyName) {
+    const company = normalizeCompanyName(companyName);
+    if (company) {
+      this.applications.set(company, (this.applications.get(company) || 0) + 1);
+    }
+  }
+
+  /**
+   * @param {string} companyName
+   * @returns {{limit: number, applications: number, reason: string}|null} The limit that stops
+   *   another application to the company, or null. Unknown companies are never limited.
+   */
+  check(companyName) {
+    const company = normalizeCompanyName(companyName);
+    if (!company) return null;
+    const limit = this.limitFor(company);
+    const applications = this.applications.get(company) || 0;
+    if (limit === 0 || applications < limit) return null;
+    return {
+      limit,
+      applications,
+      reason: `${applications} in the last ${this.days} days, limit ${limit}`,
+    };
+  }
+
+  describe() {
+    const limit =
+      this.limit > 0
+        ? `${this.limit} per company every ${this.days} days`
+        : "no limit per company";
+    return `${limit}, ${this.overrides.size} override(s)`;
+  }
+}
+
+module.exports = { CompanyLimits, parseCompanyLimitOverrides };
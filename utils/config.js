@@ -0,0 +1,569 @@
+// Run Configuration
+// Loads dice.config.json (plus an optional, git-ignored dice.config.local.json), picks a named
+// profile, applies environment-variable overrides and validates the result, so search terms and
+// tuning values can be changed without editing the specs.
+// Precedence (lowest to highest): defaults < profile < DICE_* environment variables.
+// scripts/run.js turns command-line flags into those environment variables.
+const fs = require("fs");
+const path = require("path");
+
+const ROOT_DIR = path.join(__dirname, "..");
+const DEFAULT_CONFIG_PATH = path.join(ROOT_DIR, "dice.config.json");
+const LOCAL_CONFIG_PATH = path.join(ROOT_DIR, "dice.config.local.json");
+
+// Built-in search URLs per run mode, {query} is replaced by the encoded search term
+const SEARCH_MODES = {
+  "easy-apply-today":
+    "https://www.dice.com/jobs?filters.easyApply=true&filters.postedDate=ONE&q={query}",
+  "all-postings": "https://www.dice.com/jobs?&q={query}",
+};
+
+// What to do with a PARTIAL_MATCH verdict that clears the score threshold
+const PARTIAL_MATCH_ACTIONS = ["queue", "apply"];
+
+// Implemented in utils/llm_providers.js
+const LLM_PROVIDERS = ["groq", "openai-compatible"];
+
+// "as-found" applies while searching, "ranked" scores every job first (utils/ranked_apply.js)
+const APPLY_MODES = ["as-found", "ranked"];
+
+// Candidate profile values understood by utils/work_requirements.js
+const WORK_AUTHORIZATIONS = ["citizen", "green-card", "ead", "visa"];
+const SECURITY_CLEARANCES = [
+  "none",
+  "public-trust",
+  "secret",
+  "top-secret",
+  "ts-sci",
+];
+const TAX_TERMS = ["W2", "C2C", "1099"];
+
+// Every configurable key: its type, constraints, and the env var / CLI flag that overrides it.
+const CONFIG_SCHEMA = {
+  searchItems: {
+    type: "string[]",
+    minItems: 1,
+    env: "DICE_SEARCH_ITEMS",
+    flag: "--search",
+    description: "Search terms (comma-separated on the command line)",
+  },
+  searchMode: {
+    type: "enum",
+    values: Object.keys(SEARCH_MODES),
+    env: "DICE_SEARCH_MODE",
+    flag: "--search-mode",
+    description: `Which jobs to search: ${Object.keys(SEARCH_MODES).join(
+      " or "
+    )}`,
+  },
+  searchUrlTemplate: {
+    type: "string",
+    optional: true,
+    pattern: /\{query\}/,
+    patternHint: 'must contain "{query}"',
+    env: "DICE_SEARCH_URL_TEMPLATE",
+    flag: "--search-url-template",
+    description:
+      "Custom search URL ({query} = encoded term), overrides the mode",
+  },
+  maxPages: {
+    type: "integer",
+    min: 1,
+    env: "DICE_MAX_PAGES",
+    flag: "--max-pages",
+    description: "Result pages to scrape per search term",
+  },
+  maxConcurrentTabs: {
+    type: "integer",
+    min: 1,
+    env: "DICE_MAX_CONCURRENT_TABS",
+    flag: "--max-concurrent-tabs",
+    description: "Job tabs processed in parallel",
+  },
+  tabDelay: {
+    type: "integer",
+    min: 0,
+    env: "DICE_TAB_DELAY",
+    flag: "--tab-delay",
+    description: "Delay between opening parallel tabs (ms)",
+  },
+  pageDelay: {
+    type: "integer",
+    min: 0,
+    env: "DICE_PAGE_DELAY",
+    flag: "--page-delay",
+    description: "Pause between job batches (ms)",
+  },
+  batchSize: {
+    type: "integer",
+    min: 1,
+    env: "DICE_BATCH_SIZE",
+    flag: "--batch-size",
+    description: "Search terms per Playwright test",
+  },
+  cvPath: {
+    type: "string",
+    env: "DICE_CV_PATH",
+    flag: "--cv",
+    description: "CV PDF, relative to the repo root or absolute",
+  },
+  llmEnabled: {
+    type: "boolean",
+    env: "DICE_LLM_ENABLED",
+    flag: "--llm",
+    description: "Use the LLM to rate jobs",
+  },
+  llmScoreThreshold: {
+    type: "integer",
+    min: 0,
+    max: 100,
+    env: "DICE_LLM_SCORE_THRESHOLD",
+    flag: "--llm-score-threshold",
+    description: "Minimum LLM match score (0-100) needed to apply",
+  },
+  partialMatchAction: {
+    type: "enum",
+    values: PARTIAL_MATCH_ACTIONS,
+    env: "DICE_PARTIAL_MATCH_ACTION",
+    flag: "--partial-match-action",
+    description:
+      "PARTIAL_MATCH jobs: queue them for review (npm run review) or apply",
+  },
+  llmProvider: {
+    type: "enum",
+    values: LLM_PROVIDERS,
+    env: "DICE_LLM_PROVIDER",
+    flag: "--llm-provider",
+    description: `LLM provider: ${LLM_PROVIDERS.join(" or ")}`,
+  },
+  llmBaseUrl: {
+    type: "string",
+    optional: true,
+    pattern: /^https?:\/\//,
+    patternHint: "must start with http:// or https://",
+    env: "DICE_LLM_BASE_URL",
+    flag: "--llm-base-url",
+    description: "Base URL of an OpenAI-compatible server, e.g. Ollama",
+  },
+  llmModels: {
+    type: "string[]",
+    minItems: 1,
+    env: "DICE_LLM_MODELS",
+    flag: "--llm-models",
+    description: "Models to try in order (comma-separated on the command line)",
+  },
+  llmKeywordModels: {
+    type: "string[]",
+    minItems: 1,
+    optional: true,
+    env: "DICE_LLM_KEYWORD_MODELS",
+    flag: "--llm-keyword-models",
+    description: "Models for CV keyword extraction (default: llmModels)",
+  },
+  llmMatchModels: {
+    type: "string[]",
+    minItems: 1,
+    optional: true,
+    env: "DICE_LLM_MATCH_MODELS",
+    flag: "--llm-match-models",
+    description: "Models for job matching (default: llmModels)",
+  },
+  llmCacheTtlHours: {
+    type: "integer",
+    min: 0,
+    env: "DICE_LLM_CACHE_TTL_HOURS",
+    flag: "--llm-cache-ttl-hours",
+    description:
+      "How long cached LLM results are reused (0 disables the cache)",
+  },
+  cvKeywordCount: {
+    type: "integer",
+    min: 1,
+    env: "DICE_CV_KEYWORD_COUNT",
+    flag: "--cv-keyword-count",
+    description: "Number of keywords to extract from the CV",
+  },
+  dryRun: {
+    type: "boolean",
+    env: "DICE_DRY_RUN",
+    flag: "--dry-run",
+    description: 'Score and log jobs as "Would Apply" without clicking Apply',
+  },
+  applyMode: {
+    type: "enum",
+    values: APPLY_MODES,
+    env: "DICE_APPLY_MODE",
+    flag: "--apply-mode",
+    description:
+      "as-found: apply while searching; ranked: score every job, then apply best first",
+  },
+  maxApplicationsPerDay: {
+    type: "integer",
+    min: 0,
+    env: "DICE_MAX_APPLICATIONS_PER_DAY",
+    flag: "--max-applications-per-day",
+    description:
+      "Ranked mode: submissions per day, history included (0 = no cap)",
+  },
+  maxApplicationsPerCompany: {
+    type: "integer",
+    min: 0,
+    env: "DICE_MAX_APPLICATIONS_PER_COMPANY",
+    flag: "--max-applications-per-company",
+    description: "Ranked mode: submissions per company per day (0 = no cap)",
+  },
+  companyLimit: {
+    type: "integer",
+    min: 0,
+    env: "DICE_COMPANY_LIMIT",
+    flag: "--company-limit",
+    description:
+      "Applications per company within companyLimitDays, across runs (0 = no limit)",
+  },
+  companyLimitDays: {
+    type: "integer",
+    min: 1,
+    env: "DICE_COMPANY_LIMIT_DAYS",
+    flag: "--company-limit-days",
+    description: "Length of the rolling company-limit window, in days",
+  },
+  companyLimitOverrides: {
+    type: "string[]",
+    itemPattern: /^[^=]*[^=\s][^=]*=\s*\d+\s*$/,
+    itemPatternHint: 'items must look like "Company=limit"',
+    env: "DICE_COMPANY_LIMIT_OVERRIDES",
+    flag: "--company-limit-overrides",
+    description:
+      'Per-company limits, e.g. "Robert Half=1,Acme=5" (0 = no limit)',
+  },
+  offlineScorerEnabled: {
+    type: "boolean",
+    env: "DICE_OFFLINE_SCORER",
+    flag: "--offline-scorer",
+    description: "Rate jobs locally when the LLM is off or unavailable",
+  },
+  offlineScoreThreshold: {
+    type: "integer",
+    min: 0,
+    max: 100,
+    env: "DICE_OFFLINE_SCORE_THRESHOLD",
+    flag: "--offline-score-threshold",
+    description: "Minimum offline match score (0-100) needed to apply",
+  },
+  skillSynonymsPath: {
+    type: "string",
+    env: "DICE_SKILL_SYNONYMS",
+    flag: "--skill-synonyms",
+    description: "Skill synonym dictionary (JSON) used by the offline scorer",
+  },
+  answerBankPath: {
+    type: "string",
+    env: "DICE_ANSWER_BANK",
+    flag: "--answer-bank",
+    description: "Answers to Easy Apply screening questions (JSON)",
+  },
+  screeningLlmEnabled: {
+    type: "boolean",
+    env: "DICE_SCREENING_LLM",
+    flag: "--screening-llm",
+    description:
+      "Let the LLM answer required screening questions missing from the bank",
+  },
+  preFilterEnabled: {
+    type: "boolean",
+    env: "DICE_PRE_FILTER",
+    flag: "--pre-filter",
+    description: "Drop jobs from their search card before opening a tab",
+  },
+  requireEasyApply: {
+    type: "boolean",
+    env: "DICE_REQUIRE_EASY_APPLY",
+    flag: "--require-easy-apply",
+    description: "Pre-filter cards without the Easy Apply badge",
+  },
+  excludedCompanies: {
+    type: "string[]",
+    env: "DICE_EXCLUDED_COMPANIES",
+    flag: "--excluded-companies",
+    description:
+      "Companies never applied to (case-insensitive, partial names match)",
+  },
+  excludedTitleKeywords: {
+    type: "string[]",
+    env: "DICE_EXCLUDED_TITLE_KEYWORDS",
+    flag: "--excluded-title-keywords",
+    description: "Title phrases that rule a job out, e.g. Senior Manager",
+  },
+  jobRulesPath: {
+    type: "string",
+    env: "DICE_JOB_RULES",
+    flag: "--job-rules",
+    description: "Named job filter rules (JSON, relative to the repo root)",
+  },
+  workRequirementsEnabled: {
+    type: "boolean",
+    env: "DICE_WORK_REQUIREMENTS",
+    flag: "--work-requirements",
+    description:
+      "Read sponsorship, clearance and tax terms from descriptions and skip ineligible jobs",
+  },
+  workRequirementsLlm: {
+    type: "boolean",
+    env: "DICE_WORK_REQUIREMENTS_LLM",
+    flag: "--work-requirements-llm",
+    description:
+      "Let the LLM confirm a work requirement before a job is skipped for it",
+  },
+  workAuthorization: {
+    type: "enum",
+    values: WORK_AUTHORIZATIONS,
+    optional: true,
+    env: "DICE_WORK_AUTHORIZATION",
+    flag: "--work-authorization",
+    description: `Your work authorization: ${WORK_AUTHORIZATIONS.join(
+      ", "
+    )} (unset: not checked)`,
+  },
+  needsSponsorship: {
+    type: "boolean",
+    env: "DICE_NEEDS_SPONSORSHIP",
+    flag: "--needs-sponsorship",
+    description: 'You need visa sponsorship (skips "No sponsorship" jobs)',
+  },
+  securityClearance: {
+    type: "enum",
+    values: SECURITY_CLEARANCES,
+    env: "DICE_SECURITY_CLEARANCE",
+    flag: "--security-clearance",
+    description: `Clearance you hold: ${SECURITY_CLEARANCES.join(", ")}`,
+  },
+  acceptedTaxTerms: {
+    type: "string[]",
+    values: TAX_TERMS,
+    env: "DICE_ACCEPTED_TAX_TERMS",
+    flag: "--accepted-tax-terms",
+    description: `Tax terms you work on: ${TAX_TERMS.join(
+      ", "
+    )} (empty: not checked)`,
+  },
+  networkJobData: {
+    type: "boolean",
+    env: "DICE_NETWORK_JOB_DATA",
+    flag: "--network-job-data",
+    description:
+      "Read job data from Dice's JSON responses, falling back to the page",
+  },
+  reconcileEnabled: {
+    type: "boolean",
+    env: "DICE_RECONCILE",
+    flag: "--reconcile",
+    description:
+      "Check the run log against Dice's applied-jobs page afterwards",
+  },
+  appliedJobsUrl: {
+    type: "string",
+    pattern: /^https?:\/\//,
+    patternHint: "must start with http:// or https://",
+    env: "DICE_APPLIED_JOBS_URL",
+    flag: "--applied-jobs-url",
+    description: "Applied-jobs page of the Dice candidate dashboard",
+  },
+};
+
+function readJsonFile(filepath) {
+  try {
+    return JSON.parse(fs.readFileSync(filepath, "utf-8"));
+  } catch (error) {
+    throw new Error(`Could not parse ${filepath}: ${error.message}`);
+  }
+}
+
+// Converts an env var / CLI string to the type declared in the schema
+function parseOverride(key, rawValue) {
+  const rule = CONFIG_SCHEMA[key];
+  if (rule.type === "string[]") {
+    return rawValue
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean);
+  }
+  if (rule.type === "integer") {
+    return /^-?\d+$/.test(rawValue.trim()) ? Number(rawValue) : rawValue;
+  }
+  if (rule.type === "boolean") {
+    const normalized = rawValue.trim().toLowerCase();
+    if (["true", "1", "yes"].includes(normalized)) return true;
+    if (["false", "0", "no"].includes(normalized)) return false;
+  }
+  return rawValue;
+}
+
+/**
+ * Validates a resolved configuration against CONFIG_SCHEMA.
+ * @param {object} config
+ * @param {string} label - Used as a prefix in error messages.
+ * @param {boolean} [partial] - Profiles may omit keys; the resolved config may not.
+ * @returns {string[]} The list of problems (empty when valid).
+ */
+function validateConfig(config, label, partial = false) {
+  const errors = [];
+  for (const key of Object.keys(config)) {
+    if (!CONFIG_SCHEMA[key]) errors.push(`${label}: unknown key "${key}"`);
+  }
+  for (const [key, rule] of Object.entries(CONFIG_SCHEMA)) {
+    const value = config[key];
+    if (value === undefined) {
+      if (!partial && !rule.optional)
+        errors.push(`${label}: "${key}" is required`);
+      continue;
+    }
+    if (rule.type === "string[]") {
+      if (
+        !Array.isArray(value) ||
+        value.some((item) => typeof item !== "string" || !item.trim())
+      ) {
+        errors.push(`${label}: "${key}" must be an array of non-empty strings`);
+      } else if (
+        rule.values &&
+        value.some((item) => !rule.values.includes(item))
+      ) {
+        errors.push(
+          `${label}: "${key}" items must be among ${rule.values.join(
+            ", "
+          )}, got "${value.join(", ")}"`
+        );
+      } else if (
+        rule.itemPattern &&
+        value.some((item) => !rule.itemPattern.test(item))
+      ) {
+        errors.push(`${label}: "${key}" ${rule.itemPatternHint}`);
+      } else if (rule.minItems && value.length < rule.minItems) {
+        errors.push(
+          `${label}: "${key}" needs at least ${rule.minItems} item(s)`
+        );
+      }
+    } else if (rule.type === "integer") {
+      if (!Number.isInteger(value)) {
+        errors.push(`${label}: "${key}" must be an integer, got "${value}"`);
+      } else if (rule.min !== undefined && value < rule.min) {
+        errors.push(`${label}: "${key}" must be >= ${rule.min}`);
+      } else if (rule.max !== undefined && value > rule.max) {
+        errors.push(`${label}: "${key}" must be <= ${rule.max}`);
+      }
+    } else if (rule.type === "string") {
+      if (typeof value !== "string" || !value.trim()) {
+        errors.push(`${label}: "${key}" must be a non-empty string`);
+      } else if (rule.pattern && !rule.pattern.test(value)) {
+        errors.push(`${label}: "${key}" ${rule.patternHint}`);
+      }
+    } else if (rule.type === "enum") {
+      if (!rule.values.includes(value)) {
+        errors.push(
+          `${label}: "${key}" must be one of ${rule.values.join(
+            ", "
+          )}, got "${value}"`
+        );
+      }
+    } else if (rule.type === "boolean") {
+      if (typeof value !== "boolean") {
+        errors.push(`${label}: "${key}" must be true or false, got "${value}"`);
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Loads and validates the run configuration.
+ * @param {object} options
+ * @param {string} options.defaultProfile - Profile used when DICE_PROFILE is not set.
+ * @param {string} [options.configPath] - Defaults to DICE_CONFIG or dice.config.json in the repo root.
+ * @returns {object} The resolved configuration, with `profile`, absolute file paths and the
+ *   `searchUrlTemplate` of the selected search mode (unless a custom one is configured).
+ *   `llmKeywordModels` and `llmMatchModels` default to `llmModels`.
+ */
+function loadConfig({ defaultProfile, configPath } = {}) {
+  const filepath = path.resolve(
+    ROOT_DIR,
+    configPath || process.env.DICE_CONFIG || DEFAULT_CONFIG_PATH
+  );
+  if (!fs.existsSync(filepath)) {
+    throw new Error(`Configuration file not found: ${filepath}`);
+  }
+  const fileConfig = readJsonFile(filepath);
+  const defaults = { ...(fileConfig.defaults || {}) };
+  const profiles = { ...(fileConfig.profiles || {}) };
+
+  // Personal overrides that are not committed (see .gitignore)
+  if (filepath === DEFAULT_CONFIG_PATH && fs.existsSync(LOCAL_CONFIG_PATH)) {
+    const localConfig = readJsonFile(LOCAL_CONFIG_PATH);
+    Object.assign(defaults, localConfig.defaults || {});
+    for (const [name, profile] of Object.entries(localConfig.profiles || {})) {
+      profiles[name] = { ...(profiles[name] || {}), ...profile };
+    }
+  }
+
+  const profileName = process.env.DICE_PROFILE || defaultProfile;
+  if (profileName && !profiles[profileName]) {
+    throw new Error(
+      `Unknown profile "${profileName}". Available profiles: ${Object.keys(
+        profiles
+      ).join(", ")}`
+    );
+  }
+
+  const errors = validateConfig(defaults, "defaults", true);
+  for (const [name, profile] of Object.entries(profiles)) {
+    errors.push(...validateConfig(profile, `profiles.${name}`, true));
+  }
+
+  const resolved = {
+    ...defaults,
+    ...(profileName ? profiles[profileName] : {}),
+  };
+  for (const [key, rule] of Object.entries(CONFIG_SCHEMA)) {
+    const rawValue = process.env[rule.env];
+    if (rawValue !== undefined && rawValue !== "") {
+      resolved[key] = parseOverride(key, rawValue);
+    }
+  }
+  errors.push(...validateConfig(resolved, "resolved config"));
+  if (resolved.llmProvider === "openai-compatible" && !resolved.llmBaseUrl) {
+    errors.push(
+      'resolved config: "llmBaseUrl" is required when "llmProvider" is "openai-compatible"'
+    );
+  }
+
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid configuration in ${filepath}:\n  - ${errors.join("\n  - ")}`
+    );
+  }
+
+  resolved.cvPath = path.resolve(ROOT_DIR, resolved.cvPath);
+  resolved.skillSynonymsPath = path.resolve(
+    ROOT_DIR,
+    resolved.skillSynonymsPath
+  );
+  resolved.answerBankPath = path.resolve(ROOT_DIR, resolved.answerBankPath);
+  resolved.jobRulesPath = path.resolve(ROOT_DIR, resolved.jobRulesPath);
+  resolved.searchUrlTemplate =
+    resolved.searchUrlTemplate || SEARCH_MODES[resolved.searchMode];
+  resolved.llmKeywordModels = resolved.llmKeywordModels || resolved.llmModels;
+  resolved.llmMatchModels = resolved.llmMatchModels || resolved.llmModels;
+  resolved.profile = profileName || "defaults";
+  console.log(
+    `⚙️ Using config profile "${resolved.profile}" from ${path.basename(
+      filepath
+    )}`
+  );
+  return resolved;
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  DEFAULT_CONFIG_PATH,
+  SEARCH_MODES,
+  loadConfig,
+  validateConfig,
+};
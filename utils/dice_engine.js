@@ -0,0 +1,1333 @@
+// Dice Job Application Engine
+// The batch loop shared by every spec in tests/. A spec only picks its default profile from
+// dice.config.json; the profile selects the run mode:
+//   - searchMode "easy-apply-today" (Easy Apply jobs posted today) or "all-postings"
+//   - llmEnabled true (the LLM rates jobs whose title does not match a search term) or false
+//   - dryRun true: everything up to the apply step runs, but matching jobs are only logged as
+//     "Would Apply" (separate DryRun_*.xlsx log and progress.<spec>.dry-run.json checkpoint)
+//   - partialMatchAction "queue": PARTIAL_MATCH jobs go to the approval queue instead of being
+//     applied to (see utils/approval_queue.js)
+//   - applyMode "ranked": the batches only score and shortlist jobs; a last test applies to them
+//     best match first, within the daily and per-company caps (see utils/ranked_apply.js)
+// Screening questions in the Easy Apply wizard are answered from answer_bank.json (see
+// utils/screening_answers.js).
+// With networkJobData, job titles, descriptions and metadata come from the JSON responses Dice's
+// front end fetches (utils/network_jobs.js); the DOM scrapers fill in whatever those lack.
+// With preFilterEnabled, search cards that would be skipped anyway are dropped before a tab is
+// opened (utils/card_prefilter.js).
+// Named rules from job_rules.json (utils/job_rules.js) skip jobs before they are scored, and so
+// do sponsorship, clearance and tax-term requirements the candidate profile does not meet
+// (utils/work_requirements.js).
+// Companies that already received companyLimit applications within companyLimitDays, in this or
+// earlier runs, are skipped as well (utils/company_limits.js).
+// A posting found under several search terms is only handled once per run (utils/job_registry.js).
+// Jobs are applied to through Playwright and logged in an Excel file plus an HTML dashboard.
+const path = require("path");
+const fs = require("fs");
+const pdfParse = require("pdf-parse"); // For reading PDF content
+const { ProgressTracker, progressPathFor } = require("./progress"); // Resume from progress.<spec>.json
+const { ApplicationHistory, extractJobId } = require("./application_history"); // Jobs seen in previous runs
+const { ApprovalQueue } = require("./approval_queue"); // PARTIAL_MATCH jobs awaiting review
+const { loadConfig } = require("./config"); // dice.config.json profiles
+const { JobApplicationLogger } = require("./job_application_logger");
+const { LlmClient, PROMPT_HASHES } = require("./llm_client");
+const { LlmCache } = require("./llm_cache");
+const { createProvider } = require("./llm_providers");
+const { OfflineScorer, loadSkillSynonyms } = require("./offline_scorer");
+const { ScreeningAnswerer, loadAnswerBank } = require("./screening_answers");
+const { reconcileWithDashboard } = require("./reconciliation");
+const { extractJobMetadata, mergeJobMetadata } = require("./job_metadata");
+const { NetworkJobData } = require("./network_jobs");
+const { JobRegistry } = require("./job_registry");
+const { applyShortlist } = require("./ranked_apply");
+const { CompanyLimits } = require("./company_limits"); // Applications per company across runs
+const {
+  loadJobRules,
+  evaluateRules,
+  rulesNeedDescription,
+} = require("./job_rules");
+const {
+  detectWorkRequirements,
+  describeRequirements,
+  checkEligibility,
+  candidateProfileFromConfig,
+} = require("./work_requirements");
+const {
+  readSearchCard,
+  preFilterCard,
+  completeCard,
+} = require("./card_prefilter");
+const {
+  safeGoto,
+  performLogin,
+  extractJobTitleFromDetailPage,
+  extractCompanyName,
+  extractJobDescription,
+  applyToJob,
+  BROWSER_CONTEXT_OPTIONS,
+} = require("./dice_page");
+
+const JOB_CARD_SELECTOR = "[data-testid='job-search-serp-card']";
+
+// --- Helper function to read PDF ---
+async function readPdf(filePath) {
+  if (!fs.existsSync(filePath)) {
+    console.error(`❌ CV file not found at: ${filePath}`);
+    return null;
+  }
+  try {
+    const dataBuffer = fs.readFileSync(filePath);
+    const data = await pdfParse(dataBuffer);
+    return data.text;
+  } catch (error) {
+    console.error(`❌ Error reading PDF file ${filePath}: ${error.message}`);
+    return null;
+  }
+}
+
+const matchesSearchCriteria = (jobTitle, searchItems) => {
+  if (!jobTitle) return { matches: false, matchingTerms: [] };
+  const titleLower = jobTitle.toLowerCase();
+  const matchingTerms = searchItems.filter((searchItem) =>
+    titleLower.includes(searchItem.toLowerCase())
+  );
+  return { matches: matchingTerms.length > 0, matchingTerms: matchingTerms };
+};
+
+const createStats = () => ({
+  applied: 0,
+  failed: 0,
+  skipped: 0,
+  alreadyApplied: 0,
+  unverified: 0, // Submitted, but neither a confirmation nor the applied badge showed up
+  total: 0,
+  llmMatch: 0,
+  llmPartialMatch: 0,
+  llmNoMatch: 0,
+  previouslySeen: 0,
+  wouldApply: 0,
+  pendingReview: 0,
+  offlineScored: 0,
+  preFiltered: 0, // Skipped from the search card, no tab opened
+  ruleSkipped: 0, // Skipped by a job rule after the tab was read
+  ineligible: 0, // Skipped for a work requirement the candidate does not meet
+  companyLimited: 0, // Skipped by the per-company application limit
+  duplicate: 0, // Met again under another search term, not opened (and not a log row)
+  shortlisted: 0, // Ranked mode: kept for the apply phase (logged there)
+  deferred: 0, // Ranked mode: left over by the application caps
+});
+
+// Tally a single processJob result into the run stats
+const recordResult = (stats, result) => {
+  if (result.duplicate) {
+    stats.duplicate++; // Not logged, so not part of the total either
+    return;
+  }
+  // A shortlisted job is logged, and counted in the total, by the apply phase
+  if (!result.shortlisted) stats.total++;
+  if (result.shortlisted) {
+    stats.shortlisted++;
+  } else if (result.success) {
+    if (result.alreadyApplied) stats.alreadyApplied++;
+    else if (result.unverified) stats.unverified++;
+    else stats.applied++;
+  } else if (result.wouldApply) {
+    stats.wouldApply++;
+  } else if (result.pendingReview) {
+    stats.pendingReview++;
+  } else if (result.deferred) {
+    stats.deferred++;
+  } else if (result.skipped) {
+    stats.skipped++;
+    if (result.preFiltered) stats.preFiltered++;
+    if (result.ruleSkipped) stats.ruleSkipped++;
+    if (result.ineligible) stats.ineligible++;
+    if (result.companyLimited) stats.companyLimited++;
+    if (result.previouslySeen) stats.previouslySeen++;
+  } else {
+    stats.failed++;
+  }
+  if (result.llmResult) {
+    if (result.llmResult.match === "MATCH") stats.llmMatch++;
+    else if (result.llmResult.match === "PARTIAL_MATCH")
+      stats.llmPartialMatch++;
+    else if (result.llmResult.match === "NO_MATCH") stats.llmNoMatch++;
+    if (result.llmResult.source === "offline") stats.offlineScored++;
+  }
+};
+
+// Reads the work requirements of a description and matches them against the candidate profile.
+// With workRequirementsLlm, the LLM confirms a requirement before the job is skipped for it.
+// Returns { requirements, ineligible } (ineligible: from checkEligibility, or null).
+const readWorkRequirements = async (jobDescription, run) => {
+  const { config, llm, candidateProfile } = run;
+  let requirements = detectWorkRequirements(jobDescription);
+  let ineligible = checkEligibility(requirements, candidateProfile);
+  if (ineligible && config.workRequirementsLlm && llm.isActive) {
+    const confirmed = await llm.confirmWorkRequirements(
+      jobDescription,
+      requirements
+    );
+    if (confirmed) {
+      requirements = confirmed;
+      const stillIneligible = checkEligibility(confirmed, candidateProfile);
+      if (!stillIneligible) {
+        console.log(`🤖 LLM did not confirm "${ineligible.reason}"`);
+      }
+      ineligible = stillIneligible;
+    }
+  }
+  return { requirements, ineligible };
+};
+
+// Logs a job whose company has used up its application limit (utils/company_limits.js).
+// Returns the processJob result for it, or null when the company may be applied to.
+const skipForCompanyLimit = async (job, run) => {
+  const { jobTitle, companyName, jobPageUrl, jobMetadata } = job;
+  const reached = run.companyLimits
+    ? run.companyLimits.check(companyName)
+    : null;
+  if (!reached) return null;
+  const status = `Skipped - Company limit (${reached.reason})`;
+  console.log(
+    `🏢 "${jobTitle}" skipped, ${companyName} reached its limit: ${reached.reason}`
+  );
+  await run.logger.logJob(
+    jobTitle,
+    companyName,
+    status,
+    null,
+    "",
+    jobPageUrl,
+    jobMetadata
+  );
+  return {
+    success: false,
+    reason: status,
+    skipped: true,
+    companyLimited: true,
+  };
+};
+
+// Reads a search card and logs the jobs that are not worth a tab.
+// Returns the processJob result for a dropped job, or null to open the card.
+const preFilterJobCard = async (jobCard, cardHref, run) => {
+  const { config, logger, llm } = run;
+  const card = await readSearchCard(jobCard);
+  if (!card) return null;
+  const networkJob = run.networkJobs ? run.networkJobs.get(cardHref) : null;
+  completeCard(card, networkJob);
+  const jobPageUrl = card.jobPageUrl || cardHref;
+  const jobMetadata = mergeJobMetadata(
+    { jobId: extractJobId(jobPageUrl), location: card.location },
+    networkJob && networkJob.metadata
+  );
+
+  if (card.applied) {
+    console.log(`ℹ️ "${card.jobTitle}" shows the Applied badge on its card`);
+    await logger.logJob(
+      card.jobTitle,
+      card.companyName,
+      "Already Applied (search card)",
+      null,
+      "",
+      jobPageUrl,
+      jobMetadata
+    );
+    return { success: true, alreadyApplied: true };
+  }
+
+  const limited = await skipForCompanyLimit(
+    { ...card, jobPageUrl, jobMetadata },
+    run
+  );
+  if (limited) return limited;
+
+  const verdict = preFilterCard(card, {
+    // Searches filtered on Easy Apply only list Easy Apply jobs; no need to trust the badge
+    requireEasyApply:
+      config.requireEasyApply &&
+      !/easyApply=true/i.test(config.searchUrlTemplate),
+    rules: run.jobRules,
+    // Without a scorer the title alone decides, so the tab would only confirm the skip
+    titleMatches:
+      llm.isActive || run.offlineScorer
+        ? null
+        : (title) => matchesSearchCriteria(title, config.searchItems).matches,
+  });
+  if (verdict.pass) return null;
+
+  const status = `Skipped - Pre-filtered (${verdict.reason})`;
+  console.log(`✂️ "${card.jobTitle}" pre-filtered: ${verdict.reason}`);
+  await logger.logJob(
+    card.jobTitle,
+    card.companyName,
+    status,
+    null,
+    "",
+    jobPageUrl,
+    jobMetadata
+  );
+  return { success: false, reason: status, skipped: true, preFiltered: true };
+};
+
+// Process individual job
+// run: the per-run state built by registerDiceRun
+// ({ config, logger, history, queue, llm, cvKeywords, offlineScorer, screening, networkJobs,
+//   jobRules, candidateProfile, registry, shortlist, companyLimits })
+const processJob = async (context, jobCard, cardIndex, run) => {
+  const { config, logger, history, queue, llm } = run;
+  let newTab = null;
+  let jobTitle = "Unknown Job Title";
+  let companyName = "Unknown Company";
+  let llmMatchResult = null;
+  let jobDescription = "";
+  let currentJobPageUrl = null; // To store the URL of the job page
+  let jobMetadata = null; // Location, employment type, salary... (utils/job_metadata.js)
+
+  try {
+    if (context.pages().length === 0) {
+      await logger.logJob(
+        jobTitle,
+        companyName,
+        "Skipped - Context closed",
+        null,
+        "",
+        currentJobPageUrl,
+        jobMetadata
+      );
+      return { success: false, reason: "Context closed", skipped: true };
+    }
+
+    const jobCardLink = jobCard.locator("a").first();
+    const jobCardLinkCount = await jobCardLink.count();
+
+    if (jobCardLinkCount === 0) {
+      await logger.logJob(
+        jobTitle,
+        companyName,
+        "Failed - No clickable link",
+        null,
+        "",
+        currentJobPageUrl,
+        jobMetadata
+      );
+      return { success: false, reason: "No clickable link" };
+    }
+
+    // Skip jobs applied to (or rejected by the LLM) in a previous run without opening a tab
+    const cardHref = await jobCardLink.getAttribute("href");
+
+    // The same posting turns up under several search terms; it is handled once per run
+    let registryJob = { jobPageUrl: cardHref };
+    if (!extractJobId(cardHref)) {
+      const card = await readSearchCard(jobCard);
+      if (card) registryJob = { ...registryJob, ...card };
+    }
+    const firstSighting = run.registry.claim(
+      registryJob,
+      logger.currentSearchTerm
+    );
+    if (firstSighting) {
+      console.log(
+        `🔁 Job card ${cardIndex + 1} was already handled under "${
+          firstSighting.searchTerm
+        }" in this run`
+      );
+      return {
+        success: false,
+        reason: "Duplicate",
+        skipped: true,
+        duplicate: true,
+      };
+    }
+
+    const previousRecord = history.loaded ? history.findFinal(cardHref) : null;
+    if (previousRecord) {
+      const status = `Skipped - Seen in previous run (${previousRecord.status})`;
+      console.log(
+        `⏭️ "${previousRecord.jobTitle}" was already handled on ${previousRecord.timestamp}`
+      );
+      await logger.logJob(
+        previousRecord.jobTitle,
+        previousRecord.companyName,
+        status,
+        null,
+        "",
+        previousRecord.jobPageUrl
+      );
+      return {
+        success: false,
+        reason: status,
+        skipped: true,
+        previouslySeen: true,
+      };
+    }
+
+    // Jobs parked for review are decided on the review page, not re-scored
+    const queuedEntry = queue.find(cardHref);
+    if (queuedEntry) {
+      const status = `Skipped - In approval queue (${queuedEntry.status})`;
+      console.log(
+        `⏭️ "${queuedEntry.jobTitle}" is already in the approval queue`
+      );
+      await logger.logJob(
+        queuedEntry.jobTitle,
+        queuedEntry.companyName,
+        status,
+        null,
+        "",
+        queuedEntry.jobPageUrl
+      );
+      return { success: false, reason: status, skipped: true };
+    }
+
+    if (config.preFilterEnabled) {
+      const preFiltered = await preFilterJobCard(jobCard, cardHref, run);
+      if (preFiltered) return preFiltered;
+    }
+
+    console.log(`Opening job card ${cardIndex + 1}...`);
+
+    const [newTabPromise] = await Promise.all([
+      context.waitForEvent("page", { timeout: 15000 }),
+      jobCardLink.click(),
+    ]);
+    newTab = await newTabPromise;
+
+    if (!newTab || newTab.isClosed()) {
+      await logger.logJob(
+        jobTitle,
+        companyName,
+        "Failed - Tab opening error",
+        null,
+        "",
+        currentJobPageUrl,
+        jobMetadata
+      );
+      return { success: false, reason: "Tab opening error" };
+    }
+
+    await newTab.waitForLoadState("domcontentloaded", { timeout: 15000 });
+    await newTab.waitForTimeout(2000);
+    currentJobPageUrl = newTab.url(); // Store the actual job page URL
+
+    // The job-detail response may still be in flight; the search response is usually there
+    const networkJob = run.networkJobs
+      ? await run.networkJobs.waitFor(currentJobPageUrl, 1000)
+      : null;
+    if (networkJob) console.log("📡 Job data taken from Dice's JSON responses");
+    jobTitle =
+      (networkJob && networkJob.jobTitle) ||
+      (await extractJobTitleFromDetailPage(newTab));
+    companyName =
+      (networkJob && networkJob.companyName) ||
+      (await extractCompanyName(newTab));
+    // The URL's job ID is the one the history uses, whatever ID the response calls primary
+    jobMetadata = mergeJobMetadata(
+      { jobId: extractJobId(currentJobPageUrl) },
+      networkJob && networkJob.metadata,
+      await extractJobMetadata(newTab, currentJobPageUrl)
+    );
+
+    console.log(
+      `Job Details - Title: "${jobTitle}", Company: "${companyName}", URL: ${currentJobPageUrl}`
+    );
+
+    // Staffing agencies post dozens of near-identical reqs
+    const limited = await skipForCompanyLimit(
+      { jobTitle, companyName, jobPageUrl: currentJobPageUrl, jobMetadata },
+      run
+    );
+    if (limited) return limited;
+
+    // A broken job rule ends the job before any scoring
+    if (run.jobRules.length > 0) {
+      if (rulesNeedDescription(run.jobRules)) {
+        jobDescription =
+          (networkJob && networkJob.description) ||
+          (await extractJobDescription(newTab));
+      }
+      const broken = evaluateRules(
+        { jobTitle, companyName, description: jobDescription, ...jobMetadata },
+        run.jobRules
+      );
+      if (broken) {
+        const status = `Skipped - Rule "${broken.rule}" (${broken.detail})`;
+        console.log(
+          `📏 "${jobTitle}" skipped by rule "${broken.rule}": ${broken.detail}`
+        );
+        await logger.logJob(
+          jobTitle,
+          companyName,
+          status,
+          null,
+          "",
+          currentJobPageUrl,
+          jobMetadata
+        );
+        return {
+          success: false,
+          reason: status,
+          skipped: true,
+          ruleSkipped: broken.rule,
+        };
+      }
+    }
+
+    // "No sponsorship", "USC/GC only", "Active Secret clearance", "W2 only"...
+    if (config.workRequirementsEnabled) {
+      jobDescription =
+        jobDescription ||
+        (networkJob && networkJob.description) ||
+        (await extractJobDescription(newTab));
+      const { requirements, ineligible } = await readWorkRequirements(
+        jobDescription,
+        run
+      );
+      jobMetadata = { ...jobMetadata, ...describeRequirements(requirements) };
+      if (ineligible) {
+        const status = `Skipped - Ineligible (${ineligible.reason})`;
+        console.log(
+          `🛂 "${jobTitle}" skipped as ineligible: ${ineligible.reason}${
+            requirements.source === "llm" ? " (confirmed by the LLM)" : ""
+          }`
+        );
+        await logger.logJob(
+          jobTitle,
+          companyName,
+          status,
+          null,
+          "",
+          currentJobPageUrl,
+          jobMetadata
+        );
+        return {
+          success: false,
+          reason: status,
+          skipped: true,
+          ineligible: ineligible.requirement,
+        };
+      }
+    }
+
+    const isInitialMatch = matchesSearchCriteria(jobTitle, config.searchItems);
+    let shouldApply = isInitialMatch.matches;
+
+    // --- MAIN LLM LOGIC TRIGGER ---
+    // If it's not an initial match, rate the description with the LLM when it is active.
+    // Cached verdicts are used even while every API key is cooling down; when there is no LLM
+    // verdict (LLM off, keys resting, call failed) the offline scorer rates the job instead.
+    // Without either the job falls back to keyword matching.
+    // A ranked run rates title matches too, only to order its shortlist.
+    const ranked = config.applyMode === "ranked";
+    if (
+      (!isInitialMatch.matches || ranked) &&
+      (llm.isActive || run.offlineScorer)
+    ) {
+      jobDescription =
+        jobDescription ||
+        (networkJob && networkJob.description) ||
+        (await extractJobDescription(newTab));
+      if (jobDescription) {
+        if (llm.isActive) {
+          llmMatchResult = await llm.checkJobMatch(
+            run.cvKeywords,
+            jobDescription
+          );
+        }
+        if (
+          run.offlineScorer &&
+          (!llmMatchResult ||
+            ["SKIPPED_LLM", "ERROR"].includes(llmMatchResult.match))
+        ) {
+          llmMatchResult = run.offlineScorer.score(jobDescription);
+        }
+        const isOffline = llmMatchResult.source === "offline";
+        const source = isOffline ? "Offline" : "LLM";
+        const threshold = isOffline
+          ? config.offlineScoreThreshold
+          : config.llmScoreThreshold;
+        const hasScore = llmMatchResult.score !== undefined;
+        console.log(
+          `${source} Match Result for "${jobTitle}": ${llmMatchResult.match}${
+            hasScore ? ` (score ${llmMatchResult.score})` : ""
+          }`
+        );
+
+        if (isInitialMatch.matches) {
+          // Ranked title match: the title decided, the score only ranks it
+        } else if (llmMatchResult.match === "SKIPPED_LLM") {
+          shouldApply = false; // Rate-limited: keyword matching already said no
+        } else if (hasScore && llmMatchResult.score >= threshold) {
+          shouldApply = true; // Score clears the threshold, so we should apply.
+        } else {
+          // Score below the threshold, or the LLM call failed (ERROR)
+          const status = hasScore
+            ? `Skipped (${source} ${llmMatchResult.match}, score ${llmMatchResult.score} < ${threshold})`
+            : `Skipped (${source} ${llmMatchResult.match})`;
+          await logger.logJob(
+            jobTitle,
+            companyName,
+            status,
+            llmMatchResult,
+            "",
+            currentJobPageUrl,
+            jobMetadata
+          );
+          return {
+            success: false,
+            reason: `${source} ${llmMatchResult.match}`,
+            skipped: true,
+            llmResult: llmMatchResult,
+          };
+        }
+      } else if (!isInitialMatch.matches) {
+        console.warn(
+          `⚠️ No job description for "${jobTitle}". Cannot rate the job. Skipping.`
+        );
+        shouldApply = false; // Cannot verify the match, so don't apply.
+      }
+    }
+
+    // Borderline jobs wait for a human decision (npm run review)
+    if (
+      shouldApply &&
+      llmMatchResult &&
+      llmMatchResult.match === "PARTIAL_MATCH" &&
+      config.partialMatchAction === "queue"
+    ) {
+      const status = config.dryRun
+        ? "Would Queue for Review"
+        : `Pending Review (PARTIAL_MATCH, score ${llmMatchResult.score})`;
+      if (!config.dryRun) {
+        queue.add({
+          jobTitle,
+          companyName,
+          jobPageUrl: currentJobPageUrl,
+          description: jobDescription,
+          searchTerm: logger.currentSearchTerm,
+          llmMatch: llmMatchResult,
+          metadata: jobMetadata,
+        });
+        console.log(`🗳️ "${jobTitle}" queued for review`);
+      }
+      await logger.logJob(
+        jobTitle,
+        companyName,
+        status,
+        llmMatchResult,
+        "",
+        currentJobPageUrl,
+        jobMetadata
+      );
+      return {
+        success: false,
+        reason: status,
+        pendingReview: true,
+        llmResult: llmMatchResult,
+      };
+    }
+
+    // Ranked run: applied to after the search, best match first (utils/ranked_apply.js)
+    if (shouldApply && ranked) {
+      run.shortlist.push({
+        jobTitle,
+        companyName,
+        jobPageUrl: currentJobPageUrl,
+        searchTerm: logger.currentSearchTerm,
+        llmMatch: llmMatchResult,
+        metadata: jobMetadata,
+      });
+      console.log(
+        `📋 "${jobTitle}" shortlisted${
+          llmMatchResult && llmMatchResult.score !== undefined
+            ? ` (score ${llmMatchResult.score})`
+            : ""
+        }, ${run.shortlist.length} so far`
+      );
+      return {
+        success: false,
+        reason: "Shortlisted",
+        shortlisted: true,
+        llmResult: llmMatchResult,
+      };
+    }
+
+    if (shouldApply && config.dryRun) {
+      // Dry run: never touch the Apply / Next / Submit buttons
+      const status = "Would Apply";
+      console.log(`🧪 Dry run, not applying to "${jobTitle}"`);
+      if (run.companyLimits) run.companyLimits.count(companyName);
+      await logger.logJob(
+        jobTitle,
+        companyName,
+        status,
+        llmMatchResult,
+        "",
+        currentJobPageUrl,
+        jobMetadata
+      );
+      return {
+        success: false,
+        reason: status,
+        wouldApply: true,
+        llmResult: llmMatchResult,
+      };
+    }
+
+    if (shouldApply) {
+      console.log(`✅ Proceeding to apply for "${jobTitle}"...`);
+      const applicationResult = await applyToJob(newTab, {
+        fillStep: (page, step) =>
+          run.screening.fillStep(page, step, { jobTitle, companyName }),
+      });
+
+      if (applicationResult.success) {
+        const status = applicationResult.alreadyApplied
+          ? "Already Applied"
+          : applicationResult.verified === false
+          ? "Submitted (Unverified)"
+          : "Success - Applied";
+        console.log(`✅ Application result for "${jobTitle}": ${status}`);
+        if (run.companyLimits && !applicationResult.alreadyApplied) {
+          run.companyLimits.count(companyName);
+        }
+        await logger.logJob(
+          jobTitle,
+          companyName,
+          status,
+          llmMatchResult,
+          "",
+          currentJobPageUrl,
+          jobMetadata
+        );
+        return {
+          success: true,
+          alreadyApplied: applicationResult.alreadyApplied,
+          unverified: applicationResult.verified === false,
+          llmResult: llmMatchResult,
+        };
+      } else {
+        const status = `Failed - ${applicationResult.reason}`;
+        console.log(
+          `❌ Application failed for "${jobTitle}": ${applicationResult.reason}`
+        );
+        await logger.logJob(
+          jobTitle,
+          companyName,
+          status,
+          llmMatchResult,
+          "",
+          currentJobPageUrl,
+          jobMetadata
+        );
+        return {
+          success: false,
+          reason: applicationResult.reason,
+          llmResult: llmMatchResult,
+        };
+      }
+    } else {
+      // This path is taken if isInitialMatch is false AND no scorer was active or could be used.
+      const status = `Skipped (No keyword match)`;
+      await logger.logJob(
+        jobTitle,
+        companyName,
+        status,
+        llmMatchResult,
+        "",
+        currentJobPageUrl,
+        jobMetadata
+      );
+      return {
+        success: false,
+        reason: status,
+        skipped: true,
+        llmResult: llmMatchResult,
+      };
+    }
+  } catch (error) {
+    const status = `Failed - ${error.message}`;
+    console.error(
+      `Error processing job card ${cardIndex + 1}: ${error.message}`
+    );
+    await logger.logJob(
+      jobTitle,
+      companyName,
+      status,
+      llmMatchResult,
+      "",
+      currentJobPageUrl,
+      jobMetadata
+    );
+    return { success: false, reason: error.message, llmResult: llmMatchResult };
+  } finally {
+    if (newTab && !newTab.isClosed()) {
+      try {
+        await newTab.close();
+      } catch (closeErr) {
+        console.error(`Failed to close tab: ${closeErr.message}`);
+      }
+    }
+  }
+};
+
+// Process jobs with controlled concurrency
+// onResult(result, index) is awaited for every job in card order, once its batch has settled
+const processJobBatch = async (context, jobCards, run, onResult = null) => {
+  const { maxConcurrentTabs, tabDelay, pageDelay } = run.config;
+  const results = [];
+  for (let i = 0; i < jobCards.length; i += maxConcurrentTabs) {
+    if (context.pages().length === 0) {
+      console.warn("Context closed, stopping job batch processing.");
+      break;
+    }
+    const batch = jobCards.slice(i, i + maxConcurrentTabs);
+    console.log(
+      `🔄 Processing batch ${Math.floor(i / maxConcurrentTabs) + 1} (${
+        batch.length
+      } jobs)`
+    );
+
+    const batchPromises = batch.map(async (jobCard, index) => {
+      await new Promise((resolve) => setTimeout(resolve, index * tabDelay));
+      if (context.pages().length === 0)
+        return { success: false, reason: "Context closed", skipped: true };
+      return processJob(context, jobCard, i + index, run);
+    });
+
+    const batchResults = await Promise.allSettled(batchPromises);
+    for (let index = 0; index < batchResults.length; index++) {
+      const result = batchResults[index];
+      let jobResult;
+      if (result.status === "fulfilled") jobResult = result.value;
+      else {
+        jobResult = { success: false, reason: result.reason };
+        console.error(`❌ Batch job ${i + index + 1} failed:`, result.reason);
+      }
+      results.push(jobResult);
+      if (onResult) await onResult(jobResult, i + index);
+    }
+
+    if (i + maxConcurrentTabs < jobCards.length) {
+      if (context.pages().length === 0) break;
+      console.log(`⏳ Pausing ${pageDelay}ms before next batch...`);
+      await new Promise((resolve) => setTimeout(resolve, pageDelay));
+    }
+  }
+  return results;
+};
+
+/**
+ * Registers the beforeAll hook, one test per batch of search terms, and the afterAll report.
+ * All run state lives in this closure: Playwright loads every spec file into the same worker,
+ * so module-level state would be shared between specs.
+ * @param {object} test - The Playwright `test` object of the calling spec.
+ * @param {object} options
+ * @param {string} options.defaultProfile - dice.config.json profile used when DICE_PROFILE is not set.
+ * @param {string} options.specFile - The spec's __filename; its basename owns the progress checkpoint.
+ */
+function registerDiceRun(test, { defaultProfile, specFile }) {
+  const config = loadConfig({ defaultProfile });
+  const searchItems = config.searchItems;
+  const batchSize = config.batchSize;
+
+  // Remove batch timeout limit to let batches run to completion
+  test.setTimeout(0); // 0 means no timeout
+
+  // Dry runs keep their own checkpoint and log, and do not add to the application history,
+  // so they never make a later real run skip or resume anything
+  const progress = new ProgressTracker(
+    path.basename(specFile),
+    progressPathFor(specFile, { dryRun: config.dryRun })
+  );
+  const resumePoint = progress.load(searchItems);
+  const history = new ApplicationHistory();
+  const queue = new ApprovalQueue();
+  const logger = new JobApplicationLogger({
+    resumeFilename: resumePoint ? resumePoint.logFile : null,
+    startTime: progress.startedAt,
+    history: config.dryRun ? null : history,
+    filePrefix: config.dryRun ? "DryRun" : "JobApp",
+  });
+  progress.logFile = logger.filename;
+  const stats = createStats();
+  if (resumePoint && resumePoint.stats) Object.assign(stats, resumePoint.stats);
+
+  const llm = new LlmClient({
+    provider: config.llmEnabled ? createProvider(config) : null,
+    models: { keywords: config.llmKeywordModels, match: config.llmMatchModels },
+    cvKeywordCount: config.cvKeywordCount,
+    enabled: config.llmEnabled,
+    cache: new LlmCache({
+      ttlHours: config.llmCacheTtlHours,
+      promptHashes: Object.values(PROMPT_HASHES),
+    }),
+  });
+  const run = {
+    config,
+    logger,
+    history,
+    queue,
+    llm,
+    cvKeywords: [],
+    offlineScorer: null, // Built in beforeAll once the CV is read
+    screening: null, // Likewise, the LLM fallback answers from the CV text
+    jobRules: [], // Loaded in beforeAll
+    candidateProfile: candidateProfileFromConfig(config),
+    registry: new JobRegistry(), // Jobs handled so far, across search terms
+    companyLimits: null, // Built in beforeAll from the loaded history
+    // Ranked mode: jobs to apply to once the search is done (kept in the checkpoint)
+    shortlist: (resumePoint && resumePoint.shortlist) || [],
+    // Fed by every batch's browser context
+    networkJobs: config.networkJobData ? new NetworkJobData() : null,
+  };
+
+  // Checkpoint past the last search page: a resumed ranked run goes straight to its shortlist
+  const saveAfterSearch = () =>
+    progress.save({
+      batchIdx: Math.floor((searchItems.length - 1) / batchSize),
+      searchTerm: searchItems[searchItems.length - 1],
+      pageNum: config.maxPages + 1,
+      jobCardIdx: 0,
+      stats,
+      shortlist: run.shortlist,
+    });
+
+  // Every spec registers its tests from this module, so name the group after the profile
+  // to tell the runs apart in the Playwright report.
+  test.describe(`${config.profile} (${config.searchMode}, LLM ${
+    config.llmEnabled ? "on" : "off"
+  }${config.dryRun ? ", dry run" : ""})`, () => {
+    test.beforeAll(async () => {
+      console.log(
+        `🧭 Search mode: ${config.searchMode} (${
+          config.searchUrlTemplate
+        }), LLM: ${llm.isActive ? "on" : "off"}`
+      );
+      if (config.dryRun) {
+        console.log(
+          '🧪 Dry run: matching jobs are logged as "Would Apply", nothing is submitted.'
+        );
+      }
+      await logger.initializeExcel();
+      queue.load();
+      if (process.env.DICE_IGNORE_HISTORY === "true") {
+        console.log(
+          "ℹ️ DICE_IGNORE_HISTORY is set, jobs from previous runs will be processed again."
+        );
+      } else {
+        history.load();
+        await history.importExcelLogs(
+          logger.logsDir,
+          (status) => logger.categorizeStatus(status),
+          [logger.filename]
+        );
+      }
+      let cvText = null;
+      if (llm.isActive || config.offlineScorerEnabled) {
+        if (llm.isActive) llm.cache.load();
+        console.log("Reading CV...");
+        cvText = await readPdf(config.cvPath);
+        if (cvText) {
+          if (config.offlineScorerEnabled) {
+            run.offlineScorer = new OfflineScorer({
+              cvText,
+              synonyms: loadSkillSynonyms(config.skillSynonymsPath),
+            });
+            console.log(
+              `🧮 Offline scorer ready (${
+                run.offlineScorer.skills.length
+              } skills in ${path.basename(config.skillSynonymsPath)})`
+            );
+          }
+          if (llm.isActive) {
+            console.log("Extracting CV keywords...");
+            run.cvKeywords = await llm.getCVKeywords(cvText);
+            if (!run.cvKeywords.length && llm.isActive) {
+              console.warn(
+                "Could not extract CV Keywords, but LLM is active. LLM matching may be affected."
+              );
+            } else if (run.cvKeywords.length > 0) {
+              console.log(
+                `CV Keywords extracted: ${run.cvKeywords.join(", ")}`
+              );
+            }
+          }
+        } else {
+          console.warn(
+            "⚠️ Could not read CV file. LLM and offline matching will be skipped."
+          );
+          run.cvKeywords = [];
+        }
+      } else {
+        console.log(
+          "LLM and offline scorer are disabled. Skipping CV keyword extraction."
+        );
+      }
+
+      run.jobRules = loadJobRules(config.jobRulesPath, config);
+      console.log(
+        `📏 Job rules: ${run.jobRules.length} active (${path.basename(
+          config.jobRulesPath
+        )} and the excluded companies / title keywords)`
+      );
+      if (config.workRequirementsEnabled) {
+        const profile = run.candidateProfile;
+        console.log(
+          `🛂 Work requirements checked against: authorization ${
+            profile.workAuthorization || "not set"
+          }, sponsorship ${
+            profile.needsSponsorship ? "needed" : "not needed"
+          }, clearance ${profile.securityClearance}, tax terms ${
+            profile.acceptedTaxTerms.join("/") || "not set"
+          }`
+        );
+      }
+      run.companyLimits = new CompanyLimits({
+        limit: config.companyLimit,
+        days: config.companyLimitDays,
+        overrides: config.companyLimitOverrides,
+        history,
+      });
+      console.log(`🏢 Company limits: ${run.companyLimits.describe()}`);
+
+      const answerBank = loadAnswerBank(config.answerBankPath);
+      const screeningLlm = config.screeningLlmEnabled && llm.isActive && cvText;
+      run.screening = new ScreeningAnswerer({
+        bank: answerBank,
+        llm: screeningLlm ? llm : null,
+        cvText,
+        onUnanswered: (record) => logger.logUnansweredQuestion(record),
+      });
+      console.log(
+        `💬 Screening answers: ${answerBank.answers.length} in ${path.basename(
+          config.answerBankPath
+        )}, LLM fallback ${screeningLlm ? "on" : "off"}`
+      );
+    });
+
+    // --- DYNAMIC TEST GENERATION ---
+    for (let i = 0; i < searchItems.length; i += batchSize) {
+      const batch = searchItems.slice(i, i + batchSize);
+
+      test(`Batch ${i / batchSize + 1}: Process [${batch.join(", ")}]`, async ({
+        browser,
+      }) => {
+        test.skip(
+          progress.isBatchCompleted(i, batch.length),
+          "Batch already completed in a previous run"
+        );
+        const batchIdx = i / batchSize;
+        let context;
+        try {
+          context = await browser.newContext(BROWSER_CONTEXT_OPTIONS);
+          if (run.networkJobs) run.networkJobs.attach(context);
+          const page = await context.newPage();
+
+          await performLogin(page);
+
+          for (let termOffset = 0; termOffset < batch.length; termOffset++) {
+            const searchTerm = batch[termOffset];
+            const startPosition = progress.getStartPosition(i + termOffset);
+            if (!startPosition) {
+              console.log(
+                `⏭️ "${searchTerm}" was completed in a previous run, skipping.`
+              );
+              continue;
+            }
+            console.log(`\n🔍 Processing search term: "${searchTerm}"`);
+            logger.setSearchTerm(searchTerm);
+            const encodedSearch = encodeURIComponent(searchTerm);
+
+            for (
+              let pageNum = startPosition.pageNum;
+              pageNum <= config.maxPages;
+              pageNum++
+            ) {
+              if (page.isClosed()) {
+                console.error(
+                  "❌ Main page closed unexpectedly, skipping term."
+                );
+                break;
+              }
+
+              let url = config.searchUrlTemplate.replace(
+                "{query}",
+                encodedSearch
+              );
+              if (pageNum > 1) url += `&page=${pageNum}`;
+
+              console.log(`\n📄 Page ${pageNum} for "${searchTerm}"`);
+              const requestedAt = Date.now();
+              const pageLoaded = await safeGoto(page, url);
+              if (!pageLoaded) {
+                console.log(`⏭️ Skipping page ${pageNum} - failed to load`);
+                continue;
+              }
+
+              // An empty search response means the cards will never show up, so skip the wait
+              const searchResults = run.networkJobs
+                ? run.networkJobs.takeSearchResults(requestedAt)
+                : null;
+              if (searchResults) {
+                console.log(
+                  `📡 Search response lists ${searchResults.jobs.length} jobs`
+                );
+                if (searchResults.jobs.length === 0) {
+                  console.log(
+                    `✅ No more jobs for "${searchTerm}" on page ${pageNum}. Moving to the next search term.`
+                  );
+                  break;
+                }
+              }
+
+              try {
+                await page.waitForSelector(JOB_CARD_SELECTOR, {
+                  timeout: 15000,
+                });
+              } catch (err) {
+                console.log(
+                  `✅ No more job cards found for "${searchTerm}" on page ${pageNum}. Moving to the next search term.`
+                );
+                break;
+              }
+
+              const jobCards = await page.locator(JOB_CARD_SELECTOR).all();
+              console.log(`📋 Found ${jobCards.length} job cards`);
+
+              if (jobCards.length > 0) {
+                // On the resumed page, skip the cards handled before the checkpoint
+                const firstCardIdx =
+                  pageNum === startPosition.pageNum
+                    ? startPosition.jobCardIdx
+                    : 0;
+                if (firstCardIdx > 0) {
+                  console.log(`♻️ Resuming at job card ${firstCardIdx + 1}`);
+                }
+                await processJobBatch(
+                  context,
+                  jobCards.slice(firstCardIdx),
+                  run,
+                  async (result, index) => {
+                    recordResult(stats, result);
+                    // Keep the Excel log in step with the checkpoint
+                    await logger.saveExcel();
+                    progress.save({
+                      batchIdx,
+                      searchTerm,
+                      pageNum,
+                      jobCardIdx: firstCardIdx + index + 1,
+                      stats,
+                      shortlist: run.shortlist,
+                    });
+                  }
+                );
+              } else {
+                console.log(
+                  `✅ No results on this page. Moving to the next search term.`
+                );
+                break;
+              }
+            }
+
+            // The term is done: point the checkpoint at the next one, so a resume does not
+            // reopen this term's last page
+            if (termOffset + 1 < batch.length) {
+              progress.save({
+                batchIdx,
+                searchTerm: batch[termOffset + 1],
+                pageNum: 1,
+                jobCardIdx: 0,
+                stats,
+                shortlist: run.shortlist,
+              });
+            }
+          }
+
+          if (i + batchSize < searchItems.length) {
+            progress.save({
+              batchIdx: batchIdx + 1,
+              searchTerm: searchItems[i + batchSize],
+              pageNum: 1,
+              jobCardIdx: 0,
+              stats,
+              shortlist: run.shortlist,
+            });
+          } else if (config.applyMode === "ranked") {
+            saveAfterSearch(); // The apply phase completes the run
+          } else {
+            progress.complete(stats);
+          }
+        } finally {
+          if (context) {
+            if (run.networkJobs) await run.networkJobs.settle();
+            await context.close();
+          }
+          llm.cache.flush();
+        }
+      });
+    }
+
+    // --- RANKED APPLY PHASE ---
+    if (config.applyMode === "ranked") {
+      test("Apply to the shortlist, best match first", async ({ browser }) => {
+        if (run.shortlist.length === 0) {
+          progress.complete(stats);
+          test.skip(true, "No jobs were shortlisted");
+        }
+        let context;
+        try {
+          context = await browser.newContext(BROWSER_CONTEXT_OPTIONS);
+          const page = await context.newPage();
+          await performLogin(page);
+          await applyShortlist(page, run, {
+            onResult: async (result) => {
+              recordResult(stats, result);
+              await logger.saveExcel();
+              saveAfterSearch();
+            },
+          });
+          progress.complete(stats);
+        } finally {
+          if (context) await context.close();
+        }
+      });
+    }
+
+    // --- FINAL REPORTING ---
+    test.afterAll(async ({ browser }) => {
+      console.log("\n" + "=".repeat(70));
+      console.log("✅ All batches completed.");
+
+      // Dry runs submit nothing, so there is nothing to check against Dice
+      const reconciliation =
+        config.reconcileEnabled && !config.dryRun && logger.jobData.length > 0
+          ? await reconcileWithDashboard({
+              browser,
+              logger,
+              history: history.loaded ? history : null,
+              appliedJobsUrl: config.appliedJobsUrl,
+            })
+          : null;
+
+      await logger.saveExcel();
+      await logger.saveHtmlReport(stats);
+
+      const logSummary = logger.getLogSummary();
+
+      console.log("\n" + "=".repeat(70));
+      console.log("📊 FINAL SUMMARY");
+      console.log("=".repeat(70));
+      console.log(`⚙️ Profile: ${config.profile} (${config.searchMode})`);
+      console.log(`📁 Excel Log: ${logSummary.filename}`);
+      console.log(`📍 Location: ${logSummary.filepath}`);
+      console.log(`🌐 HTML Report: ${logSummary.htmlReportPath}`);
+      console.log(`📝 Total Jobs Processed: ${stats.total}`);
+      if (config.dryRun) {
+        console.log(`🧪 Would Apply (dry run): ${stats.wouldApply}`);
+      }
+      console.log(`✅ Successfully Applied (verified): ${stats.applied}`);
+      if (stats.unverified > 0) {
+        console.log(`❔ Submitted (Unverified): ${stats.unverified}`);
+      }
+      if (stats.pendingReview > 0) {
+        console.log(
+          `🗳️ Queued for Review: ${stats.pendingReview} (approve them with npm run review)`
+        );
+      }
+      console.log(`🔄 Already Applied: ${stats.alreadyApplied}`);
+      console.log(`❌ Failed Applications: ${stats.failed}`);
+      console.log(
+        `📚 Skipped (Seen in Previous Runs): ${stats.previouslySeen}`
+      );
+      console.log(
+        `⏭️ Skipped (No Match / LLM No Match): ${
+          stats.skipped + stats.llmNoMatch
+        }`
+      );
+      console.log(
+        `🌟 LLM Matches (Good/Partial): ${
+          stats.llmMatch + stats.llmPartialMatch
+        }`
+      );
+
+      if (stats.total > 0) {
+        console.log(
+          `🎯 Success Rate (Verified Applications): ${(
+            (stats.applied / stats.total) *
+            100
+          ).toFixed(1)}%`
+        );
+        const totalJobsWithLLM =
+          stats.llmMatch + stats.llmPartialMatch + stats.llmNoMatch;
+        if (totalJobsWithLLM > 0) {
+          console.log(
+            `🎯 LLM Match Confidence: ${(
+              ((stats.llmMatch + stats.llmPartialMatch) / totalJobsWithLLM) *
+              100
+            ).toFixed(1)}%`
+          );
+        }
+      }
+      if (reconciliation) {
+        console.log(
+          `🧾 Dice Dashboard: ${reconciliation.confirmed} confirmed, ${reconciliation.missingOnDice} missing on Dice, ${reconciliation.notLogged} not logged by the bot`
+        );
+      }
+      if (run.screening && run.screening.unansweredCount > 0) {
+        console.log(
+          `❓ Unanswered Screening Questions: ${run.screening.unansweredCount} (answer them with npm run answer-questions)`
+        );
+      }
+      if (stats.ruleSkipped > 0) {
+        console.log(`📏 Skipped by Job Rules: ${stats.ruleSkipped}`);
+      }
+      if (config.applyMode === "ranked") {
+        console.log(
+          `📋 Shortlisted for Ranked Applying: ${stats.shortlisted}, Deferred by the Caps: ${stats.deferred}`
+        );
+      }
+      if (stats.duplicate > 0) {
+        console.log(
+          `🔁 Duplicates Across Search Terms (not opened again): ${stats.duplicate}`
+        );
+      }
+      if (stats.ineligible > 0) {
+        console.log(
+          `🛂 Skipped as Ineligible (work requirements): ${stats.ineligible}`
+        );
+      }
+      if (stats.companyLimited > 0) {
+        console.log(`🏢 Skipped by the Company Limit: ${stats.companyLimited}`);
+      }
+      if (stats.preFiltered > 0) {
+        console.log(
+          `✂️ Pre-filtered From Search Cards (no tab opened): ${stats.preFiltered}`
+        );
+      }
+      if (stats.offlineScored > 0) {
+        console.log(`🧮 Rated by the Offline Scorer: ${stats.offlineScored}`);
+      }
+      if (config.llmEnabled && !llm.isActive) {
+        console.log(
+          `\n⚠️  LLM was disabled during this run (${llm.disabledReason}).`
+        );
+      }
+      llm.cache.flush();
+      llm.printUsageReport();
+      console.log("=".repeat(70));
+    });
+  });
+}
+
+module.exports = {
+  registerDiceRun,
+  createStats,
+  recordResult,
+  processJob,
+  processJobBatch,
+  matchesSearchCriteria,
+  readPdf,
+};
@@ -0,0 +1,392 @@
+// Dice Page Helpers
+// Navigation, login, job-detail scraping and the Easy Apply entry point, shared by every run mode.
+// The multi-step Easy Apply form itself is driven by utils/easy_apply_wizard.js.
+require("dotenv").config(); // Load environment variables
+const {
+  runEasyApplyWizard,
+  CONFIRMATION_TEXT_SELECTORS,
+} = require("./easy_apply_wizard");
+
+const LOGIN_URL = "https://www.dice.com/dashboard/login";
+const USERNAME = process.env.DICE_USERNAME; // Use env var
+const PASSWORD = process.env.DICE_PASSWORD; // Use env var
+
+// Browser context of every run (search batches, approved jobs, reconciliation)
+const BROWSER_CONTEXT_OPTIONS = {
+  viewport: { width: 1280, height: 800 },
+  userAgent:
+    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
+};
+
+const extractJobTitleFromDetailPage = async (page) => {
+  try {
+    const titleSelectors = [
+      'h1[data-testid="job-title"]',
+      'h1[data-cy="job-title"]',
+      "h1.job-title",
+      'h1[class*="job-title"]',
+      'h1[class*="JobTitle"]',
+      'h1[id*="job-title"]',
+      "h1:first-of-type",
+      "h1",
+      ".job-header h1",
+      ".job-details h1",
+    ];
+    for (const selector of titleSelectors) {
+      try {
+        const element = await page.$(selector);
+        if (element) {
+          let title = await element.textContent();
+          if (!title || !title.trim())
+            title = await page.evaluate((el) => el.innerText, element);
+          if (title && title.trim() && title.length > 3) {
+            console.log(`✅ Job title found with selector: ${selector}`);
+            return title.trim();
+          }
+        }
+      } catch (err) {
+        continue;
+      }
+    }
+    try {
+      const h1s = await page.$$("h1");
+      for (const h1 of h1s) {
+        let title = await h1.textContent();
+        if (!title || !title.trim())
+          title = await page.evaluate((el) => el.innerText, h1);
+        if (title && title.trim() && title.length > 3) {
+          console.log(`✅ Job title fallback found in <h1>`);
+          return title.trim();
+        }
+      }
+    } catch (err) {
+      /* ignore */
+    }
+    console.warn("⚠️ Could not extract job title");
+    return "Unknown Job Title";
+  } catch (error) {
+    console.error(`❌ Error extracting job title: ${error.message}`);
+    return "Unknown Job Title";
+  }
+};
+
+const extractCompanyName = async (page) => {
+  try {
+    const companySelectors = [
+      '[data-testid="company-name"]',
+      '[data-cy="company-name"]',
+      ".company-name",
+      '[class*="company-name"]',
+      ".job-company",
+      ".employer-name",
+      'a[href*="/company/"]',
+      'span[class*="company"]',
+      ".company-info span",
+    ];
+    for (const selector of companySelectors) {
+      try {
+        const element = await page.$(selector);
+        if (element) {
+          let company = await element.textContent();
+          if (!company || !company.trim())
+            company = await page.evaluate((el) => el.innerText, element);
+          if (company && company.trim() && company.length > 2) {
+            console.log(`✅ Company name found with selector: ${selector}`);
+            return company.trim();
+          }
+        }
+      } catch (err) {
+        continue;
+      }
+    }
+    try {
+      const companyLike = await page.$$(
+        '[class*="company"], span[class*="company"], div[class*="company"]'
+      );
+      for (const el of companyLike) {
+        let company = await el.textContent();
+        if (!company || !company.trim())
+          company = await page.evaluate((e) => e.innerText, el);
+        if (company && company.trim() && company.length > 2) {
+          console.log(`✅ Company name fallback found in company-like element`);
+          return company.trim();
+        }
+      }
+    } catch (err) {
+      /* ignore */
+    }
+    console.warn("⚠️ Could not extract company name");
+    return "Unknown Company";
+  } catch (error) {
+    console.error(`❌ Error extracting company name: ${error.message}`);
+    return "Unknown Company";
+  }
+};
+
+const safeGoto = async (page, url, retries = 2) => {
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    try {
+      if (page.isClosed()) {
+        console.error(`❌ Page is closed, cannot navigate to ${url}`);
+        return false;
+      }
+      console.log(`🔄 Loading: ${url} (Attempt ${attempt + 1})`);
+      await page.goto(url, { waitUntil: "networkidle", timeout: 45000 });
+      await page.waitForTimeout(2000);
+      const title = await page.title();
+      if (title && title.length > 0) {
+        console.log(`✅ Successfully loaded: ${url}`);
+        return true;
+      }
+    } catch (err) {
+      console.error(
+        `❌ Attempt ${attempt + 1} failed for ${url}: ${err.message}`
+      );
+      if (attempt < retries && !page.isClosed())
+        await page.waitForTimeout(3000);
+    }
+  }
+  return false;
+};
+
+const safeClick = async (page, selector, description = "element") => {
+  try {
+    await page.waitForSelector(selector, { timeout: 10000 });
+    await page.click(selector, { timeout: 10000 });
+    console.log(`✅ Clicked: ${description}`);
+    return true;
+  } catch (err) {
+    console.error(`❌ Failed to click ${description}: ${err.message}`);
+    return false;
+  }
+};
+
+// --- Function to extract job description from a Playwright page ---
+async function extractJobDescription(page) {
+  try {
+    console.log("🌐 Scraping job description text...");
+    const descriptionSelectors = [
+      '[data-cy="job-description"]', // Common Dice selector
+      '[data-testid="job-description"]',
+      ".job-description",
+      'div[class*="job-description"]',
+      'div[class*="JobDescription"]',
+      'section[id*="description"]',
+      'div[data-qa="job-description"]',
+      "div.job-details-content", // General container that might hold description
+      'div[class*="description"]',
+    ];
+
+    let jobDescriptionText = "";
+    for (const selector of descriptionSelectors) {
+      try {
+        const elements = await page.$$(selector);
+        for (const element of elements) {
+          const text = await element.textContent();
+          if (text && text.trim().length > 200) {
+            // Arbitrary length to be considered a description
+            jobDescriptionText += text.trim() + "\n\n";
+          }
+        }
+      } catch (err) {
+        // Selector might not exist, continue
+        continue;
+      }
+    }
+
+    // Basic cleaning: remove excessive whitespace
+    jobDescriptionText = jobDescriptionText.replace(/\s+/g, " ").trim();
+
+    if (jobDescriptionText.length < 200) {
+      // If still too short, try a broader approach
+      console.warn(
+        "⚠️ Job description might be incomplete. Trying a broader scrape."
+      );
+      const allVisibleText = await page.evaluate(() => {
+        const elements = document.querySelectorAll(
+          "body *:not(script):not(style)"
+        );
+        let text = "";
+        elements.forEach((el) => {
+          if (el.offsetParent !== null) {
+            // Check if element is visible
+            text += el.textContent + " ";
+          }
+        });
+        return text;
+      });
+      jobDescriptionText = allVisibleText.replace(/\s+/g, " ").trim();
+      const lines = jobDescriptionText.split("\n");
+      jobDescriptionText = lines
+        .filter(
+          (line) =>
+            line.trim().length > 50 &&
+            !line.trim().startsWith("Apply now") &&
+            !line.trim().startsWith("Sign in")
+        )
+        .join("\n");
+      jobDescriptionText = jobDescriptionText.replace(/\s+/g, " ").trim();
+
+      if (jobDescriptionText.length < 200) {
+        console.warn("⚠️ Could not extract a substantial job description.");
+        return "";
+      }
+    }
+
+    console.log(
+      `✅ Extracted ${jobDescriptionText.length} characters of job description.`
+    );
+    return jobDescriptionText;
+  } catch (error) {
+    console.error(`❌ Error extracting job description: ${error.message}`);
+    return "";
+  }
+}
+
+// Reusable login function
+async function performLogin(page) {
+  console.log("🔐 Starting login process...");
+  if (await page.url().includes("/dashboard/overview")) {
+    console.log("ℹ️ Already logged in.");
+    return;
+  }
+  const loginSuccess = await safeGoto(page, LOGIN_URL);
+  if (!loginSuccess) throw new Error("Failed to load login page");
+
+  try {
+    await page.waitForSelector('input[name="email"]', { timeout: 15000 });
+    await page.fill('input[name="email"]', USERNAME);
+    await safeClick(page, 'button[type="submit"]', "first submit button");
+    await page.waitForSelector('input[name="password"]', { timeout: 15000 });
+    await page.fill('input[name="password"]', PASSWORD);
+    await Promise.all([
+      page.waitForNavigation({ waitUntil: "networkidle", timeout: 30000 }),
+      safeClick(page, 'button[type="submit"]', "password submit button"),
+    ]);
+    console.log("✅ Login successful");
+    await page.waitForTimeout(3000);
+  } catch (loginError) {
+    throw new Error(`Login failed: ${loginError.message}`);
+  }
+}
+
+// Verifying a submission needs proof, so only the badge elements and whole-text confirmations
+// count; a job title, company name or nav link containing "Applied" does not.
+const VERIFIED_APPLICATION_SELECTORS = [
+  "[data-testid='already-applied']",
+  ".already-applied",
+  ...CONFIRMATION_TEXT_SELECTORS,
+  "text=/^\\s*(you have )?already applied( to this job)?[.!]?\\s*$/i",
+];
+
+// Shown on a job page once an application went through. Matched as exactly as the verification
+// badges, since "Already Applied" is final in the history: a job whose title merely contains
+// "Applied" ("Applied AI Engineer") would never be opened again.
+const APPLIED_BADGE_SELECTORS = [
+  ...VERIFIED_APPLICATION_SELECTORS,
+  'text="Applied"',
+];
+
+// Returns the first visible selector of the list (default: the applied badges), or null
+async function findAppliedBadge(
+  page,
+  timeout = 1000,
+  selectors = APPLIED_BADGE_SELECTORS
+) {
+  for (const selector of selectors) {
+    try {
+      const element = page.locator(selector).first();
+      if (await element.isVisible({ timeout })) return selector;
+    } catch (err) {
+      /* continue */
+    }
+  }
+  return null;
+}
+
+// Verification stage for a submit without a confirmation: reload the job page and look for
+// the applied badge. Returns the wizard result with `verified` / `verifiedBy` updated.
+async function verifyApplication(page, jobUrl, result) {
+  console.log("🔎 Re-checking the job page for the applied badge...");
+  if (!(await safeGoto(page, jobUrl, 1))) return result;
+  const badge = await findAppliedBadge(
+    page,
+    3000,
+    VERIFIED_APPLICATION_SELECTORS
+  );
+  if (!badge) {
+    console.log("⚠️ No applied badge found, the submission is unverified");
+    return result;
+  }
+  console.log(`✅ Application verified by the applied badge (${badge})`);
+  return { ...result, verified: true, verifiedBy: `applied badge (${badge})` };
+}
+
+// Function to attempt applying to a job
+// wizardOptions are passed to runEasyApplyWizard (e.g. fillStep for screening answers)
+// A successful result has `verified: false` when the submission could not be confirmed.
+async function applyToJob(page, wizardOptions = {}) {
+  try {
+    if (page.isClosed()) return { success: false, reason: "Page is closed" };
+    const jobUrl = page.url();
+    console.log(`🎯 Attempting to apply to job: ${jobUrl}`);
+    await page.waitForTimeout(2000);
+
+    const appliedBadge = await findAppliedBadge(page);
+    if (appliedBadge) {
+      console.log(`ℹ️ Already applied to this job (found: ${appliedBadge})`);
+      return { success: true, alreadyApplied: true };
+    }
+
+    const applySelectors = [
+      "#applyButton",
+      "apply-button-wc",
+      "button:has-text('Easy apply')",
+      "button:has-text('Apply now')",
+      "button:has-text('Apply')",
+      "[data-testid='apply-button']",
+      ".apply-button",
+      "button[data-testid='easy-apply']",
+      "input[value*='Apply']",
+    ];
+    let applyClicked = false;
+    for (const selector of applySelectors) {
+      try {
+        const element = page.locator(selector).first();
+        if (await element.isVisible({ timeout: 2000 })) {
+          await element.click();
+          console.log(`✅ Clicked apply button: ${selector}`);
+          applyClicked = true;
+          await page.waitForTimeout(3000);
+          break;
+        }
+      } catch (err) {
+        /* continue */
+      }
+    }
+    if (!applyClicked)
+      return { success: false, reason: "No Apply button found" };
+
+    // Resume choice, cover letter, screening questions, review, submit
+    const result = await runEasyApplyWizard(page, wizardOptions);
+    if (result.success && result.verified === false && !page.isClosed()) {
+      return await verifyApplication(page, jobUrl, result);
+    }
+    return result;
+  } catch (err) {
+    console.error(`❌ Error during job application: ${err.message}`);
+    return { success: false, reason: err.message };
+  }
+}
+
+module.exports = {
+  LOGIN_URL,
+  BROWSER_CONTEXT_OPTIONS,
+  safeGoto,
+  safeClick,
+  performLogin,
+  extractJobTitleFromDetailPage,
+  extractCompanyName,
+  extractJobDescription,
+  applyToJob,
+};
@@ -0,0 +1,358 @@
+// Easy Apply Wizard Driver
+// Dice's Easy Apply can take several steps (resume choice, cover letter, screening questions,
+// review). After the Apply button has been clicked, the driver loops through the steps: it stops
+// on a known blocking state, lets `fillStep` answer the step's questions, refuses to continue
+// past required fields that are still empty, and otherwise clicks Submit or Next. Every result
+// names the step it stopped at, so a half-finished application is reported as such instead of as
+// applied. A submitted application counts as verified only when a confirmation (or a success URL)
+// shows up after the Submit click, in the apply modal or else on the page; otherwise `verified`
+// is false and applyToJob re-checks the job page.
+
+const MAX_WIZARD_STEPS = 10;
+// The same step seen this many times in a row means Next does not advance (validation error)
+const MAX_STUCK_REPEATS = 2;
+
+// Confirmation texts matched against an element's whole text, so a heading, job title or link
+// that merely contains the words does not count. Shared with the applied-badge check in
+// utils/dice_page.js.
+const CONFIRMATION_TEXT_SELECTORS = [
+  'text="Application Submitted"',
+  'text="Application submitted"',
+  'text="Application received"',
+  "text=/^\\s*(your )?application (has been )?(submitted|received|sent)[.!]?\\s*$/i",
+  "text=/^\\s*(thank you for applying|successfully applied)[.!]?\\s*$/i",
+];
+
+const CONFIRMATION_SELECTORS = [
+  ".post-apply-banner",
+  "[data-testid='application-confirmation']",
+  ".application-success",
+  ".confirmation-message",
+  ...CONFIRMATION_TEXT_SELECTORS,
+];
+
+// Some flows only change the URL after submitting: a last path segment like /success. Anywhere
+// else the words can be part of a job title slug (/jobs/detail/applied-ai-engineer/...).
+const SUCCESS_URL_PATH = /\/(success|applied|confirmation|thank-you)\/?$/i;
+
+// States the bot cannot get past on its own
+const BLOCKING_STATES = [
+  {
+    name: "Login required",
+    selectors: ["text=Sign in to apply", "text=Log in to apply"],
+  },
+  {
+    name: "CAPTCHA",
+    selectors: [
+      "iframe[src*='recaptcha']",
+      "iframe[src*='hcaptcha']",
+      "iframe[title*='captcha' i]",
+    ],
+  },
+  {
+    name: "Job no longer available",
+    selectors: [
+      "text=This job is no longer available",
+      "text=no longer accepting applications",
+    ],
+  },
+];
+
+const SUBMIT_SELECTORS = [
+  "button:has-text('Submit Application')",
+  "button:has-text('Submit')",
+  "button:has-text('Send Application')",
+  "[data-testid='submit-button']",
+  ".submit-button",
+  "input[type='submit'][value*='Submit']",
+  "input[value*='Submit']",
+];
+
+const NEXT_SELECTORS = [
+  "button:has-text('Next')",
+  "button:has-text('Continue')",
+  "button:has-text('Review')",
+  "[data-testid='next-button']",
+  ".next-button",
+  "input[value*='Next']",
+];
+
+const STEP_NAME_SELECTORS = [
+  "[data-testid*='wizard'] h1",
+  "[data-testid*='wizard'] h2",
+  "[role='dialog'] h2",
+  "[role='dialog'] h1",
+  "main h2",
+  "main h1",
+  "h2",
+  "h1",
+];
+
+const VALIDATION_ERROR_SELECTORS = [
+  "[role='alert']",
+  "[aria-invalid='true']",
+  ".error-message",
+  ".field-error",
+];
+
+// Returns the first visible locator among the selectors, within a page or a locator, or null
+async function findVisible(scope, selectors, timeout = 1000) {
+  for (const selector of selectors) {
+    try {
+      const element = scope.locator(selector).first();
+      if (await element.isVisible({ timeout })) return { element, selector };
+    } catch (err) {
+      /* continue */
+    }
+  }
+  return null;
+}
+
+// Looks for a confirmation in the apply modal while one is open, else on the page, so text
+// elsewhere (e.g. a job description quoting "Application received") is not taken for one
+async function findConfirmation(page, timeout) {
+  const modal = page.locator("[role='dialog']").first();
+  let scope = page;
+  try {
+    if (await modal.isVisible()) scope = modal;
+  } catch (err) {
+    /* no modal */
+  }
+  return findVisible(scope, CONFIRMATION_SELECTORS, timeout);
+}
+
+function isSuccessUrl(url) {
+  try {
+    return SUCCESS_URL_PATH.test(new URL(url).pathname);
+  } catch (err) {
+    return false;
+  }
+}
+
+async function getStepName(page, stepIndex) {
+  const heading = await findVisible(page, STEP_NAME_SELECTORS, 500);
+  if (heading) {
+    try {
+      const text = (await heading.element.textContent()) || "";
+      if (text.trim()) return text.replace(/\s+/g, " ").trim().slice(0, 80);
+    } catch (err) {
+      /* fall through */
+    }
+  }
+  return `Step ${stepIndex}`;
+}
+
+/**
+ * Lists the visible required fields that are still empty, by their label.
+ * Radio groups and checkboxes count as empty when nothing in the group is checked.
+ * @returns {Promise<string[]>}
+ */
+async function findEmptyRequiredFields(page) {
+  try {
+    return await page.evaluate(() => {
+      const isVisible = (el) =>
+        el.offsetParent !== null || el.getClientRects().length > 0;
+      const labelOf = (el) => {
+        const byFor = el.id
+          ? document.querySelector(`label[for="${CSS.escape(el.id)}"]`)
+          : null;
+        const text =
+          (byFor && byFor.textContent) ||
+          (el.closest("label") && el.closest("label").textContent) ||
+          el.getAttribute("aria-label") ||
+          (el.closest("fieldset") &&
+            el.closest("fieldset").querySelector("legend") &&
+            el.closest("fieldset").querySelector("legend").textContent) ||
+          el.getAttribute("placeholder") ||
+          el.getAttribute("name") ||
+          el.tagName.toLowerCase();
+        return text.replace(/\s+/g, " ").replace(/\*/g, "").trim();
+      };
+
+      const fields = document.querySelectorAll(
+        "input[required], select[required], textarea[required], [aria-required='true']"
+      );
+      const missing = [];
+      const checkedGroups = new Set();
+      for (const el of fields) {
+        if (!isVisible(el) || el.disabled) continue;
+        const type = (el.getAttribute("type") || "").toLowerCase();
+        if (type === "hidden") continue;
+        let empty;
+        if (type === "radio" || type === "checkbox") {
+          const group = el.name || el.id;
+          if (checkedGroups.has(group)) continue;
+          checkedGroups.add(group);
+          const members = el.name
+            ? document.querySelectorAll(`input[name="${CSS.escape(el.name)}"]`)
+            : [el];
+          empty = !Array.from(members).some((member) => member.checked);
+        } else if (type === "file") {
+          empty = !el.files || el.files.length === 0;
+        } else if ("value" in el) {
+          empty = !String(el.value || "").trim();
+        } else {
+          // aria-required on a custom widget, e.g. a radiogroup
+          empty = !el.querySelector("[aria-checked='true'], :checked");
+        }
+        if (empty) missing.push(labelOf(el));
+      }
+      return Array.from(new Set(missing));
+    });
+  } catch (err) {
+    return [];
+  }
+}
+
+async function getValidationError(page) {
+  const found = await findVisible(page, VALIDATION_ERROR_SELECTORS, 500);
+  if (!found) return null;
+  try {
+    const text = (await found.element.textContent()) || "";
+    return text.replace(/\s+/g, " ").trim().slice(0, 120) || found.selector;
+  } catch (err) {
+    return found.selector;
+  }
+}
+
+/**
+ * Drives the Easy Apply wizard after the Apply button was clicked.
+ * @param {import('@playwright/test').Page} page
+ * @param {object} [options]
+ * @param {function(page, {index: number, name: string}): Promise<{stop?: string, unanswered?: string[]}|void>} [options.fillStep] -
+ *   Called on every step before the required-field check, to fill in answers. A result with
+ *   `stop` ends the application at that step (see utils/screening_answers.js).
+ * @param {number} [options.maxSteps]
+ * @returns {Promise<{success: boolean, alreadyApplied: boolean, verified?: boolean, verifiedBy?: string,
+ *   reason?: string, step: {index: number, name: string}, steps: string[], missingFields?: string[]}>}
+ */
+async function runEasyApplyWizard(
+  page,
+  { fillStep = null, maxSteps = MAX_WIZARD_STEPS } = {}
+) {
+  const steps = [];
+  let step = { index: 0, name: "Apply" };
+  let submitted = false; // Set when Submit was clicked; the loop ends right after
+  let lastSignature = null;
+  let repeats = 0;
+  const stopAt = (reason, extra = {}) => {
+    const message = `${reason} at step ${step.index} "${step.name}"`;
+    console.log(`⛔ ${message}`);
+    return {
+      success: false,
+      alreadyApplied: false,
+      reason: message,
+      step,
+      steps,
+      ...extra,
+    };
+  };
+
+  for (let index = 1; index <= maxSteps; index++) {
+    if (page.isClosed()) return stopAt("Page closed");
+
+    for (const state of BLOCKING_STATES) {
+      if (await findVisible(page, state.selectors, 500)) {
+        return stopAt(`Blocked (${state.name})`, { blockedBy: state.name });
+      }
+    }
+
+    step = { index, name: await getStepName(page, index) };
+    steps.push(step.name);
+    console.log(`🧭 Easy Apply step ${index}: ${step.name}`);
+
+    const signature = `${page.url()}|${step.name}`;
+    repeats = signature === lastSignature ? repeats + 1 : 0;
+    lastSignature = signature;
+    if (repeats >= MAX_STUCK_REPEATS) {
+      const error = await getValidationError(page);
+      return stopAt(
+        error ? `Validation error "${error}"` : "Wizard did not advance",
+        { blockedBy: "validation" }
+      );
+    }
+
+    const fill = fillStep ? await fillStep(page, step) : null;
+    if (fill && fill.stop) {
+      return stopAt(fill.stop, {
+        blockedBy: "screening",
+        missingFields: fill.unanswered || [],
+      });
+    }
+
+    const missingFields = await findEmptyRequiredFields(page);
+    if (missingFields.length > 0) {
+      return stopAt(`Required field(s) empty: ${missingFields.join(", ")}`, {
+        blockedBy: "required_fields",
+        missingFields,
+      });
+    }
+
+    const submit = await findVisible(page, SUBMIT_SELECTORS);
+    if (submit) {
+      await submit.element.click();
+      console.log(`✅ Clicked submit button: ${submit.selector}`);
+      submitted = true;
+      await page.waitForTimeout(4000);
+      break; // Never click Submit twice
+    }
+
+    const next = await findVisible(page, NEXT_SELECTORS);
+    if (next) {
+      await next.element.click();
+      console.log(`✅ Clicked next button: ${next.selector}`);
+      await page.waitForTimeout(3000);
+      continue;
+    }
+
+    return stopAt("No Next or Submit button");
+  }
+
+  if (!submitted) return stopAt(`Gave up after ${maxSteps} steps`);
+  if (page.isClosed()) return stopAt("Page closed after submit");
+
+  // Only now can a confirmation be trusted: nothing was submitted before the click
+  const confirmation = await findConfirmation(page, 5000);
+  if (confirmation) {
+    console.log(`✅ Application confirmation found: ${confirmation.selector}`);
+    return {
+      success: true,
+      alreadyApplied: false,
+      verified: true,
+      verifiedBy: confirmation.selector,
+      step,
+      steps,
+    };
+  }
+  // Submit was refused, e.g. a required answer the page only checks on submit
+  if (await findVisible(page, SUBMIT_SELECTORS, 500)) {
+    const error = await getValidationError(page);
+    if (error) {
+      return stopAt(`Submit rejected "${error}"`, { blockedBy: "validation" });
+    }
+  }
+
+  const currentUrl = page.url();
+  if (isSuccessUrl(currentUrl)) {
+    console.log(`✅ Success indicated by URL: ${currentUrl}`);
+    return {
+      success: true,
+      alreadyApplied: false,
+      verified: true,
+      verifiedBy: "URL",
+      step,
+      steps,
+    };
+  }
+  console.log(`⚠️ Application submitted, but no confirmation was shown`);
+  return { success: true, alreadyApplied: false, verified: false, step, steps };
+}
+
+module.exports = {
+  runEasyApplyWizard,
+  findEmptyRequiredFields,
+  isSuccessUrl,
+  CONFIRMATION_SELECTORS,
+  CONFIRMATION_TEXT_SELECTORS,
+  MAX_WIZARD_STEPS,
+};
@@ -0,0 +1,483 @@
+// HTML Dashboard Generator
+// Builds a self-contained (offline) HTML report from the logger's jobData and the run stats.
+// Charts are rendered as inline SVG and filtering is plain inline JavaScript, so the file
+// can be opened straight from the uploaded CI artifact without any network access.
+const fs = require("fs");
+const path = require("path");
+
+// --- Category metadata (labels and colours shared by cards, charts and tables) ---
+const CATEGORY_META = {
+  success: { label: "Applied", color: "#28a745" },
+  already_applied: { label: "Already Applied", color: "#fd7e14" },
+  unverified: { label: "Submitted (Unverified)", color: "#e83e8c" },
+  would_apply: { label: "Would Apply", color: "#17a2b8" },
+  pending_review: { label: "Pending Review", color: "#6f42c1" },
+  deferred: { label: "Deferred", color: "#9b7fd1" },
+  failed: { label: "Failed", color: "#dc3545" },
+  skipped: { label: "Skipped", color: "#ffc107" },
+  previously_seen: { label: "Seen in Previous Run", color: "#8e9aaf" },
+  llm_match: { label: "LLM Match", color: "#20c997" },
+  llm_partial_match: { label: "LLM Partial Match", color: "#e0c341" },
+  llm_no_match: { label: "LLM No Match", color: "#adb5bd" },
+  unknown: { label: "Unknown", color: "#6c757d" },
+};
+
+const LLM_META = {
+  MATCH: { label: "Match", color: "#28a745" },
+  PARTIAL_MATCH: { label: "Partial Match", color: "#ffc107" },
+  NO_MATCH: { label: "No Match", color: "#dc3545" },
+  ERROR: { label: "Error", color: "#6f42c1" },
+  SKIPPED_LLM: { label: "LLM Skipped", color: "#17a2b8" },
+  "N/A": { label: "Not Evaluated", color: "#adb5bd" },
+};
+
+const escapeHtml = (value) =>
+  String(value === undefined || value === null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+// One line of job metadata, e.g. "Austin, TX · Remote · Contract, W2 · $60/hr · Posted 3 days ago"
+const formatJobMetadata = (metadata) =>
+  metadata
+    ? [
+        metadata.location,
+        metadata.workplace,
+        metadata.employmentType,
+        metadata.salary,
+        metadata.postedDate,
+        metadata.recruiter ? `Recruiter: ${metadata.recruiter}` : "",
+        metadata.sponsorship,
+        metadata.workAuthorization,
+        metadata.clearance,
+        metadata.taxTerms,
+      ]
+        .filter(Boolean)
+        .join(" · ")
+    : "";
+
+const getCategoryMeta = (category) =>
+  CATEGORY_META[category] || { label: category, color: "#6c757d" };
+
+const getLlmMeta = (verdict) =>
+  LLM_META[verdict] || { label: verdict, color: "#6c757d" };
+
+const formatDuration = (ms) => {
+  const totalSeconds = Math.max(0, Math.round(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  return `${hours}h ${minutes}m ${seconds}s`;
+};
+
+// Count occurrences of a key across the job entries, preserving first-seen order.
+const countBy = (entries, getKey) => {
+  const counts = new Map();
+  for (const entry of entries) {
+    const key = getKey(entry);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return counts;
+};
+
+// --- Inline SVG donut chart ---
+// Uses the stroke-dasharray technique on a circle with circumference 100,
+// so each slice is simply its percentage of the total.
+function renderDonutChart(slices) {
+  const total = slices.reduce((sum, slice) => sum + slice.value, 0);
+  if (total === 0) {
+    return `<div class="empty-chart">No data</div>`;
+  }
+
+  let offset = 0;
+  const segments = slices
+    .filter((slice) => slice.value > 0)
+    .map((slice) => {
+      const pct = (slice.value / total) * 100;
+      const segment = `<circle class="slice" cx="21" cy="21" r="15.9155" fill="transparent" stroke="${
+        slice.color
+      }" stroke-width="6" stroke-dasharray="${pct.toFixed(3)} ${(
+        100 - pct
+      ).toFixed(3)}" stroke-dashoffset="${(25 - offset).toFixed(3)}"${
+        slice.filter ? ` data-filter="${escapeHtml(slice.filter)}"` : ""
+      }><title>${escapeHtml(slice.label)}: ${slice.value} (${pct.toFixed(
+        1
+      )}%)</title></circle>`;
+      offset += pct;
+      return segment;
+    })
+    .join("");
+
+  const legend = slices
+    .map(
+      (slice) =>
+        `<li${
+          slice.filter ? ` data-filter="${escapeHtml(slice.filter)}"` : ""
+        }><span class="swatch" style="background:${
+          slice.color
+        }"></span>${escapeHtml(slice.label)} <strong>${
+          slice.value
+        }</strong></li>`
+    )
+    .join("");
+
+  return `<div class="chart">
+      <svg viewBox="0 0 42 42" class="donut">
+        <circle cx="21" cy="21" r="15.9155" fill="transparent" stroke="#eef0f3" stroke-width="6"></circle>
+        ${segments}
+        <text x="21" y="22.5" text-anchor="middle" class="donut-total">${total}</text>
+      </svg>
+      <ul class="legend">${legend}</ul>
+    </div>`;
+}
+
+function renderSummaryCards(stats) {
+  const successRate =
+    stats.total > 0 ? ((stats.applied / stats.total) * 100).toFixed(1) : "0.0";
+  const cards = [
+    {
+      label: "Total Processed",
+      value: stats.total,
+      filter: "all",
+      color: "#007bff",
+    },
+    { label: "Applied", value: stats.applied, filter: "success" },
+    {
+      label: "Already Applied",
+      value: stats.alreadyApplied,
+      filter: "already_applied",
+    },
+    { label: "Failed", value: stats.failed, filter: "failed" },
+    { label: "Skipped", value: stats.skipped, filter: "skipped" },
+    { label: "Success Rate", value: `${successRate}%`, color: "#17a2b8" },
+  ];
+  if (stats.preFiltered) {
+    // A share of the skipped jobs, so it has no filter of its own
+    cards.splice(cards.length - 1, 0, {
+      label: "Pre-filtered",
+      value: stats.preFiltered,
+      color: "#adb5bd",
+    });
+  }
+  if (stats.companyLimited) {
+    // Also a share of the skipped jobs
+    cards.splice(cards.length - 1, 0, {
+      label: "Company Limit",
+      value: stats.companyLimited,
+      color: "#adb5bd",
+    });
+  }
+  if (stats.deferred) {
+    cards.splice(cards.length - 1, 0, {
+      label: "Deferred",
+      value: stats.deferred,
+      filter: "deferred",
+    });
+  }
+  if (stats.duplicate) {
+    // Not logged as rows, so there is nothing to filter
+    cards.splice(cards.length - 1, 0, {
+      label: "Duplicate",
+      value: stats.duplicate,
+      color: "#adb5bd",
+    });
+  }
+  if (stats.unverified) {
+    cards.splice(2, 0, {
+      label: "Unverified",
+      value: stats.unverified,
+      filter: "unverified",
+    });
+  }
+  if (stats.pendingReview) {
+    cards.splice(2, 0, {
+      label: "Pending Review",
+      value: stats.pendingReview,
+      filter: "pending_review",
+    });
+  }
+  if (stats.wouldApply) {
+    cards.splice(2, 0, {
+      label: "Would Apply",
+      value: stats.wouldApply,
+      filter: "would_apply",
+    });
+  }
+  return cards
+    .map((card) => {
+      const color = card.color || getCategoryMeta(card.filter).color;
+      return `<div class="card${card.filter ? " clickable" : ""}"${
+        card.filter ? ` data-filter="${card.filter}"` : ""
+      } style="border-top-color:${color}">
+        <div class="card-value" style="color:${color}">${escapeHtml(
+        card.value
+      )}</div>
+        <div class="card-label">${escapeHtml(card.label)}</div>
+      </div>`;
+    })
+    .join("");
+}
+
+function renderJobRow(entry) {
+  const meta = getCategoryMeta(entry.category);
+  const llm = getLlmMeta(entry.llmMatchScore);
+  const jobLink =
+    entry.jobPageUrl && entry.jobPageUrl !== "N/A"
+      ? `<a href="${escapeHtml(
+          entry.jobPageUrl
+        )}" target="_blank" rel="noopener">Open</a>`
+      : "N/A";
+  return `<tr data-category="${escapeHtml(
+    entry.category
+  )}" data-llm="${escapeHtml(entry.llmMatchScore)}">
+      <td>${escapeHtml(entry.serialNo)}</td>
+      <td>${escapeHtml(entry.jobTitle)}${
+    formatJobMetadata(entry)
+      ? `<div class="job-meta">${escapeHtml(formatJobMetadata(entry))}</div>`
+      : ""
+  }</td>
+      <td>${escapeHtml(entry.companyName)}</td>
+      <td><span class="badge" style="background:${meta.color}">${escapeHtml(
+    entry.status
+  )}</span></td>
+      <td><span class="badge" style="background:${llm.color}">${escapeHtml(
+    llm.label
+  )}${
+    entry.llmScore !== undefined && entry.llmScore !== ""
+      ? ` ${escapeHtml(entry.llmScore)}`
+      : ""
+  }</span></td>
+      <td class="reason">${escapeHtml(entry.llmReason)}</td>
+      <td>${escapeHtml(entry.timestamp)}</td>
+      <td>${jobLink}</td>
+    </tr>`;
+}
+
+function renderSearchTermTables(jobData) {
+  if (jobData.length === 0) {
+    return `<p class="empty">No jobs were logged during this run.</p>`;
+  }
+  const groups = new Map();
+  for (const entry of jobData) {
+    const term = entry.searchTerm || "Unassigned";
+    if (!groups.has(term)) groups.set(term, []);
+    groups.get(term).push(entry);
+  }
+
+  return Array.from(groups.entries())
+    .map(([term, entries]) => {
+      const counts = countBy(entries, (entry) => entry.category);
+      const countChips = Array.from(counts.entries())
+        .map(
+          ([category, count]) =>
+            `<span class="chip" style="background:${
+              getCategoryMeta(category).color
+            }">${escapeHtml(getCategoryMeta(category).label)}: ${count}</span>`
+        )
+        .join("");
+      return `<details class="term-section" open>
+        <summary><span class="term-name">🔍 ${escapeHtml(
+          term
+        )}</span> <span class="term-count">(${
+        entries.length
+      } jobs)</span> ${countChips}</summary>
+        <table>
+          <thead>
+            <tr><th>#</th><th>Job Title</th><th>Company</th><th>Status</th><th>LLM</th><th>LLM Reason</th><th>Timestamp</th><th>Link</th></tr>
+          </thead>
+          <tbody>${entries.map(renderJobRow).join("")}</tbody>
+        </table>
+      </details>`;
+    })
+    .join("");
+}
+
+/**
+ * Builds the HTML dashboard markup.
+ * @param {object} options
+ * @param {Array<object>} options.jobData - Entries collected by JobApplicationLogger.logJob.
+ * @param {object} options.stats - The run statistics object from the spec.
+ * @param {string} options.title - Report title (usually the Excel filename).
+ * @param {Date} options.startTime - When the run started.
+ * @param {Date} [options.endTime] - When the run finished (defaults to now).
+ * @returns {string} The complete HTML document.
+ */
+function buildHtmlReport({ jobData, stats, title, startTime, endTime }) {
+  const finishedAt = endTime || new Date();
+
+  const statusSlices = [
+    { key: "success", value: stats.applied },
+    { key: "unverified", value: stats.unverified || 0 },
+    { key: "would_apply", value: stats.wouldApply || 0 },
+    { key: "pending_review", value: stats.pendingReview || 0 },
+    { key: "already_applied", value: stats.alreadyApplied },
+    { key: "failed", value: stats.failed },
+    { key: "skipped", value: stats.skipped },
+  ].map((slice) => ({
+    ...slice,
+    label: getCategoryMeta(slice.key).label,
+    color: getCategoryMeta(slice.key).color,
+    filter: slice.key,
+  }));
+
+  const llmCounts = countBy(jobData, (entry) => entry.llmMatchScore || "N/A");
+  const llmSlices = Array.from(llmCounts.entries()).map(([verdict, count]) => ({
+    label: getLlmMeta(verdict).label,
+    color: getLlmMeta(verdict).color,
+    value: count,
+    filter: `llm:${verdict}`,
+  }));
+
+  const categoryButtons = [
+    `<button class="filter-btn active" data-filter="all">All (${jobData.length})</button>`,
+    ...Array.from(countBy(jobData, (entry) => entry.category).entries()).map(
+      ([category, count]) =>
+        `<button class="filter-btn" data-filter="${escapeHtml(
+          category
+        )}">${escapeHtml(getCategoryMeta(category).label)} (${count})</button>`
+    ),
+  ].join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>Dice Job Applications - ${escapeHtml(title)}</title>
+<style>
+  * { box-sizing: border-box; }
+  body { margin: 0; font-family: -apple-system, "Segoe UI", Arial, sans-serif; background: #f4f6f9; color: #212529; }
+  header { background: linear-gradient(135deg, #0d6efd, #6610f2); color: #fff; padding: 24px 32px; }
+  header h1 { margin: 0 0 6px; font-size: 24px; }
+  header .meta { opacity: 0.85; font-size: 14px; }
+  main { padding: 24px 32px; max-width: 1400px; margin: 0 auto; }
+  .cards { display: grid; grid-template-columns: repeat(auto-fit, minmax(160px, 1fr)); gap: 16px; margin-bottom: 24px; }
+  .card { background: #fff; border-radius: 10px; padding: 18px; border-top: 4px solid; box-shadow: 0 2px 6px rgba(0,0,0,0.06); transition: transform 0.15s, box-shadow 0.15s; }
+  .card.clickable { cursor: pointer; }
+  .card.clickable:hover, .card.active { transform: translateY(-3px); box-shadow: 0 6px 14px rgba(0,0,0,0.12); }
+  .card-value { font-size: 30px; font-weight: 700; }
+  .card-label { font-size: 13px; color: #6c757d; text-transform: uppercase; letter-spacing: 0.5px; }
+  .charts { display: grid; grid-template-columns: repeat(auto-fit, minmax(360px, 1fr)); gap: 16px; margin-bottom: 24px; }
+  .panel { background: #fff; border-radius: 10px; padding: 18px; box-shadow: 0 2px 6px rgba(0,0,0,0.06); }
+  .panel h2 { margin: 0 0 12px; font-size: 16px; }
+  .chart { display: flex; align-items: center; gap: 24px; }
+  .donut { width: 180px; height: 180px; flex-shrink: 0; }
+  .donut .slice, .legend li[data-filter] { cursor: pointer; }
+  .donut-total { font-size: 8px; font-weight: 700; fill: #343a40; }
+  .legend { list-style: none; padding: 0; margin: 0; font-size: 14px; }
+  .legend li { margin: 6px 0; }
+  .swatch { display: inline-block; width: 12px; height: 12px; border-radius: 3px; margin-right: 8px; vertical-align: middle; }
+  .empty-chart, .empty { color: #6c757d; font-style: italic; }
+  .filters { display: flex; flex-wrap: wrap; gap: 8px; margin-bottom: 16px; align-items: center; }
+  .filter-btn { border: 1px solid #ced4da; background: #fff; border-radius: 20px; padding: 6px 14px; cursor: pointer; font-size: 13px; }
+  .filter-btn.active { background: #0d6efd; border-color: #0d6efd; color: #fff; }
+  #search { margin-left: auto; padding: 6px 12px; border: 1px solid #ced4da; border-radius: 20px; min-width: 240px; }
+  .term-section { background: #fff; border-radius: 10px; margin-bottom: 16px; box-shadow: 0 2px 6px rgba(0,0,0,0.06); overflow: hidden; }
+  .term-section summary { padding: 14px 18px; cursor: pointer; font-weight: 600; }
+  .term-count { color: #6c757d; font-weight: 400; }
+  .chip, .badge { display: inline-block; color: #fff; border-radius: 12px; padding: 2px 10px; font-size: 12px; margin-left: 4px; font-weight: 500; }
+  table { width: 100%; border-collapse: collapse; font-size: 13px; }
+  th { background: #f1f3f5; text-align: left; padding: 8px 10px; position: sticky; top: 0; }
+  td { padding: 8px 10px; border-top: 1px solid #eef0f3; vertical-align: top; }
+  td.reason { max-width: 360px; color: #495057; }
+  .job-meta { color: #6c757d; font-size: 12px; margin-top: 4px; }
+  tr.hidden { display: none; }
+  footer { text-align: center; color: #6c757d; font-size: 12px; padding: 16px; }
+</style>
+</head>
+<body>
+<header>
+  <h1>🎯 Dice Job Application Report</h1>
+  <div class="meta">${escapeHtml(title)} · Started ${escapeHtml(
+    startTime.toLocaleString()
+  )} · Finished ${escapeHtml(
+    finishedAt.toLocaleString()
+  )} · Duration ${formatDuration(finishedAt - startTime)}</div>
+</header>
+<main>
+  <section class="cards">${renderSummaryCards(stats)}</section>
+  <section class="charts">
+    <div class="panel"><h2>📊 Application Status</h2>${renderDonutChart(
+      statusSlices
+    )}</div>
+    <div class="panel"><h2>🤖 LLM Match Breakdown</h2>${renderDonutChart(
+      llmSlices
+    )}</div>
+  </section>
+  <section>
+    <div class="filters">${categoryButtons}<input id="search" type="search" placeholder="Search title or company..."></div>
+    ${renderSearchTermTables(jobData)}
+  </section>
+</main>
+<footer>Generated ${escapeHtml(
+    new Date().toLocaleString()
+  )} · Powered by ADAA Corp.</footer>
+<script>
+  (function () {
+    var activeFilter = "all";
+    var searchText = "";
+    var rows = document.querySelectorAll("tbody tr");
+
+    function matchesFilter(row) {
+      if (activeFilter === "all") return true;
+      if (activeFilter.indexOf("llm:") === 0)
+        return row.getAttribute("data-llm") === activeFilter.slice(4);
+      return row.getAttribute("data-category") === activeFilter;
+    }
+
+    function applyFilters() {
+      rows.forEach(function (row) {
+        var visible =
+          matchesFilter(row) &&
+          (!searchText || row.textContent.toLowerCase().indexOf(searchText) !== -1);
+        row.classList.toggle("hidden", !visible);
+      });
+      document.querySelectorAll("[data-filter]").forEach(function (el) {
+        el.classList.toggle("active", el.getAttribute("data-filter") === activeFilter);
+      });
+    }
+
+    document.querySelectorAll("[data-filter]").forEach(function (el) {
+      el.addEventListener("click", function () {
+        var filter = el.getAttribute("data-filter");
+        activeFilter = activeFilter === filter ? "all" : filter;
+        applyFilters();
+      });
+    });
+
+    document.getElementById("search").addEventListener("input", function (e) {
+      searchText = e.target.value.trim().toLowerCase();
+      applyFilters();
+    });
+  })();
+</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Writes the HTML dashboard to disk, creating the target directory if needed.
+ * @param {string} filepath - Destination .html path.
+ * @param {object} options - See buildHtmlReport.
+ * @returns {string} The path that was written.
+ */
+function writeHtmlReport(filepath, options) {
+  const dir = path.dirname(filepath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  fs.writeFileSync(filepath, buildHtmlReport(options), "utf-8");
+  return filepath;
+}
+
+module.exports = {
+  CATEGORY_META,
+  LLM_META,
+  escapeHtml,
+  formatJobMetadata,
+  buildHtmlReport,
+  writeHtmlReport,
+};
@@ -0,0 +1,403 @@
+// Excel Job Application Log
+// Writes every processed job to Logs/JobApp_<date>.xlsx (one row per job, colour-coded by status)
+// and renders the matching offline HTML dashboard in Reports/ at the end of the run.
+// Dry runs write Logs/DryRun_<date>.xlsx instead, which is never imported into the history.
+// A second sheet lists the screening questions the bot could not answer, and a third one the
+// post-run reconciliation with the Dice applied-jobs page (utils/reconciliation.js).
+const ExcelJS = require("exceljs");
+const fs = require("fs");
+const path = require("path");
+const { writeHtmlReport } = require("./html_report");
+const { METADATA_FIELDS } = require("./job_metadata");
+const { WORK_REQUIREMENT_FIELDS } = require("./work_requirements");
+const { categorizeStatus } = require("./job_status");
+
+// Row fill of each category in the Excel log
+const CATEGORY_FILLS = {
+  previously_seen: "FFE2E3E5", // Light blue-grey
+  pending_review: "FFE8DAEF", // Light purple
+  deferred: "FFEDE7F6", // Light lavender
+  would_apply: "FFD1ECF1", // Light cyan
+  already_applied: "FFFFEAA7", // Light orange
+  unverified: "FFFCE4D6", // Light peach
+  success: "FFD4EDDA", // Light green
+  failed: "FFF8D7DA", // Light red
+  skipped: "FFFFF3CD", // Light yellow
+  llm_match: "FFDAEDDB", // Very light green
+  llm_partial_match: "FFFFEEBB", // Very light yellow
+  llm_no_match: "FFE6E6E6", // Light grey
+};
+
+class JobApplicationLogger {
+  // resumeFilename: continue an existing Logs/*.xlsx instead of starting a new one
+  // history: ApplicationHistory that every logged job is appended to
+  // filePrefix: "JobApp" for real runs, "DryRun" for dry runs
+  constructor({
+    resumeFilename = null,
+    startTime = null,
+    history = null,
+    filePrefix = "JobApp",
+  } = {}) {
+    this.workbook = new ExcelJS.Workbook();
+    this.worksheet = null;
+    this.questionSheet = null; // "Unanswered Questions"
+    this.serialNumber = 1;
+    this.logsDir = path.join(__dirname, "..", "Logs");
+    this.reportsDir = path.join(__dirname, "..", "Reports");
+    this.filePrefix = filePrefix;
+    this.resumed = Boolean(resumeFilename);
+    this.filename = resumeFilename || this.generateFilename();
+    this.filepath = path.join(this.logsDir, this.filename);
+    this.htmlReportPath = path.join(
+      this.reportsDir,
+      this.filename.replace(".xlsx", ".html")
+    );
+    this.startTime = startTime ? new Date(startTime) : new Date();
+    this.jobData = [];
+    this.currentSearchTerm = "";
+    this.history = history;
+  }
+
+  setSearchTerm(searchTerm) {
+    this.currentSearchTerm = searchTerm;
+  }
+
+  generateFilename() {
+    const now = new Date();
+    const year = now.getFullYear();
+    const month = String(now.getMonth() + 1).padStart(2, "0");
+    const day = String(now.getDate()).padStart(2, "0");
+    const hours = now.getHours();
+    const minutes = String(now.getMinutes()).padStart(2, "0");
+    const ampm = hours >= 12 ? "PM" : "AM";
+    const displayHours = hours % 12 || 12;
+
+    return `${this.filePrefix}_${year}-${month}-${day}_${String(
+      displayHours
+    ).padStart(2, "0")}-${minutes}-${ampm}.xlsx`;
+  }
+
+  async initializeExcel() {
+    try {
+      if (!fs.existsSync(this.logsDir)) {
+        fs.mkdirSync(this.logsDir, { recursive: true });
+        console.log(`✅ Created Logs directory: ${this.logsDir}`);
+      }
+
+      if (!fs.existsSync(this.reportsDir)) {
+        fs.mkdirSync(this.reportsDir, { recursive: true });
+        console.log(`✅ Created Reports directory: ${this.reportsDir}`);
+      }
+
+      if (this.resumed && fs.existsSync(this.filepath)) {
+        await this.loadExistingExcel();
+        return;
+      }
+
+      this.worksheet = this.workbook.addWorksheet("Job Applications");
+      this.setupColumns();
+      this.questionSheet = this.workbook.addWorksheet("Unanswered Questions");
+      this.setupQuestionColumns();
+
+      console.log(`✅ Initialized Excel file: ${this.filename}`);
+    } catch (error) {
+      console.error(`❌ Error initializing Excel: ${error.message}`);
+      throw error;
+    }
+  }
+
+  setupColumns() {
+    this.worksheet.columns = [
+      { header: "Sr.No", key: "serialNo", width: 10 },
+      { header: "Job Title", key: "jobTitle", width: 50 },
+      { header: "Company Name", key: "companyName", width: 30 },
+      { header: "Status", key: "status", width: 25 },
+      { header: "Timestamp", key: "timestamp", width: 20 },
+      { header: "LLM Match Score", key: "llmMatchScore", width: 15 },
+      { header: "LLM Reason", key: "llmReason", width: 60 },
+      { header: "Job Page URL", key: "jobPageUrl", width: 70 }, // Added for context
+      { header: "Search Term", key: "searchTerm", width: 20 },
+      // Structured LLM verdict (appended last so older logs still line up when resumed)
+      { header: "LLM Score", key: "llmScore", width: 12 },
+      { header: "Matched Skills", key: "matchedSkills", width: 40 },
+      { header: "Missing Skills", key: "missingSkills", width: 40 },
+      // Structured job metadata (utils/job_metadata.js)
+      { header: "Dice Job ID", key: "jobId", width: 38 },
+      { header: "Location", key: "location", width: 30 },
+      { header: "Workplace", key: "workplace", width: 12 },
+      { header: "Employment Type", key: "employmentType", width: 22 },
+      { header: "Salary", key: "salary", width: 30 },
+      { header: "Posted", key: "postedDate", width: 20 },
+      { header: "Recruiter", key: "recruiter", width: 25 },
+      // Work requirements read from the description (utils/work_requirements.js)
+      { header: "Sponsorship", key: "sponsorship", width: 20 },
+      { header: "Work Authorization", key: "workAuthorization", width: 22 },
+      { header: "Clearance", key: "clearance", width: 30 },
+      { header: "Tax Terms", key: "taxTerms", width: 22 },
+    ];
+
+    const headerRow = this.worksheet.getRow(1);
+    headerRow.font = { name: "Arial", size: 11, bold: true };
+    headerRow.fill = {
+      type: "pattern",
+      pattern: "solid",
+      fgColor: { argb: "FFB3D9FF" },
+    };
+    headerRow.alignment = { horizontal: "center", vertical: "middle" };
+  }
+
+  setupQuestionColumns() {
+    this.questionSheet.columns = [
+      { header: "Timestamp", key: "timestamp", width: 20 },
+      { header: "Question", key: "question", width: 60 },
+      { header: "Field Type", key: "type", width: 12 },
+      { header: "Options", key: "options", width: 40 },
+      { header: "Required", key: "required", width: 10 },
+      { header: "Job Title", key: "jobTitle", width: 50 },
+      { header: "Company Name", key: "companyName", width: 30 },
+      { header: "Job Page URL", key: "jobPageUrl", width: 70 },
+      { header: "Step", key: "step", width: 25 },
+      { header: "Reason", key: "reason", width: 50 },
+    ];
+
+    const headerRow = this.questionSheet.getRow(1);
+    headerRow.font = { name: "Arial", size: 11, bold: true };
+    headerRow.fill = {
+      type: "pattern",
+      pattern: "solid",
+      fgColor: { argb: "FFE8DAEF" },
+    };
+    headerRow.alignment = { horizontal: "center", vertical: "middle" };
+  }
+
+  // Re-opens the log of an interrupted run and rebuilds jobData from its rows
+  async loadExistingExcel() {
+    await this.workbook.xlsx.readFile(this.filepath);
+    this.worksheet =
+      this.workbook.getWorksheet("Job Applications") ||
+      this.workbook.addWorksheet("Job Applications");
+    this.setupColumns(); // Column keys are not stored in the xlsx file
+    this.questionSheet =
+      this.workbook.getWorksheet("Unanswered Questions") ||
+      this.workbook.addWorksheet("Unanswered Questions");
+    this.setupQuestionColumns();
+
+    this.worksheet.eachRow((row, rowNumber) => {
+      if (rowNumber === 1) return;
+      const jobEntry = {};
+      this.worksheet.columns.forEach((column) => {
+        const value = row.getCell(column.key).value;
+        jobEntry[column.key] = value === null ? "" : value;
+      });
+      jobEntry.category = this.categorizeStatus(String(jobEntry.status));
+      this.jobData.push(jobEntry);
+    });
+    this.serialNumber = this.jobData.length + 1;
+    console.log(
+      `♻️ Continuing Excel file: ${this.filename} (${this.jobData.length} existing entries)`
+    );
+  }
+
+  async logJob(
+    jobTitle,
+    companyName,
+    status,
+    llmMatch = null,
+    llmReason = "",
+    jobPageUrl = "",
+    jobMetadata = null
+  ) {
+    // Added jobPageUrl
+    try {
+      if (!this.worksheet) {
+        console.error("❌ Excel worksheet not initialized");
+        return;
+      }
+
+      const timestamp = new Date().toLocaleString();
+      const jobEntry = {
+        serialNo: this.serialNumber,
+        jobTitle: jobTitle || "Unknown Job Title",
+        companyName: companyName || "Unknown Company",
+        status: status,
+        timestamp: timestamp,
+        loggedAt: new Date().toISOString(), // Locale-independent, for the history
+        category: this.categorizeStatus(status),
+        llmMatchScore: llmMatch ? llmMatch.match : "N/A",
+        llmReason: this.formatLlmReason(llmMatch),
+        jobPageUrl: jobPageUrl || "N/A", // Log the URL
+        searchTerm: this.currentSearchTerm || "N/A",
+        llmScore:
+          llmMatch && llmMatch.score !== undefined ? llmMatch.score : "",
+        matchedSkills:
+          llmMatch && llmMatch.matchedSkills
+            ? llmMatch.matchedSkills.join(", ")
+            : "",
+        missingSkills:
+          llmMatch && llmMatch.missingSkills
+            ? llmMatch.missingSkills.join(", ")
+            : "",
+        verdictSource: llmMatch ? llmMatch.source || "llm" : "",
+      };
+      for (const field of [...METADATA_FIELDS, ...WORK_REQUIREMENT_FIELDS]) {
+        jobEntry[field] = (jobMetadata && jobMetadata[field]) || "";
+      }
+
+      this.jobData.push(jobEntry);
+      if (this.history && jobEntry.category !== "previously_seen") {
+        this.history.record(jobEntry, this.filename);
+      }
+      const row = this.worksheet.addRow(jobEntry);
+
+      row.font = { name: "Arial", size: 10 };
+      row.alignment = { horizontal: "left", vertical: "middle" };
+
+      const fillColor = CATEGORY_FILLS[jobEntry.category] || "FFFFFFFF"; // White default
+      row.fill = {
+        type: "pattern",
+        pattern: "solid",
+        fgColor: { argb: fillColor },
+      };
+
+      this.serialNumber++;
+      console.log(
+        `📝 [${
+          this.serialNumber - 1
+        }] ${jobTitle} - ${companyName} - ${status} ${
+          llmMatch
+            ? `(${llmMatch.source === "offline" ? "Offline" : "LLM"}: ${
+                llmMatch.match
+              }${llmMatch.score !== undefined ? ` ${llmMatch.score}` : ""})`
+            : ""
+        }`
+      );
+
+      if (this.serialNumber % 5 === 0) {
+        await this.saveExcel();
+      }
+    } catch (error) {
+      console.error(`❌ Error logging job: ${error.message}`);
+    }
+  }
+
+  /**
+   * Adds a screening question the bot could not answer to the "Unanswered Questions" sheet.
+   * @param {object} record - From ScreeningAnswerer: { question, type, options, required, jobUrl,
+   *   jobTitle, companyName, step, reason }
+   */
+  logUnansweredQuestion(record) {
+    if (!this.questionSheet) return;
+    const row = this.questionSheet.addRow({
+      timestamp: new Date().toLocaleString(),
+      question: record.question,
+      type: record.type,
+      options: (record.options || []).join(" | "),
+      required: record.required ? "Yes" : "No",
+      jobTitle: record.jobTitle || "Unknown Job Title",
+      companyName: record.companyName || "Unknown Company",
+      jobPageUrl: record.jobUrl || "N/A",
+      step: record.step,
+      reason: record.reason,
+    });
+    row.font = { name: "Arial", size: 10 };
+    row.alignment = { horizontal: "left", vertical: "middle" };
+    if (record.required) {
+      row.fill = {
+        type: "pattern",
+        pattern: "solid",
+        fgColor: { argb: "FFF8D7DA" }, // Light red: blocked the application
+      };
+    }
+  }
+
+  /**
+   * Writes the "Reconciliation" sheet, replacing the one from an earlier attempt.
+   * @param {object[]} rows - From reconcile(): { result, jobTitle, companyName, loggedStatus,
+   *   appliedOn, jobPageUrl, note }
+   */
+  writeReconciliationSheet(rows) {
+    const existing = this.workbook.getWorksheet("Reconciliation");
+    if (existing) this.workbook.removeWorksheet(existing.id);
+    const sheet = this.workbook.addWorksheet("Reconciliation");
+    sheet.columns = [
+      { header: "Result", key: "result", width: 22 },
+      { header: "Job Title", key: "jobTitle", width: 50 },
+      { header: "Company Name", key: "companyName", width: 30 },
+      { header: "Logged Status", key: "loggedStatus", width: 25 },
+      { header: "Applied On (Dice)", key: "appliedOn", width: 18 },
+      { header: "Job Page URL", key: "jobPageUrl", width: 70 },
+      { header: "Note", key: "note", width: 45 },
+    ];
+    const headerRow = sheet.getRow(1);
+    headerRow.font = { name: "Arial", size: 11, bold: true };
+    headerRow.fill = {
+      type: "pattern",
+      pattern: "solid",
+      fgColor: { argb: "FFB3D9FF" },
+    };
+    headerRow.alignment = { horizontal: "center", vertical: "middle" };
+
+    const fillColors = {
+      Confirmed: "FFD4EDDA", // Light green
+      "Missing on Dice": "FFF8D7DA", // Light red
+      "Not logged by the bot": "FFFFF3CD", // Light yellow
+    };
+    for (const entry of rows) {
+      const row = sheet.addRow(entry);
+      row.font = { name: "Arial", size: 10 };
+      row.alignment = { horizontal: "left", vertical: "middle" };
+      row.fill = {
+        type: "pattern",
+        pattern: "solid",
+        fgColor: { argb: fillColors[entry.result] || "FFFFFFFF" },
+      };
+    }
+  }
+
+  // Verdicts reused from Logs/llm_cache.json are marked with the date they were scored
+  formatLlmReason(llmMatch) {
+    if (!llmMatch) return "";
+    if (!llmMatch.cached) return llmMatch.reason;
+    return `[Cached ${String(llmMatch.cachedAt).slice(0, 10)}] ${
+      llmMatch.reason
+    }`;
+  }
+
+  categorizeStatus(status) {
+    return categorizeStatus(status);
+  }
+
+  async saveExcel() {
+    try {
+      await this.workbook.xlsx.writeFile(this.filepath);
+    } catch (error) {
+      console.error(`❌ Error saving Excel file: ${error.message}`);
+    }
+  }
+
+  async saveHtmlReport(stats) {
+    try {
+      writeHtmlReport(this.htmlReportPath, {
+        jobData: this.jobData,
+        stats,
+        title: this.filename.replace(".xlsx", ""),
+        startTime: this.startTime,
+        endTime: new Date(),
+      });
+      console.log(`✅ HTML report saved: ${this.htmlReportPath}`);
+    } catch (error) {
+      console.error(`❌ Error saving HTML report: ${error.message}`);
+    }
+  }
+
+  getLogSummary() {
+    return {
+      filename: this.filename,
+      totalEntries: this.serialNumber - 1,
+      filepath: this.filepath,
+      htmlReportPath: this.htmlReportPath,
+    };
+  }
+}
+
+module.exports = { JobApplicationLogger, categorizeStatus };
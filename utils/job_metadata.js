@@ -0,0 +1,367 @@
+// Structured Job Metadata
+// Reads the facts a job detail page states about a posting: Dice job ID, location, workplace
+// (Remote / Hybrid / On-site), employment type (Full-time, Contract, W2, C2C...), pay, posted or
+// updated date and recruiter. The JobPosting JSON-LD block is preferred; labelled elements of the
+// page header fill the gaps, and the header text is the last resort. Every field is a plain string
+// ("" when the page does not say), so it can go straight into the log.
+const { extractJobId } = require("./application_history");
+
+const METADATA_FIELDS = [
+  "jobId",
+  "location",
+  "workplace",
+  "employmentType",
+  "salary",
+  "postedDate",
+  "recruiter",
+];
+
+const FIELD_SELECTORS = {
+  location: [
+    '[data-testid="job-location"]',
+    '[data-testid="location"]',
+    '[data-cy="location"]',
+    '[data-cy="locationDetails"]',
+    'li[class*="location" i]',
+    'span[class*="location" i]',
+  ],
+  employmentType: [
+    '[data-testid="employmentDetails"]',
+    '[data-cy="employmentDetails"]',
+    '[data-testid="employment-type"]',
+    'div[class*="employment" i]',
+  ],
+  salary: [
+    '[data-testid="payDetails"]',
+    '[data-cy="payDetails"]',
+    '[data-testid="compensation"]',
+    'div[class*="salary" i]',
+    'span[class*="salary" i]',
+  ],
+  postedDate: [
+    '[data-testid="postedDate"]',
+    '[data-cy="postedDate"]',
+    "#timeAgo",
+    'span[class*="posted" i]',
+  ],
+  recruiter: [
+    '[data-testid="recruiter-name"]',
+    '[data-cy="recruiterName"]',
+    ".recruiter-name",
+    'div[class*="recruiter" i] h3',
+  ],
+};
+
+// Containers whose text is searched when the labelled elements are missing
+const HEADER_SELECTORS = [
+  '[data-testid="job-detail-header-card"]',
+  '[data-cy="jobDetailsHeader"]',
+  ".job-header",
+  ".job-details",
+  "main",
+];
+
+const EMPLOYMENT_TYPES = [
+  ["Full-time", /\bfull[\s-]?time\b|\bFULL_TIME\b|\bpermanent\b/i],
+  ["Part-time", /\bpart[\s-]?time\b|\bPART_TIME\b/i],
+  ["Contract to Hire", /\bcontract[\s-]+to[\s-]+hire\b|\bc2h\b/i],
+  ["Contract", /\bcontract(or)?\b|\bCONTRACTOR\b/i],
+  ["C2C", /\bc2c\b|\bcorp[\s-]+to[\s-]+corp\b|\bcorp-to-corp\b/i],
+  ["W2", /\bw-?2\b/i],
+  ["1099", /\b1099\b|\bindependent\b/i],
+  ["Third Party", /\bthird[\s-]party\b/i],
+];
+
+const collapse = (text) =>
+  String(text || "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+/**
+ * @param {string} text - An employment-type label or free text.
+ * @returns {string} Known types in a fixed order, e.g. "Contract, W2", or "".
+ */
+function parseEmploymentType(text) {
+  const value = collapse(text);
+  if (!value) return "";
+  return EMPLOYMENT_TYPES.filter(
+    ([label, pattern]) =>
+      pattern.test(value) &&
+      // "Contract to Hire" already says "contract"
+      !(label === "Contract" && /\bcontract[\s-]+to[\s-]+hire\b/i.test(value))
+  )
+    .map(([label]) => label)
+    .join(", ");
+}
+
+/**
+ * @param {string} text
+ * @returns {"Remote"|"Hybrid"|"On-site"|""}
+ */
+function parseWorkplace(text) {
+  const value = collapse(text);
+  if (/\bhybrid\b/i.test(value)) return "Hybrid";
+  if (/\bremote\b|\btelecommute\b|\bwork from home\b/i.test(value))
+    return "Remote";
+  if (/\bon[\s-]?site\b|\bin[\s-]office\b|\bin[\s-]person\b/i.test(value))
+    return "On-site";
+  return "";
+}
+
+/**
+ * Finds a pay range or amount, e.g. "$60 - $70/hr" or "USD 120,000.00 - 140,000.00 per year".
+ * @param {string} text
+ * @returns {string}
+ */
+function parseSalary(text) {
+  const value = collapse(text);
+  const amount = String.raw`(?:\$|usd\s?)?\s?\d[\d,]*(?:\.\d+)?\s?k?`;
+  const period = String.raw`(?:\s?(?:\/|per|an|a)\s?(?:hour|hr|year|yr|annum|month|week|day))?`;
+  const match = value.match(
+    new RegExp(
+      String.raw`(?:\$|usd\s?)\s?\d[\d,]*(?:\.\d+)?\s?k?(?:\s?(?:-|–|to)\s?${amount})?${period}`,
+      "i"
+    )
+  );
+  if (match) return match[0].trim();
+  const depends = value.match(/\bdepends on experience\b|\bdoe\b/i);
+  return depends ? "Depends on experience" : "";
+}
+
+/**
+ * Finds a posted or updated date, e.g. "Posted 3 days ago" or "Updated Jan 5, 2025".
+ * @param {string} text
+ * @returns {string}
+ */
+function parsePostedDate(text) {
+  const value = collapse(text);
+  const match = value.match(
+    /\b(posted|updated|reposted)\b\s*(?:on)?\s*:?\s*(\d+\+?\s+\w+\s+ago|today|yesterday|just now|\d{1,2}\/\d{1,2}\/\d{2,4}|\d{4}-\d{2}-\d{2}|[a-z]{3,9}\.? \d{1,2},? \d{4})/i
+  );
+  if (!match) return "";
+  const verb = match[1][0].toUpperCase() + match[1].slice(1).toLowerCase();
+  return `${verb} ${match[2]}`;
+}
+
+// Salary text from a JSON-LD baseSalary object
+function formatBaseSalary(baseSalary) {
+  if (!baseSalary || typeof baseSalary !== "object") return "";
+  const value = baseSalary.value || {};
+  const currency = baseSalary.currency || value.currency || "USD";
+  const min = value.minValue !== undefined ? value.minValue : value.value;
+  const max = value.maxValue;
+  if (min === undefined && max === undefined) return "";
+  const format = (amount) => Number(amount).toLocaleString("en-US");
+  const range =
+    max !== undefined && max !== min
+      ? `${format(min)} - ${format(max)}`
+      : format(min !== undefined ? min : max);
+  const unit = String(
+    value.unitText || baseSalary.unitText || ""
+  ).toLowerCase();
+  return `${currency} ${range}${unit ? ` per ${unit}` : ""}`;
+}
+
+// Location text from a JSON-LD jobLocation (one place or a list)
+function formatJobLocation(jobLocation) {
+  const places = [].concat(jobLocation || []);
+  return places
+    .map((place) => {
+      const address = (place && place.address) || {};
+      return [
+        address.addressLocality,
+        address.addressRegion,
+        address.addressCountry && address.addressCountry.name
+          ? address.addressCountry.name
+          : address.addressCountry,
+      ]
+        .filter((part) => typeof part === "string" && part.trim())
+        .join(", ");
+    })
+    .filter(Boolean)
+    .join("; ");
+}
+
+/**
+ * Turns a JobPosting JSON-LD object into metadata fields (only the ones it states).
+ * @param {object} posting
+ * @returns {object}
+ */
+function fromJobPosting(posting) {
+  if (!posting) return {};
+  const employment = [].concat(posting.employmentType || []).join(" ");
+  const recruiter =
+    posting.applicationContact && posting.applicationContact.name;
+  return {
+    jobId: collapse(
+      posting.identifier && typeof posting.identifier === "object"
+        ? posting.identifier.value
+        : posting.identifier
+    ),
+    location: formatJobLocation(posting.jobLocation),
+    workplace:
+      posting.jobLocationType === "TELECOMMUTE"
+        ? "Remote"
+        : parseWorkplace(posting.jobLocationType),
+    employmentType: parseEmploymentType(employment),
+    salary: formatBaseSalary(posting.baseSalary),
+    postedDate: posting.datePosted
+      ? `Posted ${String(posting.datePosted).slice(0, 10)}`
+      : "",
+    recruiter: collapse(recruiter),
+  };
+}
+
+// Picks the JobPosting object out of the page's JSON-LD blocks
+function findJobPosting(ldJsonBlocks) {
+  for (const block of ldJsonBlocks || []) {
+    let data;
+    try {
+      data = JSON.parse(block);
+    } catch (error) {
+      continue;
+    }
+    const candidates = []
+      .concat(data || [])
+      .flatMap((item) =>
+        item && item["@graph"] ? [].concat(item["@graph"]) : [item]
+      );
+    const posting = candidates.find(
+      (item) => item && [].concat(item["@type"]).includes("JobPosting")
+    );
+    if (posting) return posting;
+  }
+  return null;
+}
+
+/**
+ * Builds the metadata from what readPageFields collected (kept apart from the page so it can be
+ * checked against saved pages).
+ * @param {{ldJson: string[], fields: object, headerText: string}} raw
+ * @param {string} [jobUrl] - Source of the job ID when the page does not state one.
+ * @returns {{jobId: string, location: string, workplace: string, employmentType: string,
+ *   salary: string, postedDate: string, recruiter: string}}
+ */
+function buildJobMetadata(raw, jobUrl = "") {
+  const { ldJson = [], fields = {}, headerText = "" } = raw || {};
+  const fromLd = fromJobPosting(findJobPosting(ldJson));
+  const header = collapse(headerText);
+
+  const fromPage = {
+    jobId:
+      (header.match(/\bdice id\s*:?\s*([a-z0-9-]+)/i) || [])[1] ||
+      extractJobId(jobUrl) ||
+      "",
+    location: collapse(fields.location),
+    workplace: parseWorkplace(
+      `${fields.location || ""} ${fields.employmentType || ""}`
+    ),
+    employmentType: parseEmploymentType(fields.employmentType),
+    salary: parseSalary(fields.salary) || collapse(fields.salary),
+    postedDate:
+      parsePostedDate(fields.postedDate) || collapse(fields.postedDate),
+    recruiter: collapse(fields.recruiter),
+  };
+  const fromText = {
+    workplace: parseWorkplace(header),
+    employmentType: parseEmploymentType(header),
+    salary: parseSalary(header),
+    postedDate: parsePostedDate(header),
+  };
+
+  const metadata = {};
+  for (const field of METADATA_FIELDS) {
+    // Dice's own label ("Contract - W2") is more precise than schema.org's "CONTRACTOR"
+    const sources =
+      field === "employmentType"
+        ? [fromPage, fromLd, fromText]
+        : [fromLd, fromPage, fromText];
+    metadata[field] =
+      (field === "jobId" ? extractJobId(jobUrl) : "") ||
+      sources.map((source) => source[field]).find(Boolean) ||
+      "";
+  }
+  return metadata;
+}
+
+/**
+ * Combines metadata from several sources, field by field: the first non-empty value wins.
+ * @param {...object} sources - Metadata objects, most trusted first (null entries are skipped).
+ * @returns {object}
+ */
+function mergeJobMetadata(...sources) {
+  const metadata = {};
+  for (const field of METADATA_FIELDS) {
+    metadata[field] =
+      sources.map((source) => source && source[field]).find(Boolean) || "";
+  }
+  return metadata;
+}
+
+async function readPageFields(page) {
+  return page.evaluate(
+    ({ fieldSelectors, headerSelectors }) => {
+      const text = (el) =>
+        ((el && (el.innerText || el.textContent)) || "")
+          .replace(/\s+/g, " ")
+          .trim();
+      const fields = {};
+      for (const [field, selectors] of Object.entries(fieldSelectors)) {
+        for (const selector of selectors) {
+          const value = text(document.querySelector(selector));
+          if (value) {
+            fields[field] = value;
+            break;
+          }
+        }
+      }
+      const header = headerSelectors
+        .map((selector) => document.querySelector(selector))
+        .find((el) => text(el));
+      return {
+        ldJson: Array.from(
+          document.querySelectorAll('script[type="application/ld+json"]')
+        ).map((script) => script.textContent),
+        fields,
+        // The header holds the facts; the rest of the page is description
+        headerText: text(header).slice(0, 3000),
+      };
+    },
+    { fieldSelectors: FIELD_SELECTORS, headerSelectors: HEADER_SELECTORS }
+  );
+}
+
+/**
+ * Reads the structured metadata of the job detail page open in `page`.
+ * @param {import('@playwright/test').Page} page
+ * @param {string} [jobUrl] - The job page URL (defaults to page.url()).
+ * @returns {Promise<{jobId: string, location: string, workplace: string, employmentType: string,
+ *   salary: string, postedDate: string, recruiter: string}>} Empty strings when nothing is found.
+ */
+async function extractJobMetadata(page, jobUrl = page.url()) {
+  try {
+    const metadata = buildJobMetadata(await readPageFields(page), jobUrl);
+    const found = METADATA_FIELDS.filter((field) => metadata[field]);
+    console.log(
+      `🏷️ Job metadata: ${
+        found.map((field) => `${field}=${metadata[field]}`).join(", ") ||
+        "none found"
+      }`
+    );
+    return metadata;
+  } catch (error) {
+    console.error(`❌ Error extracting job metadata: ${error.message}`);
+    return buildJobMetadata(null, jobUrl);
+  }
+}
+
+module.exports = {
+  extractJobMetadata,
+  buildJobMetadata,
+  mergeJobMetadata,
+  parseEmploymentType,
+  parseWorkplace,
+  parseSalary,
+  parsePostedDate,
+  METADATA_FIELDS,
+};
@@ -0,0 +1,80 @@
+// Run Job Registry
+// The search terms overlap ("QA", "Quality", "Automation"...), so one posting shows up under
+// several of them. The registry remembers every job this run has handled, keyed by its Dice job
+// ID (or, for a card without one, its normalized title and company), and processJob consults it
+// before opening a tab: a job met again is counted as a duplicate instead of being opened, scored
+// and logged a second time. It only lives for the run; earlier runs are the application
+// history's job (utils/application_history.js).
+const { extractJobId } = require("./application_history");
+
+// Legal-form suffixes that do not tell two companies apart ("Acme Inc." = "ACME, LLC"), matched
+// on the normalized name and only at its end ("Co-Op Solutions" keeps its "co")
+const COMPANY_SUFFIX =
+  / (inc|incorporated|llc|l l c|ltd|limited|corp|corporation|co|company|plc|lp|llp|pvt|gmbh|and)$/;
+
+const normalizeText = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9+#]+/g, " ")
+    .trim();
+
+/**
+ * Normalizes a company name for comparisons: case, punctuation and legal-form suffixes are
+ * ignored, so "Acme, Inc." and "ACME" are the same company. Only trailing suffixes are dropped:
+ * "Limited Brands Inc" stays "limited brands".
+ * @param {string} companyName
+ * @returns {string} "" for an empty or unknown company.
+ */
+function normalizeCompanyName(companyName) {
+  if (/^unknown company$/i.test(String(companyName || "").trim())) return "";
+  // Strip from the end until none is left: "Acme Holdings Co., Ltd.", "Robert Half & Co."
+  let normalized = normalizeText(companyName);
+  while (COMPANY_SUFFIX.test(normalized)) {
+    normalized = normalized.replace(COMPANY_SUFFIX, "");
+  }
+  return normalized;
+}
+
+/**
+ * The registry key of a job: its Dice job ID, else its normalized title and company.
+ * @param {{jobPageUrl?: string, jobTitle?: string, companyName?: string}} job
+ * @returns {string|null} null when the job cannot be identified.
+ */
+function registryKey({ jobPageUrl, jobTitle, companyName }) {
+  const jobId = extractJobId(jobPageUrl);
+  if (jobId) return `id:${jobId}`;
+  const title = /^unknown job title$/i.test(String(jobTitle || "").trim())
+    ? ""
+    : normalizeText(jobTitle);
+  const company = normalizeCompanyName(companyName);
+  return title && company ? `job:${title}|${company}` : null;
+}
+
+class JobRegistry {
+  constructor() {
+    this.jobs = new Map(); // key -> { searchTerm } of the first sighting
+  }
+
+  /**
+   * Registers a job, unless the run has met it before.
+   * @param {{jobPageUrl?: string, jobTitle?: string, companyName?: string}} job
+   * @param {string} [searchTerm] - The search term the job was found under.
+   * @returns {{searchTerm: string}|null} The first sighting of a duplicate, or null for a new
+   *   (or unidentifiable) job.
+   */
+  claim(job, searchTerm = "") {
+    const key = registryKey(job);
+    if (!key) return null;
+    const first = this.jobs.get(key);
+    if (first) return first;
+    this.jobs.set(key, { searchTerm });
+    return null;
+  }
+
+  get size() {
+    return this.jobs.size;
+  }
+}
+
+module.exports = { JobRegistry, registryKey, normalizeCompanyName };
@@ -0,0 +1,323 @@
+// Job Rules
+// Declarative filters from job_rules.json (jobRulesPath in dice.config.json), checked in
+// processJob before a job is scored or applied to. Each rule has a name, a type and its values:
+//   titleExcludes / descriptionExcludes  { "values": ["Senior Manager", ...] }
+//   companyBlocklist / companyAllowlist  { "values": ["Acme", ...] }
+//   locationIncludes / locationExcludes  { "values": ["TX", "Remote", ...] }
+//   workplace                            { "values": ["Remote", "Hybrid"] }
+//   minSalary                            { "yearly": 100000, "hourly": 50 }
+//   employmentType                       { "allow": ["Full-time", "W2"], "block": ["C2C"] }
+//   maxPostingAgeDays                    { "days": 14 }
+// Text values match whole words ("VP" does not match "VPN"), case-insensitively.
+// A job is skipped by the first rule it breaks, and the rule's name is logged as the reason. A rule
+// only judges what the job states: a posting without a salary never breaks minSalary. The search
+// card pre-filter runs the same rules on the fields a card shows.
+const fs = require("fs");
+
+const HOURS_PER_YEAR = 2080;
+
+const normalize = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Values match whole words or phrases, so "VP" does not find "VPN Engineer"; the boundaries are
+// any non-alphanumeric character, which keeps terms like "C#" or ".NET" working
+const findValue = (text, values) => {
+  const haystack = normalize(text);
+  return values.find((value) =>
+    new RegExp(
+      `(^|[^a-z0-9_])${escapeRegExp(normalize(value))}(?=[^a-z0-9_]|$)`
+    ).test(haystack)
+  );
+};
+
+/**
+ * Reads the upper end of a pay range, with its yearly equivalent.
+ * @param {string} salary - e.g. "$60 - $70/hr", "USD 120,000 - 140,000 per year", "$120k".
+ * @returns {{amount: number, period: "hour"|"year"|"month", yearly: number}|null}
+ */
+function parsePay(salary) {
+  const text = normalize(salary);
+  const amounts = [...text.matchAll(/(\d[\d,]*(?:\.\d+)?)\s*(k\b)?/g)]
+    .map(([, number, thousands]) => {
+      const value = Number(number.replace(/,/g, ""));
+      return thousands ? value * 1000 : value;
+    })
+    .filter((value) => Number.isFinite(value) && value > 0);
+  if (amounts.length === 0) return null;
+  const amount = Math.max(...amounts);
+  const period = /\b(hour|hr|hourly)\b/.test(text)
+    ? "hour"
+    : /\b(month|monthly|mo)\b/.test(text)
+    ? "month"
+    : /\b(year|yr|annum|annual|annually)\b/.test(text)
+    ? "year"
+    : amount < 500 // No unit: hourly rates and salaries do not overlap
+    ? "hour"
+    : "year";
+  const yearly =
+    period === "hour"
+      ? amount * HOURS_PER_YEAR
+      : period === "month"
+      ? amount * 12
+      : amount;
+  return { amount, period, yearly };
+}
+
+/**
+ * Turns a posted or updated date ("Posted 3 days ago", "Updated 2025-01-05") into an age in days.
+ * @param {string} postedDate
+ * @param {Date} [now]
+ * @returns {number|null}
+ */
+function postingAgeDays(postedDate, now = new Date()) {
+  const text = normalize(postedDate).replace(
+    /^(posted|updated|reposted)\s*/,
+    ""
+  );
+  if (!text) return null;
+  if (/^(today|just now|moments? ago)/.test(text)) return 0;
+  if (/^yesterday/.test(text)) return 1;
+  const relative = text.match(
+    /^(\d+)\+?\s*(minute|hour|day|week|month|year)s?\s+ago/
+  );
+  if (relative) {
+    const count = Number(relative[1]);
+    const days = { minute: 0, hour: 0, day: 1, week: 7, month: 30, year: 365 };
+    return count * days[relative[2]];
+  }
+  const timestamp = Date.parse(text);
+  if (Number.isNaN(timestamp)) return null;
+  return Math.max(0, Math.floor((now.getTime() - timestamp) / 86400000));
+}
+
+const splitTypes = (employmentType) =>
+  String(employmentType || "")
+    .split(",")
+    .map(normalize)
+    .filter(Boolean);
+
+// Rule type -> the job field it reads and the check (a failure detail, or null when it passes)
+const RULE_TYPES = {
+  titleExcludes: {
+    field: "jobTitle",
+    check: (title, rule) => {
+      const value = findValue(title, rule.values);
+      return value ? `title contains "${value}"` : null;
+    },
+  },
+  descriptionExcludes: {
+    field: "description",
+    check: (description, rule) => {
+      const value = findValue(description, rule.values);
+      return value ? `description contains "${value}"` : null;
+    },
+  },
+  companyBlocklist: {
+    field: "companyName",
+    check: (company, rule) => {
+      const value = findValue(company, rule.values);
+      return value ? `company "${company}" is blocked` : null;
+    },
+  },
+  companyAllowlist: {
+    field: "companyName",
+    check: (company, rule) =>
+      findValue(company, rule.values)
+        ? null
+        : `company "${company}" is not on the allow list`,
+  },
+  locationIncludes: {
+    field: "location",
+    check: (location, rule) =>
+      findValue(location, rule.values)
+        ? null
+        : `location "${location}" is not one of ${rule.values.join(", ")}`,
+  },
+  locationExcludes: {
+    field: "location",
+    check: (location, rule) => {
+      const value = findValue(location, rule.values);
+      return value ? `location "${location}" is excluded` : null;
+    },
+  },
+  workplace: {
+    field: "workplace",
+    check: (workplace, rule) =>
+      rule.values.some((value) => normalize(value) === normalize(workplace))
+        ? null
+        : `${workplace} is not ${rule.values.join(" or ")}`,
+  },
+  minSalary: {
+    field: "salary",
+    check: (salary, rule) => {
+      const pay = parsePay(salary);
+      if (!pay) return null;
+      const tooLow =
+        pay.period === "hour" && rule.hourly !== undefined
+          ? pay.amount < rule.hourly
+          : pay.yearly <
+            (rule.yearly !== undefined
+              ? rule.yearly
+              : rule.hourly * HOURS_PER_YEAR);
+      return tooLow ? `pay "${salary}" is below the minimum` : null;
+    },
+  },
+  employmentType: {
+    field: "employmentType",
+    check: (employmentType, rule) => {
+      const types = splitTypes(employmentType);
+      const blocked = (rule.block || []).find((type) =>
+        types.includes(normalize(type))
+      );
+      if (blocked) return `employment type ${blocked} is blocked`;
+      const allow = (rule.allow || []).map(normalize);
+      if (allow.length && !types.some((type) => allow.includes(type))) {
+        return `employment type "${employmentType}" is not ${rule.allow.join(
+          " or "
+        )}`;
+      }
+      return null;
+    },
+  },
+  maxPostingAgeDays: {
+    field: "postedDate",
+    check: (postedDate, rule) => {
+      const age = postingAgeDays(postedDate);
+      return age !== null && age > rule.days
+        ? `posted ${age} days ago (max ${rule.days})`
+        : null;
+    },
+  },
+};
+
+const isStringList = (value) =>
+  Array.isArray(value) &&
+  value.every((item) => typeof item === "string" && item.trim());
+
+// Returns what is wrong with a rule, or null
+function ruleProblem(rule) {
+  if (!rule || typeof rule.name !== "string" || !rule.name.trim())
+    return "needs a name";
+  if (!RULE_TYPES[rule.type])
+    return `has unknown type "${rule.type}" (use ${Object.keys(RULE_TYPES).join(
+      ", "
+    )})`;
+  if (rule.enabled !== undefined && typeof rule.enabled !== "boolean")
+    return '"enabled" must be true or false';
+  if (rule.type === "minSalary") {
+    const valid = ["yearly", "hourly"].every(
+      (key) => rule[key] === undefined || Number.isFinite(rule[key])
+    );
+    return valid && (rule.yearly !== undefined || rule.hourly !== undefined)
+      ? null
+      : 'needs a numeric "yearly" and/or "hourly" minimum';
+  }
+  if (rule.type === "employmentType") {
+    const lists = [rule.allow, rule.block].filter((list) => list !== undefined);
+    return lists.length > 0 && lists.every(isStringList)
+      ? null
+      : 'needs "allow" and/or "block" lists of employment types';
+  }
+  if (rule.type === "maxPostingAgeDays") {
+    return Number.isInteger(rule.days) && rule.days >= 0
+      ? null
+      : 'needs a whole number of "days"';
+  }
+  return isStringList(rule.values) && rule.values.length > 0
+    ? null
+    : 'needs a non-empty "values" list';
+}
+
+/**
+ * Loads the enabled rules, plus rules built from the excludedCompanies and excludedTitleKeywords
+ * config keys.
+ * @param {string} filepath - job_rules.json.
+ * @param {object} [config] - The run configuration.
+ * @returns {object[]} Rules in evaluation order.
+ */
+function loadJobRules(filepath, config = {}) {
+  if (!fs.existsSync(filepath)) {
+    throw new Error(`Job rules not found: ${filepath}`);
+  }
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filepath, "utf-8"));
+  } catch (error) {
+    throw new Error(`Could not parse ${filepath}: ${error.message}`);
+  }
+  if (!data || !Array.isArray(data.rules)) {
+    throw new Error(`${filepath} must have a "rules" array`);
+  }
+  const problems = data.rules
+    .map((rule, index) => {
+      const problem = ruleProblem(rule);
+      return problem
+        ? `rule ${index + 1}${
+            rule && rule.name ? ` ("${rule.name}")` : ""
+          } ${problem}`
+        : null;
+    })
+    .filter(Boolean);
+  if (problems.length) {
+    throw new Error(
+      `Invalid job rules in ${filepath}:\n  - ${problems.join("\n  - ")}`
+    );
+  }
+
+  const rules = [];
+  if (config.excludedCompanies && config.excludedCompanies.length) {
+    rules.push({
+      name: "excludedCompanies",
+      type: "companyBlocklist",
+      values: config.excludedCompanies,
+    });
+  }
+  if (config.excludedTitleKeywords && config.excludedTitleKeywords.length) {
+    rules.push({
+      name: "excludedTitleKeywords",
+      type: "titleExcludes",
+      values: config.excludedTitleKeywords,
+    });
+  }
+  return rules.concat(data.rules.filter((rule) => rule.enabled !== false));
+}
+
+/**
+ * Checks a job against the rules; fields the job does not state are not judged.
+ * @param {object} job - jobTitle, companyName, description and the metadata fields
+ *   (location, workplace, employmentType, salary, postedDate).
+ * @param {object[]} rules - From loadJobRules.
+ * @returns {{rule: string, detail: string}|null} The first rule the job breaks, or null.
+ */
+function evaluateRules(job, rules) {
+  for (const rule of rules) {
+    const { field, check } = RULE_TYPES[rule.type];
+    const value = job[field];
+    if (!value || /^unknown /i.test(value)) continue;
+    const detail = check(value, rule);
+    if (detail) return { rule: rule.name, detail };
+  }
+  return null;
+}
+
+/**
+ * @param {object[]} rules
+ * @returns {boolean} Whether a rule reads the job description (which is otherwise only scraped
+ *   for the scorers).
+ */
+const rulesNeedDescription = (rules) =>
+  rules.some((rule) => RULE_TYPES[rule.type].field === "description");
+
+module.exports = {
+  loadJobRules,
+  evaluateRules,
+  rulesNeedDescription,
+  parsePay,
+  postingAgeDays,
+  RULE_TYPES,
+};
@@ -0,0 +1,45 @@
+// Job Status Categories
+// Every logged status ("Success - Applied", "Skipped - Rule ...", "Failed - ...") maps to one
+// category, which colours the Excel row, feeds the dashboard and decides whether the
+// application history treats the job as final.
+
+// Status categories, matched on how a status starts, in order. Only the leading words are
+// looked at: the rest quotes page headings, rule details or company names ("Failed - ... step
+// 3 \"Review your application\"", "Skipped - Rule ... (company \"Applied Materials\")").
+const STATUS_CATEGORIES = [
+  // Skips from the history quote the previous status after this prefix
+  { pattern: /^skipped - seen in previous run\b/, category: "previously_seen" },
+  {
+    pattern: /^(pending review|would queue for review)\b/,
+    category: "pending_review",
+  },
+  // "Deferred (daily cap of 40 reached)": shortlisted in a ranked run, left for another day
+  { pattern: /^deferred\b/, category: "deferred" },
+  { pattern: /^would apply\b/, category: "would_apply" },
+  { pattern: /^already applied\b/, category: "already_applied" },
+  // "Submitted (Unverified)": the submit went through without a confirmation
+  { pattern: /^submitted \(unverified\b/, category: "unverified" },
+  { pattern: /^success\b/, category: "success" },
+  { pattern: /^skipped\b/, category: "skipped" },
+  { pattern: /^(failed|error)\b/, category: "failed" },
+  { pattern: /^llm match\b/, category: "llm_match" },
+  { pattern: /^llm partial_match\b/, category: "llm_partial_match" },
+  { pattern: /^llm no_match\b/, category: "llm_no_match" },
+];
+
+/**
+ * Maps a logged status to its category.
+ * @param {string} status - E.g. "Success - Applied" or "Skipped - Pre-filtered (...)".
+ * @returns {string} A category ("success", "skipped"...), or "unknown".
+ */
+function categorizeStatus(status) {
+  const statusLower = String(status || "")
+    .trim()
+    .toLowerCase();
+  const match = STATUS_CATEGORIES.find(({ pattern }) =>
+    pattern.test(statusLower)
+  );
+  return match ? match.category : "unknown";
+}
+
+module.exports = { categorizeStatus, STATUS_CATEGORIES };
@@ -0,0 +1,188 @@
+// API Key Pool
+// Tracks every LLM API key in one place: which keys are cooling down after a rate limit (per model,
+// since providers limit each model separately), which were rejected as invalid, and how often each
+// key was used. Cooldowns come from the retry-after / x-ratelimit-* response headers when present,
+// otherwise from an exponential backoff per key.
+const BASE_BACKOFF_MS = 5000;
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+
+// Parses Groq/OpenAI style durations: "7.66s", "2m59.56s", "120ms", "1h2m"
+function parseDuration(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) return Math.round(Number(text) * 1000);
+  const units = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+  let total = 0;
+  let matched = false;
+  for (const [, amount, unit] of text.matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)) {
+    total += Number(amount) * units[unit];
+    matched = true;
+  }
+  return matched ? Math.round(total) : null;
+}
+
+// retry-after is either a number of seconds or an HTTP date
+function parseRetryAfter(value, now) {
+  if (value === undefined || value === null || value === "") return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, Math.round(seconds * 1000));
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Headers may be a plain object or a fetch Headers instance
+function getHeader(headers, name) {
+  if (!headers) return undefined;
+  if (typeof headers.get === "function") return headers.get(name) ?? undefined;
+  return headers[name] ?? headers[name.toLowerCase()];
+}
+
+/**
+ * Works out how long a key must rest from the rate-limit headers of a response.
+ * @param {object} headers - Response headers.
+ * @param {boolean} limited - true for a 429 response, where any reset header applies.
+ * @returns {number|null} Milliseconds, or null when the headers say nothing.
+ */
+function getCooldownFromHeaders(headers, limited, now = Date.now()) {
+  const retryAfter = parseRetryAfter(getHeader(headers, "retry-after"), now);
+  if (retryAfter !== null) return retryAfter;
+
+  const waits = [];
+  for (const kind of ["requests", "tokens"]) {
+    const remaining = getHeader(headers, `x-ratelimit-remaining-${kind}`);
+    const reset = parseDuration(
+      getHeader(headers, `x-ratelimit-reset-${kind}`)
+    );
+    if (reset === null) continue;
+    if (limited || String(remaining).trim() === "0") waits.push(reset);
+  }
+  return waits.length > 0 ? Math.max(...waits) : null;
+}
+
+class KeyPool {
+  /**
+   * @param {string[]} labels - Masked key names for logs and the usage report, one per key.
+   */
+  constructor(labels) {
+    this.keys = labels.map((label, index) => ({
+      index,
+      label,
+      cooldownUntil: new Map(), // scope (model) -> timestamp
+      consecutiveLimits: 0,
+      invalid: false,
+      lastUsedAt: 0,
+      requests: 0,
+      successes: 0,
+      rateLimited: 0,
+      errors: 0,
+    }));
+  }
+
+  get size() {
+    return this.keys.length;
+  }
+
+  hasValidKeys() {
+    return this.keys.some((key) => !key.invalid);
+  }
+
+  /**
+   * Picks the least recently used key that is not cooling down for the scope.
+   * @returns {{keyIndex: number|null, waitMs: number}} keyIndex is null when every key is resting;
+   *   waitMs is then the time until the first one is free (Infinity when no valid key is left).
+   */
+  acquire(scope, now = Date.now()) {
+    let best = null;
+    let waitMs = Infinity;
+    for (const key of this.keys) {
+      if (key.invalid) continue;
+      const until = key.cooldownUntil.get(scope) || 0;
+      if (until > now) {
+        waitMs = Math.min(waitMs, until - now);
+      } else if (!best || key.lastUsedAt < best.lastUsedAt) {
+        best = key;
+      }
+    }
+    if (!best) return { keyIndex: null, waitMs };
+    best.lastUsedAt = now;
+    best.requests++;
+    return { keyIndex: best.index, waitMs: 0 };
+  }
+
+  /**
+   * Time until any key is free for the scope (0 when one is free now, Infinity when none is valid).
+   */
+  getWaitMs(scope, now = Date.now()) {
+    let waitMs = Infinity;
+    for (const key of this.keys) {
+      if (key.invalid) continue;
+      waitMs = Math.min(
+        waitMs,
+        Math.max(0, (key.cooldownUntil.get(scope) || 0) - now)
+      );
+    }
+    return waitMs;
+  }
+
+  markSuccess(keyIndex, scope, headers, now = Date.now()) {
+    const key = this.keys[keyIndex];
+    key.successes++;
+    key.consecutiveLimits = 0;
+    // The response may announce that the quota is used up until a reset
+    const cooldown = getCooldownFromHeaders(headers, false, now);
+    if (cooldown) key.cooldownUntil.set(scope, now + cooldown);
+  }
+
+  /**
+   * @returns {number} The cooldown applied, in milliseconds.
+   */
+  markRateLimited(keyIndex, scope, headers, now = Date.now()) {
+    const key = this.keys[keyIndex];
+    key.rateLimited++;
+    key.consecutiveLimits++;
+    const cooldown =
+      getCooldownFromHeaders(headers, true, now) ??
+      Math.min(
+        BASE_BACKOFF_MS * 2 ** (key.consecutiveLimits - 1),
+        MAX_BACKOFF_MS
+      );
+    key.cooldownUntil.set(scope, now + cooldown);
+    return cooldown;
+  }
+
+  markError(keyIndex) {
+    this.keys[keyIndex].errors++;
+  }
+
+  // Rejected credentials (401/403): never use this key again in this run
+  markInvalid(keyIndex) {
+    this.keys[keyIndex].errors++;
+    this.keys[keyIndex].invalid = true;
+  }
+
+  getUsageReport(now = Date.now()) {
+    return this.keys.map((key) => {
+      const coolingScopes = [...key.cooldownUntil.entries()]
+        .filter(([, until]) => until > now)
+        .map(([scope]) => scope);
+      let state = "ok";
+      if (key.invalid) state = "invalid";
+      else if (coolingScopes.length > 0)
+        state = `cooling down (${coolingScopes.join(", ")})`;
+      return {
+        label: key.label,
+        requests: key.requests,
+        successes: key.successes,
+        rateLimited: key.rateLimited,
+        errors: key.errors,
+        state,
+      };
+    });
+  }
+}
+
+module.exports = {
+  KeyPool,
+  getCooldownFromHeaders,
+  parseDuration,
+};
@@ -0,0 +1,144 @@
+// LLM Result Cache
+// Stores CV keywords and job-match verdicts in Logs/llm_cache.json so re-runs do not spend API
+// quota on postings that were already scored. Every key hashes the inputs together with the prompt
+// template and the model list, so editing a prompt or switching models invalidates old entries;
+// entries also expire after "llmCacheTtlHours" (0 turns the cache off). New entries are written in
+// batches, and flush() writes the rest at the end of a run.
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_CACHE_PATH = path.join(__dirname, "..", "Logs", "llm_cache.json");
+const WRITE_EVERY = 20; // New entries kept in memory before the file is rewritten
+
+const hashText = (text) =>
+  crypto.createHash("sha256").update(String(text)).digest("hex");
+
+class LlmCache {
+  /**
+   * @param {object} options
+   * @param {number} options.ttlHours - Entry lifetime; 0 disables the cache.
+   * @param {string[]} [options.promptHashes] - Hashes of the current prompt templates; entries made
+   *   with any other template are dropped on load.
+   * @param {string} [options.filepath] - Defaults to Logs/llm_cache.json.
+   */
+  constructor({ ttlHours, promptHashes = [], filepath = DEFAULT_CACHE_PATH }) {
+    this.ttlMs = ttlHours * 60 * 60 * 1000;
+    this.promptHashes = new Set(promptHashes);
+    this.filepath = filepath;
+    this.entries = {};
+    this.unsaved = 0; // Entries set since the last write
+    this.hits = 0;
+    this.misses = 0;
+    this.loaded = false;
+  }
+
+  get enabled() {
+    return this.ttlMs > 0;
+  }
+
+  load() {
+    this.entries = {};
+    if (this.enabled && fs.existsSync(this.filepath)) {
+      try {
+        const data = JSON.parse(fs.readFileSync(this.filepath, "utf-8"));
+        const now = Date.now();
+        let dropped = 0;
+        for (const [key, entry] of Object.entries(data.entries || {})) {
+          if (this.isExpired(entry, now) || !this.isCurrent(entry)) {
+            dropped++;
+            continue;
+          }
+          this.entries[key] = entry;
+        }
+        console.log(
+          `🗃️ LLM cache loaded: ${
+            Object.keys(this.entries).length
+          } entries (${dropped} expired or outdated dropped)`
+        );
+      } catch (error) {
+        console.warn(`⚠️ Could not read LLM cache: ${error.message}`);
+      }
+    }
+    this.loaded = true;
+    return this;
+  }
+
+  // Entries without a valid createdAt count as expired
+  isExpired(entry, now = Date.now()) {
+    const createdAt = Date.parse(entry.createdAt);
+    return Number.isNaN(createdAt) || now - createdAt > this.ttlMs;
+  }
+
+  isCurrent(entry) {
+    return this.promptHashes.size === 0 || this.promptHashes.has(entry.prompt);
+  }
+
+  /**
+   * Builds a cache key from a task name and its inputs.
+   * @param {string} task - "keywords" or "match".
+   * @param {string[]} parts - Inputs that determine the result (texts, prompt hash, models).
+   */
+  static makeKey(task, parts) {
+    return `${task}:${hashText(parts.join("\u0000"))}`;
+  }
+
+  /**
+   * @returns {{value: any, createdAt: string}|null}
+   */
+  get(key) {
+    if (!this.enabled) return null;
+    const entry = this.entries[key];
+    if (!entry || this.isExpired(entry)) {
+      this.misses++;
+      return null;
+    }
+    this.hits++;
+    return entry;
+  }
+
+  /**
+   * @param {string} key - From LlmCache.makeKey.
+   * @param {any} value - JSON-serialisable result.
+   * @param {object} meta - { prompt: prompt hash, model: model that produced the value }.
+   */
+  set(key, value, { prompt, model }) {
+    if (!this.enabled) return;
+    this.entries[key] = {
+      value,
+      prompt,
+      model,
+      createdAt: new Date().toISOString(),
+    };
+    this.unsaved++;
+    if (this.unsaved >= WRITE_EVERY) this.flush();
+  }
+
+  /**
+   * Writes the entries set since the last write, if any.
+   */
+  flush() {
+    if (this.unsaved === 0) return;
+    this.write();
+    this.unsaved = 0;
+  }
+
+  write() {
+    try {
+      const dir = path.dirname(this.filepath);
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+      // Write to a temp file first so a crash mid-write never leaves a truncated cache
+      const tmpPath = `${this.filepath}.tmp`;
+      fs.writeFileSync(
+        tmpPath,
+        JSON.stringify({ version: 1, entries: this.entries }),
+        "utf-8"
+      );
+      fs.renameSync(tmpPath, this.filepath);
+    } catch (error) {
+      console.error(`❌ Error saving LLM cache: ${error.message}`);
+    }
+  }
+}
+
+module.exports = { LlmCache, DEFAULT_CACHE_PATH, hashText };
@@ -0,0 +1,659 @@
+// LLM Client
+// Extracts keywords from the CV and rates job descriptions against them through the provider
+// selected in dice.config.json (see utils/llm_providers.js). Each task has an ordered model list:
+// a retired or unknown model is dropped and the next one is used. API keys come from a shared
+// KeyPool: a rate-limited key rests for the time the provider asks for while the other keys carry
+// on. When every key is resting, jobs fall back to keyword matching until one is free again, so
+// rate limits never stop the run. Results are served from an optional LlmCache when possible.
+// The match models also answer Easy Apply screening questions the answer bank does not cover,
+// and confirm the work requirements (sponsorship, clearance...) patterns found in a description.
+const {
+  VERDICT_JSON_FORMAT,
+  parseMatchVerdict,
+  extractJsonObject,
+} = require("./llm_verdict");
+const { KeyPool } = require("./key_pool");
+const { LlmCache, hashText } = require("./llm_cache");
+const { normalizeRequirements } = require("./work_requirements");
+
+// Extra attempts when the job-match response is not valid verdict JSON
+const MAX_VERDICT_RETRIES = 2;
+// Wait for a cooling-down key when it is free within this time, otherwise skip the LLM for now
+const MAX_COOLDOWN_WAIT_MS = 30000;
+// Retries with backoff for network errors and 5xx responses
+const MAX_TRANSIENT_RETRIES = 2;
+
+// {keywordCount} comes from "cvKeywordCount" in dice.config.json
+const KEYWORD_EXTRACTION_PROMPT = `
+Extract a list of {keywordCount} or fewer highly relevant technical skills and job role keywords from the following CV text, with relevance to QA / Automation / SDET / Playwright roles. Focus on action verbs, technologies, methodologies, and common industry terms. List each skill on a new line. If no relevant skills are found, respond with "No relevant skills found".
+
+CV Text:
+\`\`\`
+{cvText}
+\`\`\`
+
+Keywords:
+`;
+
+const JOB_DESCRIPTION_MATCH_PROMPT = `
+Analyze the following job description and the provided keywords extracted from a CV. Determine if there's a strong match between the job requirements and the CV's skills, with relevance to QA / Automation / SDET / Playwright roles. Use "MATCH" if there's a good overlap, "PARTIAL_MATCH" if there's some overlap but not strong, or "NO_MATCH" if there's little to no overlap.
+
+Respond with only a JSON object in exactly this format, without any other text:
+{verdictFormat}
+
+CV Keywords:
+\`\`\`
+{cvKeywords}
+\`\`\`
+
+Job Description:
+\`\`\`
+{jobDescription}
+\`\`\`
+`;
+
+// {optionsHint} depends on the control: the options to pick from, a number, or free text
+const SCREENING_QUESTION_PROMPT = `
+You are filling in a job application for the candidate whose CV is below. Answer the screening question from the CV only, without inventing experience. {optionsHint}
+
+Respond with only a JSON object in exactly this format, without any other text:
+{
+  "answer": "<the answer>",
+  "confidence": <integer 0-100, how clearly the CV supports the answer>
+}
+
+Question: {question}
+
+CV Text:
+\`\`\`
+{cvText}
+\`\`\`
+`;
+
+// {requirements} is what utils/work_requirements.js read from the description
+const WORK_REQUIREMENTS_PROMPT = `
+Pattern matching read these work requirements from the job description below. Check each one against the description and correct it: drop requirements the description does not actually state (for example "no clearance required" is not a clearance requirement) and add stated ones that are missing.
+
+Detected:
+{requirements}
+
+Respond with only a JSON object in exactly this format, without any other text:
+{
+  "sponsorship": "not-offered" | "offered" | null,
+  "authorization": [<accepted work authorizations, any of "citizen", "green-card", "ead", "visa"; empty when not restricted>],
+  "clearance": "public-trust" | "secret" | "top-secret" | "ts-sci" | "any" | null,
+  "clearanceActive": <true when the clearance must already be held, false when it only has to be obtainable>,
+  "taxTerms": { "required": [<any of "W2", "C2C", "1099">], "excluded": [<any of "W2", "C2C", "1099">] }
+}
+
+Job Description:
+\`\`\`
+{jobDescription}
+\`\`\`
+`;
+
+const screeningOptionsHint = (type, options) => {
+  if (options.length > 0) {
+    const list = options.map((option) => `"${option}"`).join(", ");
+    return type === "checkbox"
+      ? `The answer must be one or more of these options, comma-separated: ${list}.`
+      : `The answer must be exactly one of these options: ${list}.`;
+  }
+  if (type === "number") return "The answer must be a number.";
+  return "Keep the answer short, one sentence at most.";
+};
+
+// Cached results are only reused with the exact prompt templates they were produced with
+const PROMPT_HASHES = {
+  keywords: hashText(KEYWORD_EXTRACTION_PROMPT),
+  match: hashText(JOB_DESCRIPTION_MATCH_PROMPT + VERDICT_JSON_FORMAT),
+  screening: hashText(SCREENING_QUESTION_PROMPT),
+  requirements: hashText(WORK_REQUIREMENTS_PROMPT),
+};
+
+const isRateLimitError = (error) =>
+  error.status === 429 ||
+  Boolean(
+    error.message &&
+      (error.message.includes("rate limit") || error.message.includes("429"))
+  );
+
+// Retired ("decommissioned") or unknown models, which will never succeed on retry
+const isModelUnavailableError = (error) => {
+  const message = (error.message || "").toLowerCase();
+  return (
+    error.status === 404 ||
+    (message.includes("model") &&
+      /decommissioned|not found|does not exist|not supported/.test(message))
+  );
+};
+
+const isAuthError = (error) => error.status === 401 || error.status === 403;
+
+const isTransientError = (error) =>
+  error.status === undefined || error.status === 408 || error.status >= 500;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+class LlmClient {
+  /**
+   * @param {object} options
+   * @param {object} options.provider - A provider from utils/llm_providers.js.
+   * @param {{keywords: string[], match: string[]}} options.models - Ordered model fallback list per task.
+   * @param {number} options.cvKeywordCount - Maximum number of keywords to extract from the CV.
+   * @param {boolean} [options.enabled] - false runs without the LLM (keyword title matching only).
+   * @param {LlmCache} [options.cache] - Loaded cache for keywords and verdicts.
+   */
+  constructor({
+    provider,
+    models,
+    cvKeywordCount,
+    enabled = true,
+    cache = null,
+  }) {
+    this.provider = provider;
+    this.cache = cache;
+    this.models = models;
+    this.cvKeywordCount = cvKeywordCount;
+    this.keyPool = new KeyPool(
+      Array.from(
+        { length: provider ? provider.keyCount : 0 },
+        (_, i) => `Key${i + 1}: ${provider.describeKey(i)}`
+      )
+    );
+    this.unavailableModels = new Set();
+    this.isActive = false; // Switched off when no key or model can ever work
+    this.disabledReason = "";
+
+    if (!enabled) {
+      this.disabledReason = "LLM disabled by config";
+      console.log("ℹ️ LLM is disabled by config (llmEnabled: false).");
+    } else if (!provider) {
+      this.disabledReason = "No LLM provider configured";
+      console.error(
+        "❌ No LLM provider configured. LLM features will be disabled."
+      );
+    } else if (!provider.keyCount) {
+      this.disabledReason = `No ${provider.name} API keys`;
+      console.error(
+        `❌ No ${provider.keyPrefix}* found in .env for the ${provider.name} provider. LLM features will be disabled.`
+      );
+    } else {
+      this.isActive = true;
+      console.log(
+        `🤖 LLM provider: ${
+          provider.name
+        }, keyword models: ${models.keywords.join(
+          " > "
+        )}, match models: ${models.match.join(" > ")}`
+      );
+      console.log(
+        "Loaded API keys:",
+        this.keyPool.keys.map((key) => key.label)
+      );
+    }
+  }
+
+  disable(reason) {
+    this.isActive = false;
+    this.disabledReason = reason;
+  }
+
+  /**
+   * True when a job can be rated right now: the LLM is on and a match model has a key that is
+   * free (or will be within MAX_COOLDOWN_WAIT_MS). Otherwise jobs use keyword matching only.
+   */
+  isAvailable() {
+    return (
+      this.isActive &&
+      this.models.match.some(
+        (model) =>
+          !this.unavailableModels.has(model) &&
+          this.keyPool.getWaitMs(model) <= MAX_COOLDOWN_WAIT_MS
+      )
+    );
+  }
+
+  /**
+   * Runs a chat completion for a task, falling back through the task's models.
+   * @param {object} request
+   * @param {"keywords"|"match"} request.task
+   * @param {object[]} request.messages
+   * @returns {Promise<{success: true, data: object, model: string}|{error: true, reason: string, rateLimited?: boolean}>}
+   */
+  async complete({ task, messages }) {
+    if (!this.isActive) {
+      return {
+        error: true,
+        reason: `LLM is disabled (${this.disabledReason})`,
+      };
+    }
+
+    for (const model of this.models[task]) {
+      if (this.unavailableModels.has(model)) continue;
+      const result = await this.callModel(model, messages);
+      if (result.success) return result;
+      if (result.modelUnavailable) {
+        console.warn(
+          `⚠️ Model "${model}" is not available (${result.reason}). Falling back to the next model.`
+        );
+        this.unavailableModels.add(model);
+        continue;
+      }
+      if (result.rateLimited) continue; // Every key is resting for this model
+      if (result.invalidKeys) {
+        console.error(
+          "❌ Every API key was rejected. Disabling LLM for the rest of this run."
+        );
+        this.disable("All API keys rejected");
+      }
+      return { error: true, reason: result.reason };
+    }
+
+    if (this.models[task].every((model) => this.unavailableModels.has(model))) {
+      console.error(
+        `❌ No usable ${task} model left (all retired or unknown). Disabling LLM for the rest of this run.`
+      );
+      this.disable(`No usable ${task} model left`);
+      return { error: true, reason: `No usable ${task} model left.` };
+    }
+    console.warn(
+      `⚠️ Every API key is cooling down for the ${task} models, continuing without the LLM for now.`
+    );
+    return {
+      error: true,
+      rateLimited: true,
+      reason: "All API keys are cooling down",
+    };
+  }
+
+  // Calls one model with keys from the pool, resting rate-limited keys and retrying transient errors
+  async callModel(model, messages) {
+    let transientFailures = 0;
+    const maxAttempts = this.keyPool.size * 2 + MAX_TRANSIENT_RETRIES + 1;
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      const { keyIndex, waitMs } = this.keyPool.acquire(model);
+      if (keyIndex === null) {
+        if (waitMs === Infinity) {
+          return { invalidKeys: true, reason: "No valid API key left" };
+        }
+        if (waitMs > MAX_COOLDOWN_WAIT_MS) {
+          return { rateLimited: true, reason: `All keys resting for ${model}` };
+        }
+        console.log(
+          `⏳ All keys are cooling down for ${model}, waiting ${Math.ceil(
+            waitMs / 1000
+          )}s...`
+        );
+        await sleep(waitMs);
+        continue;
+      }
+
+      try {
+        console.log(
+          `🔑 Using ${this.provider.name} ${this.keyPool.keys[keyIndex].label} with model ${model}`
+        );
+        const { data, headers } = await this.provider.chat({
+          model,
+          messages,
+          keyIndex,
+        });
+        this.keyPool.markSuccess(keyIndex, model, headers);
+        return { success: true, data, model }; // Return a structured success object
+      } catch (error) {
+        if (isModelUnavailableError(error)) {
+          return { modelUnavailable: true, reason: error.message };
+        }
+        if (isRateLimitError(error)) {
+          const cooldown = this.keyPool.markRateLimited(
+            keyIndex,
+            model,
+            error.headers
+          );
+          console.warn(
+            `⚠️ Rate limit for key index ${keyIndex} on model ${model}. Resting it for ${Math.ceil(
+              cooldown / 1000
+            )}s.`
+          );
+          continue;
+        }
+        if (isAuthError(error)) {
+          console.error(
+            `❌ API key index ${keyIndex} was rejected (${error.status}), removing it from the pool.`
+          );
+          this.keyPool.markInvalid(keyIndex);
+          continue;
+        }
+        this.keyPool.markError(keyIndex);
+        if (
+          isTransientError(error) &&
+          transientFailures < MAX_TRANSIENT_RETRIES
+        ) {
+          const backoff = 1000 * 2 ** transientFailures;
+          transientFailures++;
+          console.warn(
+            `⚠️ LLM request failed (${error.message}), retrying in ${
+              backoff / 1000
+            }s...`
+          );
+          await sleep(backoff);
+          continue;
+        }
+        console.error(`❌ Unhandled LLM API error: ${error.message}`);
+        return { error: true, reason: error.message };
+      }
+    }
+    return { rateLimited: true, reason: `All keys rate-limited for ${model}` };
+  }
+
+  // Per-key request counts for the final summary
+  printUsageReport() {
+    if (this.keyPool.size === 0) return;
+    console.log(`🔑 LLM key usage (${this.provider.name}):`);
+    for (const row of this.keyPool.getUsageReport()) {
+      console.log(
+        `   ${row.label} ${row.requests} requests, ${row.successes} ok, ${row.rateLimited} rate-limited, ${row.errors} errors - ${row.state}`
+      );
+    }
+    if (this.unavailableModels.size > 0) {
+      console.log(
+        `   Unavailable models: ${[...this.unavailableModels].join(", ")}`
+      );
+    }
+    if (this.cache && this.cache.enabled) {
+      console.log(
+        `🗃️ LLM cache: ${this.cache.hits} hits, ${this.cache.misses} misses`
+      );
+    }
+  }
+
+  async getCVKeywords(cvText) {
+    if (!this.isActive || !cvText) {
+      console.warn(
+        "⚠️ LLM is disabled or CV text is empty. Cannot extract keywords."
+      );
+      return [];
+    }
+
+    const cacheKey = LlmCache.makeKey("keywords", [
+      hashText(cvText),
+      PROMPT_HASHES.keywords,
+      String(this.cvKeywordCount),
+      this.models.keywords.join(","),
+    ]);
+    const cached = this.cache && this.cache.get(cacheKey);
+    if (cached) {
+      console.log(
+        `🗃️ Using ${cached.value.length} cached CV keywords from ${cached.createdAt}`
+      );
+      return cached.value;
+    }
+
+    const result = await this.complete({
+      task: "keywords",
+      messages: [
+        {
+          role: "user",
+          // Function replacers keep "$&" and the like in the CV from being expanded
+          content: KEYWORD_EXTRACTION_PROMPT.replace(
+            "{keywordCount}",
+            this.cvKeywordCount
+          ).replace("{cvText}", () => cvText),
+        },
+      ],
+    });
+
+    if (result.error) {
+      console.error(
+        `❌ Failed to get CV keywords from the LLM: ${result.reason}`
+      );
+      return [];
+    }
+
+    const responseContent = result.data.choices[0]?.message?.content;
+    if (
+      !responseContent ||
+      responseContent.toLowerCase().includes("no relevant skills found")
+    ) {
+      console.log("ℹ️ LLM: No relevant skills found in CV.");
+      return [];
+    }
+
+    const keywords = responseContent
+      .split("\n")
+      .map((kw) => kw.trim())
+      .filter((kw) => kw.length > 1);
+    console.log(`✅ LLM extracted ${keywords.length} keywords from CV.`);
+    if (this.cache && keywords.length > 0) {
+      this.cache.set(cacheKey, keywords, {
+        prompt: PROMPT_HASHES.keywords,
+        model: result.model,
+      });
+    }
+    return keywords;
+  }
+
+  async checkJobMatch(cvKeywords, jobDescription) {
+    if (!this.isActive || cvKeywords.length === 0 || !jobDescription) {
+      console.warn(
+        "⚠️ LLM is disabled, no CV keywords, or no job description. Cannot perform LLM match."
+      );
+      return { match: "SKIPPED_LLM", reason: "LLM disabled or missing data" };
+    }
+
+    const cacheKey = LlmCache.makeKey("match", [
+      hashText(jobDescription),
+      hashText(cvKeywords.join("\n")),
+      PROMPT_HASHES.match,
+      this.models.match.join(","),
+    ]);
+    const cached = this.cache && this.cache.get(cacheKey);
+    if (cached) {
+      console.log(`🗃️ Using cached LLM verdict from ${cached.createdAt}`);
+      return { ...cached.value, cached: true, cachedAt: cached.createdAt };
+    }
+    if (!this.isAvailable()) {
+      // Not a verdict: the caller falls back to keyword matching
+      return { match: "SKIPPED_LLM", reason: "All API keys are cooling down" };
+    }
+
+    const prompt = JOB_DESCRIPTION_MATCH_PROMPT.replace(
+      "{verdictFormat}",
+      VERDICT_JSON_FORMAT
+    )
+      .replace("{cvKeywords}", () => cvKeywords.join(", "))
+      .replace("{jobDescription}", () => jobDescription);
+    const messages = [{ role: "user", content: prompt }];
+
+    let lastError = "";
+    for (let attempt = 0; attempt <= MAX_VERDICT_RETRIES; attempt++) {
+      const result = await this.complete({ task: "match", messages });
+      if (result.rateLimited) {
+        // Not a verdict: the caller falls back to keyword matching
+        return { match: "SKIPPED_LLM", reason: result.reason };
+      }
+      if (result.error) {
+        console.error(`❌ LLM API error during job matching: ${result.reason}`);
+        return { match: "ERROR", reason: `LLM API error: ${result.reason}` };
+      }
+
+      const responseContent = result.data.choices[0]?.message?.content || "";
+      const parsed = parseMatchVerdict(responseContent);
+      if (parsed.verdict) {
+        if (this.cache) {
+          this.cache.set(cacheKey, parsed.verdict, {
+            prompt: PROMPT_HASHES.match,
+            model: result.model,
+          });
+        }
+        return parsed.verdict;
+      }
+
+      lastError = parsed.error;
+      console.warn(
+        `⚠️ Malformed LLM verdict (attempt ${attempt + 1}): ${lastError}`
+      );
+      // Show the model its answer and ask for a corrected one
+      messages.push(
+        { role: "assistant", content: responseContent },
+        {
+          role: "user",
+          content: `That response is invalid (${lastError}). Reply again with only the JSON object in this format:\n${VERDICT_JSON_FORMAT}`,
+        }
+      );
+    }
+    return {
+      match: "ERROR",
+      reason: `Malformed LLM response: ${lastError}`,
+    };
+  }
+
+  /**
+   * Answers an Easy Apply screening question from the CV text.
+   * @param {object} request
+   * @param {string} request.question - The question label.
+   * @param {string} request.type - "text", "textarea", "number", "select", "radio" or "checkbox".
+   * @param {string[]} request.options - Option labels for select, radio and checkbox questions.
+   * @param {string} request.cvText
+   * @returns {Promise<{answer: string, confidence: number}|null>} null when the LLM is unavailable
+   *   or its response is unusable.
+   */
+  async answerScreeningQuestion({ question, type, options = [], cvText }) {
+    if (!this.isActive || !question || !cvText) return null;
+
+    const cacheKey = LlmCache.makeKey("screening", [
+      hashText([question, type, ...options].join("\n")),
+      hashText(cvText),
+      PROMPT_HASHES.screening,
+      this.models.match.join(","),
+    ]);
+    const cached = this.cache && this.cache.get(cacheKey);
+    if (cached) {
+      console.log(`🗃️ Using cached screening answer from ${cached.createdAt}`);
+      return cached.value;
+    }
+    if (!this.isAvailable()) return null;
+
+    const result = await this.complete({
+      task: "match",
+      messages: [
+        {
+          role: "user",
+          content: SCREENING_QUESTION_PROMPT.replace("{optionsHint}", () =>
+            screeningOptionsHint(type, options)
+          )
+            .replace("{question}", () => question)
+            .replace("{cvText}", () => cvText),
+        },
+      ],
+    });
+    if (result.error) {
+      console.error(
+        `❌ LLM API error while answering "${question}": ${result.reason}`
+      );
+      return null;
+    }
+
+    const parsed = extractJsonObject(
+      result.data.choices[0]?.message?.content || ""
+    );
+    const confidence = parsed ? Number(parsed.confidence) : NaN;
+    if (
+      !parsed ||
+      typeof parsed.answer !== "string" ||
+      !parsed.answer.trim() ||
+      !Number.isFinite(confidence)
+    ) {
+      console.warn(`⚠️ Malformed LLM screening answer for "${question}"`);
+      return null;
+    }
+    const answer = {
+      answer: parsed.answer.trim(),
+      confidence: Math.max(0, Math.min(100, Math.round(confidence))),
+    };
+    if (this.cache) {
+      this.cache.set(cacheKey, answer, {
+        prompt: PROMPT_HASHES.screening,
+        model: result.model,
+      });
+    }
+    return answer;
+  }
+
+  /**
+   * Asks the LLM to confirm (or correct) the work requirements patterns read from a description.
+   * @param {string} jobDescription
+   * @param {object} requirements - From detectWorkRequirements.
+   * @returns {Promise<object|null>} Corrected requirements (source "llm"), or null when the LLM is
+   *   unavailable or its response is unusable.
+   */
+  async confirmWorkRequirements(jobDescription, requirements) {
+    if (!this.isActive || !jobDescription) return null;
+
+    const detected = JSON.stringify({
+      sponsorship: requirements.sponsorship,
+      authorization: requirements.authorization,
+      clearance: requirements.clearance,
+      clearanceActive: requirements.clearanceActive,
+      taxTerms: requirements.taxTerms,
+    });
+    const cacheKey = LlmCache.makeKey("requirements", [
+      hashText(jobDescription),
+      hashText(detected),
+      PROMPT_HASHES.requirements,
+      this.models.match.join(","),
+    ]);
+    const cached = this.cache && this.cache.get(cacheKey);
+    if (cached) {
+      console.log(`🗃️ Using cached work requirements from ${cached.createdAt}`);
+      return { ...cached.value, evidence: requirements.evidence };
+    }
+    if (!this.isAvailable()) return null;
+
+    const result = await this.complete({
+      task: "match",
+      messages: [
+        {
+          role: "user",
+          content: WORK_REQUIREMENTS_PROMPT.replace(
+            "{requirements}",
+            () => detected
+          ).replace("{jobDescription}", () => jobDescription),
+        },
+      ],
+    });
+    if (result.error) {
+      console.error(
+        `❌ LLM API error while confirming work requirements: ${result.reason}`
+      );
+      return null;
+    }
+
+    const parsed = extractJsonObject(
+      result.data.choices[0]?.message?.content || ""
+    );
+    if (!parsed) {
+      console.warn("⚠️ Malformed LLM work requirements");
+      return null;
+    }
+    const confirmed = { ...normalizeRequirements(parsed), source: "llm" };
+    if (this.cache) {
+      const { evidence, ...value } = confirmed;
+      this.cache.set(cacheKey, value, {
+        prompt: PROMPT_HASHES.requirements,
+        model: result.model,
+      });
+    }
+    // The sentences the patterns quoted still explain the requirements the LLM kept
+    return { ...confirmed, evidence: requirements.evidence };
+  }
+}
+
+module.exports = {
+  LlmClient,
+  PROMPT_HASHES,
+  KEYWORD_EXTRACTION_PROMPT,
+  JOB_DESCRIPTION_MATCH_PROMPT,
+  SCREENING_QUESTION_PROMPT,
+  WORK_REQUIREMENTS_PROMPT,
+};
@@ -0,0 +1,118 @@
+// LLM Providers
+// Thin chat-completion adapters behind utils/llm_client.js. Every provider takes the same
+// { model, messages, keyIndex } request and resolves to { data, headers }, where data is an
+// OpenAI-style completion ({ choices: [{ message: { content } }] }) and headers carry the
+// x-ratelimit-* values. Failed requests throw an Error carrying the HTTP `status` and `headers`,
+// like the groq-sdk errors, so the client can tell rate limits from retired models.
+const { Groq } = require("groq-sdk"); // Import Groq SDK
+require("dotenv").config(); // Load environment variables
+
+// Load all <PREFIX>* keys from process.env, in name order
+function loadApiKeys(prefix) {
+  return Object.keys(process.env)
+    .filter((k) => k.startsWith(prefix))
+    .sort()
+    .map((k) => process.env[k])
+    .filter(Boolean);
+}
+
+function maskKey(apiKey) {
+  return apiKey ? `${apiKey.slice(0, 8)}...` : "(no key)";
+}
+
+// Groq cloud, with one client per GROQ_API_KEY_* key
+class GroqProvider {
+  constructor() {
+    this.name = "groq";
+    this.keyPrefix = "GROQ_API_KEY_";
+    this.apiKeys = loadApiKeys(this.keyPrefix);
+    // Rate limits are handled by the key pool, which can switch keys instead of waiting
+    this.clients = this.apiKeys.map(
+      (apiKey) => new Groq({ apiKey, maxRetries: 0 })
+    );
+  }
+
+  get keyCount() {
+    return this.apiKeys.length;
+  }
+
+  describeKey(keyIndex) {
+    return maskKey(this.apiKeys[keyIndex]);
+  }
+
+  async chat({ model, messages, keyIndex = 0 }) {
+    const { data, response } = await this.clients[keyIndex].chat.completions
+      .create({ messages, model })
+      .withResponse();
+    return { data, headers: response.headers };
+  }
+}
+
+// Any server exposing POST <baseUrl>/chat/completions: OpenAI, Ollama, llama.cpp, LM Studio, vLLM...
+// Keys come from LLM_API_KEY_* (optional, local servers usually need none).
+class OpenAiCompatibleProvider {
+  constructor({ baseUrl }) {
+    this.name = "openai-compatible";
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+    this.keyPrefix = "LLM_API_KEY_";
+    this.apiKeys = loadApiKeys(this.keyPrefix);
+  }
+
+  get keyCount() {
+    return Math.max(this.apiKeys.length, 1);
+  }
+
+  describeKey(keyIndex) {
+    return maskKey(this.apiKeys[keyIndex]);
+  }
+
+  async chat({ model, messages, keyIndex = 0 }) {
+    const headers = { "Content-Type": "application/json" };
+    if (this.apiKeys[keyIndex]) {
+      headers.Authorization = `Bearer ${this.apiKeys[keyIndex]}`;
+    }
+
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}/chat/completions`, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({ model, messages }),
+      });
+    } catch (error) {
+      throw new Error(`Cannot reach ${this.baseUrl}: ${error.message}`);
+    }
+
+    const body = await response.text();
+    if (!response.ok) {
+      const error = new Error(`${response.status} ${body.slice(0, 300)}`);
+      error.status = response.status;
+      error.headers = Object.fromEntries(response.headers.entries());
+      throw error;
+    }
+    try {
+      return { data: JSON.parse(body), headers: response.headers };
+    } catch (error) {
+      throw new Error(
+        `Invalid JSON from ${this.baseUrl}: ${body.slice(0, 200)}`
+      );
+    }
+  }
+}
+
+/**
+ * Creates the provider selected by the run config (see LLM_PROVIDERS in utils/config.js).
+ * @param {object} config - Resolved config (llmProvider, llmBaseUrl).
+ */
+function createProvider(config) {
+  if (config.llmProvider === "openai-compatible") {
+    return new OpenAiCompatibleProvider({ baseUrl: config.llmBaseUrl });
+  }
+  return new GroqProvider();
+}
+
+module.exports = {
+  GroqProvider,
+  OpenAiCompatibleProvider,
+  createProvider,
+};
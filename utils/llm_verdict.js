@@ -0,0 +1,91 @@
+// LLM Match Verdict
+// The job-match prompt asks for a strict JSON object; this module pulls that object out of the
+// model response and validates it, so apply decisions rest on a numeric score rather than on
+// searching the response text for "match".
+const VERDICTS = ["MATCH", "PARTIAL_MATCH", "NO_MATCH"];
+
+// Shown to the model in the prompt and again when asking it to fix a malformed answer
+const VERDICT_JSON_FORMAT = `{
+  "verdict": "MATCH" | "PARTIAL_MATCH" | "NO_MATCH",
+  "score": <integer 0-100, how well the CV fits the job>,
+  "matchedSkills": [<CV skills the job asks for>],
+  "missingSkills": [<required skills missing from the CV>],
+  "reason": "<one short sentence>"
+}`;
+
+// Takes the first {...} block, so code fences or text around the JSON are tolerated
+function extractJsonObject(text) {
+  const start = text.indexOf("{");
+  const end = text.lastIndexOf("}");
+  if (start === -1 || end <= start) return null;
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    return null;
+  }
+}
+
+function isStringArray(value) {
+  return (
+    Array.isArray(value) && value.every((item) => typeof item === "string")
+  );
+}
+
+/**
+ * Parses and validates a job-match response.
+ * @param {string} responseContent - Raw model output.
+ * @returns {{verdict: {match: string, score: number, matchedSkills: string[], missingSkills: string[], reason: string}}|{error: string}}
+ */
+function parseMatchVerdict(responseContent) {
+  if (!responseContent) return { error: "Empty response" };
+  const parsed = extractJsonObject(responseContent);
+  if (!parsed || typeof parsed !== "object") {
+    return { error: "Response is not a JSON object" };
+  }
+
+  const errors = [];
+  const verdict = String(parsed.verdict || "")
+    .trim()
+    .toUpperCase()
+    .replace(/[\s-]+/g, "_");
+  if (!VERDICTS.includes(verdict)) {
+    errors.push(`"verdict" must be one of ${VERDICTS.join(", ")}`);
+  }
+  const score = Number(parsed.score);
+  if (
+    parsed.score === null ||
+    parsed.score === "" ||
+    !Number.isFinite(score) ||
+    score < 0 ||
+    score > 100
+  ) {
+    errors.push('"score" must be a number from 0 to 100');
+  }
+  if (!isStringArray(parsed.matchedSkills)) {
+    errors.push('"matchedSkills" must be an array of strings');
+  }
+  if (!isStringArray(parsed.missingSkills)) {
+    errors.push('"missingSkills" must be an array of strings');
+  }
+  if (typeof parsed.reason !== "string" || !parsed.reason.trim()) {
+    errors.push('"reason" must be a non-empty string');
+  }
+  if (errors.length > 0) return { error: errors.join("; ") };
+
+  return {
+    verdict: {
+      match: verdict,
+      score: Math.round(score),
+      matchedSkills: parsed.matchedSkills.map((skill) => skill.trim()),
+      missingSkills: parsed.missingSkills.map((skill) => skill.trim()),
+      reason: parsed.reason.trim(),
+    },
+  };
+}
+
+module.exports = {
+  VERDICTS,
+  VERDICT_JSON_FORMAT,
+  parseMatchVerdict,
+  extractJsonObject,
+};
@@ -0,0 +1,267 @@
+// Network Job Data
+// Dice's front end fetches search results and job details as JSON. Listening to the browser
+// context's responses gives the bot the same data without any DOM selectors: title, company,
+// Dice job ID, description and metadata, keyed by job ID. processJob takes what it needs from here
+// and falls back to the DOM scrapers in utils/dice_page.js and utils/job_metadata.js for the rest.
+// Responses are recognised by shape (objects with an ID, a title and a company), not by endpoint,
+// so a renamed API path does not break it.
+const { extractJobId } = require("./application_history");
+const {
+  parseEmploymentType,
+  parseWorkplace,
+  parseSalary,
+  parsePostedDate,
+} = require("./job_metadata");
+
+// Only JSON from Dice hosts is inspected
+const DICE_HOST_PATTERN = /(^|\.)dice\.com$/i;
+const MAX_JOBS = 2000;
+const MAX_DEPTH = 8;
+// Shorter texts are search snippets, not descriptions (same bar as extractJobDescription)
+const MIN_DESCRIPTION_LENGTH = 200;
+
+const firstString = (object, keys) => {
+  for (const key of keys) {
+    const value = object[key];
+    if (typeof value === "string" && value.trim()) return value.trim();
+    if (value && typeof value === "object" && typeof value.name === "string")
+      return value.name.trim();
+  }
+  return "";
+};
+
+const stripHtml = (html) =>
+  String(html || "")
+    .replace(/<(br|\/p|\/li|\/div|\/h\d)\s*\/?>/gi, "\n")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const isJobLike = (object) =>
+  firstString(object, ["title", "jobTitle"]) &&
+  firstString(object, ["id", "guid", "jobId", "jobGuid"]) &&
+  firstString(object, ["companyName", "company", "hiringOrganization"]);
+
+// Dice job IDs of a job object: its UUID ("guid"), legacy ID and the ID in its detail URL
+function jobIdsOf(object) {
+  const ids = ["guid", "jobGuid", "jobId", "id"]
+    .map((key) => object[key])
+    .filter((value) => typeof value === "string" && value.trim())
+    .map((value) => value.trim().toLowerCase());
+  const url = firstString(object, ["detailsPageUrl", "jobUrl", "url"]);
+  const urlId = extractJobId(url);
+  if (urlId) ids.unshift(urlId);
+  return [...new Set(ids)];
+}
+
+const textOf = (value) =>
+  Array.isArray(value)
+    ? value.map(textOf).join(", ")
+    : value && typeof value === "object"
+    ? firstString(value, ["displayName", "name", "label", "value"])
+    : String(value === undefined || value === null ? "" : value);
+
+/**
+ * Converts one job object from a Dice JSON response to the bot's fields.
+ * @param {object} object
+ * @returns {{ids: string[], jobTitle: string, companyName: string, jobPageUrl: string,
+ *   description: string, easyApply: boolean|null, metadata: object}}
+ */
+function normalizeJob(object) {
+  const ids = jobIdsOf(object);
+  const location = textOf(
+    object.jobLocation || object.location || object.locations || ""
+  );
+  const workplaceText = [
+    textOf(object.workplaceTypes || object.workplaceType || ""),
+    object.isRemote === true ? "Remote" : "",
+    location,
+  ].join(" ");
+  const employmentText = textOf(
+    object.employmentType || object.employmentTypes || ""
+  );
+  const salaryText = textOf(object.salary || object.compensation || "");
+  const posted = object.postedDate || object.datePosted || "";
+  const updated = object.modifiedDate || object.dateUpdated || "";
+  const description = stripHtml(
+    firstString(object, ["description", "jobDescription", "descriptionHtml"])
+  );
+
+  return {
+    ids,
+    jobTitle: firstString(object, ["title", "jobTitle"]),
+    companyName: firstString(object, [
+      "companyName",
+      "company",
+      "hiringOrganization",
+    ]),
+    jobPageUrl: firstString(object, ["detailsPageUrl", "jobUrl"]),
+    description:
+      description.length >= MIN_DESCRIPTION_LENGTH ? description : "",
+    easyApply: typeof object.easyApply === "boolean" ? object.easyApply : null,
+    metadata: {
+      jobId: ids[0] || "",
+      location,
+      workplace: parseWorkplace(workplaceText),
+      employmentType: parseEmploymentType(employmentText),
+      salary: parseSalary(salaryText) || salaryText.trim(),
+      postedDate: updated
+        ? `Updated ${String(updated).slice(0, 10)}`
+        : posted
+        ? `Posted ${String(posted).slice(0, 10)}`
+        : parsePostedDate(textOf(object.postedAgo || "")),
+      recruiter: textOf(object.recruiterName || object.recruiter || ""),
+    },
+  };
+}
+
+// Job-like objects anywhere in a JSON document
+function findJobObjects(data, depth = 0, found = []) {
+  if (!data || typeof data !== "object" || depth > MAX_DEPTH) return found;
+  if (Array.isArray(data)) {
+    for (const item of data) findJobObjects(item, depth + 1, found);
+    return found;
+  }
+  if (isJobLike(data)) found.push(data);
+  for (const value of Object.values(data)) {
+    if (value && typeof value === "object")
+      findJobObjects(value, depth + 1, found);
+  }
+  return found;
+}
+
+class NetworkJobData {
+  constructor() {
+    this.jobs = new Map(); // job ID -> normalized job (one object under each of its IDs)
+    this.lastSearch = null; // { url, jobs, at } of the latest response listing jobs
+    this.pending = new Set();
+    this.onResponse = (response) => {
+      const task = this.handleResponse(response).finally(() =>
+        this.pending.delete(task)
+      );
+      this.pending.add(task);
+    };
+  }
+
+  /**
+   * Starts listening to the responses of a browser context (or a single page).
+   * @param {import('@playwright/test').BrowserContext|import('@playwright/test').Page} target
+   */
+  attach(target) {
+    target.on("response", this.onResponse);
+    return this;
+  }
+
+  detach(target) {
+    target.off("response", this.onResponse);
+  }
+
+  async handleResponse(response) {
+    try {
+      const url = new URL(response.url());
+      if (!DICE_HOST_PATTERN.test(url.hostname) || !response.ok()) return;
+      const contentType = (await response.headerValue("content-type")) || "";
+      if (!contentType.includes("json")) return;
+      this.ingest(await response.json(), response.url());
+    } catch (error) {
+      // Bodies of redirected, aborted or closed-page responses cannot be read; nothing to learn
+    }
+  }
+
+  /**
+   * Stores every job found in a JSON document.
+   * @param {object} data - A parsed response body.
+   * @param {string} [sourceUrl]
+   * @returns {number} Jobs found.
+   */
+  ingest(data, sourceUrl = "") {
+    const jobs = findJobObjects(data).map(normalizeJob);
+    for (const job of jobs) this.store(job);
+    // An empty search listing is also a result ("no more jobs on this page"); other empty lists
+    // (notifications, saved searches...) are not
+    const isListing =
+      jobs.length > 1 ||
+      (/search/i.test(sourceUrl) && Boolean(data) && Array.isArray(data.data));
+    if (isListing) this.lastSearch = { url: sourceUrl, jobs, at: Date.now() };
+    return jobs.length;
+  }
+
+  store(job) {
+    if (job.ids.length === 0) return;
+    const existing = job.ids.map((id) => this.jobs.get(id)).find(Boolean);
+    const merged = existing ? mergeJobs(existing, job) : job;
+    for (const id of merged.ids) this.jobs.set(id, merged);
+    while (this.jobs.size > MAX_JOBS) {
+      this.jobs.delete(this.jobs.keys().next().value);
+    }
+  }
+
+  /**
+   * @param {string} jobUrl - A job page URL.
+   * @returns {object|null} The job seen for this URL's job ID.
+   */
+  get(jobUrl) {
+    const jobId = extractJobId(jobUrl);
+    return jobId ? this.jobs.get(jobId) || null : null;
+  }
+
+  /**
+   * Waits until a job with a description was seen for the URL (the detail response may still be
+   * in flight right after the tab loaded).
+   * @param {string} jobUrl
+   * @param {number} [timeout]
+   * @returns {Promise<object|null>} What is known by then, possibly without a description.
+   */
+  async waitFor(jobUrl, timeout = 3000) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+      const job = this.get(jobUrl);
+      if ((job && job.description) || Date.now() >= deadline) return job;
+      await new Promise((resolve) => setTimeout(resolve, 250));
+    }
+  }
+
+  /**
+   * Returns and forgets the latest search listing, so each results page is read once.
+   * @param {number} [since] - Ignore listings received before this time (ms since the epoch).
+   * @returns {{url: string, jobs: object[], at: number}|null}
+   */
+  takeSearchResults(since = 0) {
+    const search = this.lastSearch;
+    this.lastSearch = null;
+    return search && search.at >= since ? search : null;
+  }
+
+  /** Lets in-flight response handlers finish (call before closing the context). */
+  async settle() {
+    await Promise.allSettled([...this.pending]);
+  }
+}
+
+// Later responses fill fields the earlier ones left empty; a description is never lost
+function mergeJobs(base, update) {
+  const metadata = { ...base.metadata };
+  for (const [field, value] of Object.entries(update.metadata)) {
+    if (value) metadata[field] = value;
+  }
+  return {
+    ids: [...new Set([...base.ids, ...update.ids])],
+    jobTitle: update.jobTitle || base.jobTitle,
+    companyName: update.companyName || base.companyName,
+    jobPageUrl: base.jobPageUrl || update.jobPageUrl,
+    description:
+      update.description.length > base.description.length
+        ? update.description
+        : base.description,
+    easyApply: update.easyApply !== null ? update.easyApply : base.easyApply,
+    metadata,
+  };
+}
+
+module.exports = { NetworkJobData, normalizeJob, findJobObjects };
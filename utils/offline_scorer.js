@@ -0,0 +1,195 @@
+// Offline Relevance Scorer
+// Rates a job description against the CV text without any network call, for runs where the LLM
+// is off, has no keys, or every key is cooling down. It returns the same verdict shape as the LLM
+// ({ match, score, matchedSkills, missingSkills, reason }) from two signals:
+//   - skill coverage: the share of the skills the posting mentions (from skill_synonyms.json)
+//     that the CV also mentions
+//   - key-term overlap: the share of the posting's TF-IDF weight carried by terms the CV contains
+// Synonyms are folded into one canonical term first, so "Software Developer Engineer in Test"
+// counts as "SDET".
+const fs = require("fs");
+
+const MATCH_SCORE = 70;
+const PARTIAL_MATCH_SCORE = 40;
+const SKILL_WEIGHT = 0.6; // Share of the score from skill coverage when the posting names skills
+const TOP_TERMS = 25; // Posting terms used for the key-term overlap
+
+// Common English words plus job-posting boilerplate that says nothing about fit
+const STOPWORDS = new Set(
+  [
+    "a about above after all also an and any are as at be been being below",
+    "both but by can could did do does doing during each either etc for",
+    "from further had has have having he her here hers how i if in into is",
+    "it its just may me more most must my no nor not of off on once only or",
+    "other our out over own per same she should so some such than that the",
+    "their them then there these they this those through to too under until",
+    "up us very via was we were what when where which while who whom why",
+    "will with within would you your ability able apply applicant",
+    "applicants benefits candidate candidates company competitive",
+    "description duties employer environment equal excellent experience",
+    "experienced familiarity full good great help including job join",
+    "knowledge looking minimum new opportunity plus position preferred",
+    "qualifications related required requirements responsibilities role",
+    "salary skills strong team teams time understanding using work working",
+    "year years",
+  ]
+    .join(" ")
+    .split(" ")
+);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Whole-word matcher that also works for terms like "c#" or "ci/cd"; "_" counts as part of a
+// word so already folded tokens such as "github_actions" are left alone
+const termPattern = (term) =>
+  new RegExp(`(^|[^a-z0-9_])${escapeRegExp(term)}(?=[^a-z0-9_]|$)`, "g");
+
+/**
+ * Reads and validates the skills synonym dictionary: { "Skill": ["variant", ...], ... }.
+ * @param {string} filepath
+ * @returns {Object<string, string[]>}
+ */
+function loadSkillSynonyms(filepath) {
+  if (!fs.existsSync(filepath)) {
+    throw new Error(`Skill synonyms file not found: ${filepath}`);
+  }
+  let dictionary;
+  try {
+    dictionary = JSON.parse(fs.readFileSync(filepath, "utf-8"));
+  } catch (error) {
+    throw new Error(`Could not parse ${filepath}: ${error.message}`);
+  }
+  const valid =
+    dictionary &&
+    typeof dictionary === "object" &&
+    !Array.isArray(dictionary) &&
+    Object.values(dictionary).every(
+      (variants) =>
+        Array.isArray(variants) &&
+        variants.every((variant) => typeof variant === "string")
+    );
+  if (!valid) {
+    throw new Error(
+      `${filepath} must map each skill to an array of synonym strings`
+    );
+  }
+  return dictionary;
+}
+
+class OfflineScorer {
+  /**
+   * @param {object} options
+   * @param {string} options.cvText - Plain text of the CV (from readPdf).
+   * @param {Object<string, string[]>} options.synonyms - From loadSkillSynonyms.
+   */
+  constructor({ cvText, synonyms }) {
+    // Canonical token per skill, e.g. "Test Automation" -> "test_automation"
+    this.skills = Object.entries(synonyms).map(([name, variants]) => ({
+      name,
+      token: name.toLowerCase().replace(/[^a-z0-9+#]+/g, "_"),
+      variants: [name, ...variants].map((variant) => variant.toLowerCase()),
+    }));
+    // Longest variants first, so "software developer engineer in test" wins over "test"
+    this.replacements = this.skills
+      .flatMap((skill) =>
+        skill.variants.map((variant) => ({ variant, token: skill.token }))
+      )
+      .sort((a, b) => b.variant.length - a.variant.length)
+      .map(({ variant, token }) => ({ pattern: termPattern(variant), token }));
+
+    this.cvTerms = new Set(this.tokenize(cvText || ""));
+    // Document frequencies over the CV and every posting scored so far
+    this.documentCount = 1;
+    this.documentFrequency = new Map();
+    for (const term of this.cvTerms) this.documentFrequency.set(term, 1);
+  }
+
+  // Lowercases, folds synonyms into canonical skill tokens and drops stopwords
+  tokenize(text) {
+    let normalized = ` ${text.toLowerCase()} `;
+    for (const { pattern, token } of this.replacements) {
+      normalized = normalized.replace(pattern, `$1 ${token} `);
+    }
+    return (normalized.match(/[a-z0-9_+#]+/g) || []).filter(
+      (term) => term.length > 1 && !STOPWORDS.has(term) && !/^\d+$/.test(term)
+    );
+  }
+
+  /**
+   * Scores a job description against the CV.
+   * @param {string} jobDescription
+   * @returns {{match: string, score: number, matchedSkills: string[], missingSkills: string[], reason: string, source: string}}
+   */
+  score(jobDescription) {
+    const terms = this.tokenize(jobDescription || "");
+    const termCounts = new Map();
+    for (const term of terms) {
+      termCounts.set(term, (termCounts.get(term) || 0) + 1);
+    }
+
+    this.documentCount++;
+    for (const term of termCounts.keys()) {
+      this.documentFrequency.set(
+        term,
+        (this.documentFrequency.get(term) || 0) + 1
+      );
+    }
+
+    // Skill coverage
+    const jobSkills = this.skills.filter((skill) =>
+      termCounts.has(skill.token)
+    );
+    const matchedSkills = jobSkills
+      .filter((skill) => this.cvTerms.has(skill.token))
+      .map((skill) => skill.name);
+    const missingSkills = jobSkills
+      .filter((skill) => !this.cvTerms.has(skill.token))
+      .map((skill) => skill.name);
+
+    // Key-term overlap, weighted by TF-IDF
+    const weighted = [...termCounts.entries()]
+      .map(([term, count]) => ({
+        term,
+        weight:
+          (1 + Math.log(count)) *
+          Math.log(
+            1 +
+              (this.documentCount + 1) /
+                ((this.documentFrequency.get(term) || 0) + 1)
+          ),
+      }))
+      .sort((a, b) => b.weight - a.weight)
+      .slice(0, TOP_TERMS);
+    const totalWeight = weighted.reduce((sum, item) => sum + item.weight, 0);
+    const sharedWeight = weighted
+      .filter((item) => this.cvTerms.has(item.term))
+      .reduce((sum, item) => sum + item.weight, 0);
+    const termOverlap = totalWeight > 0 ? sharedWeight / totalWeight : 0;
+
+    const skillCoverage =
+      jobSkills.length > 0 ? matchedSkills.length / jobSkills.length : null;
+    const score = Math.round(
+      100 *
+        (skillCoverage === null
+          ? termOverlap
+          : SKILL_WEIGHT * skillCoverage + (1 - SKILL_WEIGHT) * termOverlap)
+    );
+
+    let match = "NO_MATCH";
+    if (score >= MATCH_SCORE) match = "MATCH";
+    else if (score >= PARTIAL_MATCH_SCORE) match = "PARTIAL_MATCH";
+
+    return {
+      match,
+      score,
+      matchedSkills,
+      missingSkills,
+      reason: `[Offline] ${matchedSkills.length}/${
+        jobSkills.length
+      } skills, ${Math.round(termOverlap * 100)}% key-term overlap`,
+      source: "offline",
+    };
+  }
+}
+
+module.exports = { OfflineScorer, loadSkillSynonyms };
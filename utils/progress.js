@@ -0,0 +1,169 @@
+// Run Progress Checkpointing
+// Persists the position of the batch loop (batch, search term, page, job card) together with
+// the running stats, the Excel log filename and a ranked run's shortlist, so an interrupted run can
+// resume where it stopped instead of starting again from the first search term.
+// Every spec keeps its own checkpoint (progress.<spec>.json, git-ignored), so specs run one after
+// another by `npx playwright test` do not overwrite each other's.
+const fs = require("fs");
+const path = require("path");
+
+const ROOT_DIR = path.join(__dirname, "..");
+
+/**
+ * The checkpoint file of a spec, e.g. progress.dice_easy.json for dice_easy.spec.js.
+ * @param {string} specName - The spec's file name.
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - Dry runs keep a separate checkpoint (progress.<spec>.dry-run.json).
+ * @returns {string} An absolute path in the repo root.
+ */
+function progressPathFor(specName, { dryRun = false } = {}) {
+  const spec = path.basename(specName).replace(/(\.spec)?\.[jt]s$/, "");
+  return path.join(
+    ROOT_DIR,
+    `progress.${spec}${dryRun ? ".dry-run" : ""}.json`
+  );
+}
+
+class ProgressTracker {
+  /**
+   * @param {string} specName - Name of the spec that owns the checkpoint (checkpoints from other specs are ignored).
+   * @param {string} [filepath] - Where the checkpoint is stored. Defaults to the spec's own file
+   *   (progressPathFor).
+   */
+  constructor(specName, filepath = progressPathFor(specName)) {
+    this.specName = specName;
+    this.filepath = filepath;
+    this.resumePoint = null;
+    this.resumeTermIdx = -1;
+    this.startedAt = new Date().toISOString();
+    this.logFile = null;
+  }
+
+  /**
+   * Reads the checkpoint and decides whether it can be resumed.
+   * A checkpoint is only resumed when it belongs to this spec, was not completed,
+   * and its search term still exists in the current search list.
+   * @param {string[]} searchItems - The search terms of the current run.
+   * @returns {object|null} The checkpoint to resume from, or null for a fresh run.
+   */
+  load(searchItems) {
+    if (process.env.DICE_FRESH_START === "true") {
+      console.log("ℹ️ DICE_FRESH_START is set, ignoring any saved progress.");
+      return null;
+    }
+    if (!fs.existsSync(this.filepath)) return null;
+
+    let checkpoint;
+    try {
+      checkpoint = JSON.parse(fs.readFileSync(this.filepath, "utf-8"));
+    } catch (error) {
+      console.warn(`⚠️ Could not read progress file: ${error.message}`);
+      return null;
+    }
+
+    if (
+      !checkpoint ||
+      checkpoint.completed ||
+      checkpoint.spec !== this.specName ||
+      !checkpoint.logFile
+    ) {
+      return null;
+    }
+
+    const termIdx = searchItems.indexOf(checkpoint.searchTerm);
+    if (termIdx === -1) {
+      console.warn(
+        `⚠️ Saved progress points at search term "${checkpoint.searchTerm}" which is no longer configured. Starting fresh.`
+      );
+      return null;
+    }
+
+    this.resumePoint = checkpoint;
+    this.resumeTermIdx = termIdx;
+    this.startedAt = checkpoint.startedAt || this.startedAt;
+    this.logFile = checkpoint.logFile;
+    console.log(
+      `♻️ Resuming from checkpoint: "${checkpoint.searchTerm}" page ${checkpoint.pageNum}, job card ${checkpoint.jobCardIdx} (log: ${checkpoint.logFile})`
+    );
+    return checkpoint;
+  }
+
+  /**
+   * Returns true when every search term of the batch was already handled before the checkpoint.
+   * @param {number} firstTermIdx - Index in the search list of the batch's first term.
+   * @param {number} batchLength - Number of search terms in the batch.
+   */
+  isBatchCompleted(firstTermIdx, batchLength) {
+    return (
+      this.resumePoint !== null &&
+      firstTermIdx + batchLength <= this.resumeTermIdx
+    );
+  }
+
+  /**
+   * Where processing should start for a search term.
+   * @param {number} termIdx - Index of the term in the search list.
+   * @returns {{pageNum: number, jobCardIdx: number}|null} null when the term was already completed.
+   */
+  getStartPosition(termIdx) {
+    if (this.resumePoint === null || termIdx > this.resumeTermIdx) {
+      return { pageNum: 1, jobCardIdx: 0 };
+    }
+    if (termIdx < this.resumeTermIdx) return null;
+    return {
+      pageNum: this.resumePoint.pageNum || 1,
+      jobCardIdx: this.resumePoint.jobCardIdx || 0,
+    };
+  }
+
+  /**
+   * Writes a checkpoint. jobCardIdx is the index of the next card to process on pageNum.
+   * shortlist holds the jobs a ranked run has yet to apply to (see utils/ranked_apply.js).
+   */
+  save({ batchIdx, searchTerm, pageNum, jobCardIdx, stats, shortlist }) {
+    this.write({
+      spec: this.specName,
+      batchIdx,
+      searchTerm,
+      pageNum,
+      jobCardIdx,
+      stats,
+      shortlist: shortlist && shortlist.length > 0 ? shortlist : undefined,
+      logFile: this.logFile,
+      startedAt: this.startedAt,
+      updatedAt: new Date().toISOString(),
+      completed: false,
+    });
+  }
+
+  /**
+   * Marks the run as finished so the next run starts from the beginning.
+   */
+  complete(stats) {
+    this.write({
+      spec: this.specName,
+      batchIdx: 0,
+      searchTerm: null,
+      pageNum: 1,
+      jobCardIdx: 0,
+      stats,
+      logFile: this.logFile,
+      startedAt: this.startedAt,
+      updatedAt: new Date().toISOString(),
+      completed: true,
+    });
+  }
+
+  write(checkpoint) {
+    try {
+      // Write to a temp file first so a crash mid-write never leaves a truncated checkpoint
+      const tmpPath = `${this.filepath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(checkpoint, null, 2), "utf-8");
+      fs.renameSync(tmpPath, this.filepath);
+    } catch (error) {
+      console.error(`❌ Error saving progress checkpoint: ${error.message}`);
+    }
+  }
+}
+
+module.exports = { ProgressTracker, progressPathFor };
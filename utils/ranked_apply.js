@@ -0,0 +1,198 @@
+// Ranked Applying
+// With applyMode "ranked", the search phase applies to nothing: processJob shortlists the jobs it
+// would apply to (the shortlist is kept in the progress checkpoint, so a resumed run still has it).
+// Once every search term is done, applyShortlist applies to them best match score first, up to
+// maxApplicationsPerDay and maxApplicationsPerCompany. Both caps count today's submissions, from
+// the application history plus this run. Jobs beyond a cap are logged as "Deferred (<cap>)";
+// deferred jobs are not final in the history, so the next run finds and ranks them again.
+// The rolling per-company limit (utils/company_limits.js) is checked again before each job, since
+// several shortlisted jobs of one company may all have passed it while searching.
+const { safeGoto, applyToJob } = require("./dice_page");
+const { normalizeCompanyName } = require("./job_registry");
+
+/**
+ * Orders a shortlist best match first. Jobs without a score (title matches while no scorer was
+ * available) come last, in the order they were found.
+ * @param {object[]} shortlist
+ * @returns {object[]} A sorted copy.
+ */
+function rankShortlist(shortlist) {
+  const scoreOf = (entry) =>
+    entry.llmMatch && Number.isFinite(entry.llmMatch.score)
+      ? entry.llmMatch.score
+      : -1;
+  return [...shortlist].sort((a, b) => scoreOf(b) - scoreOf(a));
+}
+
+// The daily and per-company application caps (0 = no cap)
+class ApplicationCaps {
+  /**
+   * @param {object} options
+   * @param {number} options.maxPerDay
+   * @param {number} options.maxPerCompany
+   * @param {object[]} [options.applications] - Submissions made today before this run (history
+   *   records).
+   */
+  constructor({ maxPerDay, maxPerCompany, applications = [] }) {
+    this.maxPerDay = maxPerDay;
+    this.maxPerCompany = maxPerCompany;
+    this.total = 0;
+    this.perCompany = new Map(); // normalized company name -> submissions
+    for (const record of applications) this.count(record.companyName);
+  }
+
+  count(companyName) {
+    this.total++;
+    const company = normalizeCompanyName(companyName);
+    if (company)
+      this.perCompany.set(company, (this.perCompany.get(company) || 0) + 1);
+  }
+
+  /**
+   * @param {string} companyName
+   * @returns {string|null} The cap that stops another application, or null.
+   */
+  check(companyName) {
+    if (this.maxPerDay > 0 && this.total >= this.maxPerDay) {
+      return `daily cap of ${this.maxPerDay} reached`;
+    }
+    const company = normalizeCompanyName(companyName);
+    const sent = company ? this.perCompany.get(company) || 0 : 0;
+    if (this.maxPerCompany > 0 && sent >= this.maxPerCompany) {
+      return `company cap of ${this.maxPerCompany} per day reached`;
+    }
+    return null;
+  }
+
+  describe() {
+    const cap = (max) => (max > 0 ? String(max) : "no cap");
+    return `${this.total} sent today, daily cap ${cap(
+      this.maxPerDay
+    )}, per company ${cap(this.maxPerCompany)}`;
+  }
+}
+
+const startOfToday = () => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return today;
+};
+
+/**
+ * Applies to the shortlisted jobs, best match first, within the application caps.
+ * @param {import('@playwright/test').Page} page - A logged-in page.
+ * @param {object} run - The per-run state of registerDiceRun (config, logger, history, screening,
+ *   companyLimits, shortlist). Handled entries are removed from run.shortlist as it goes.
+ * @param {object} [options]
+ * @param {function(object): Promise<void>} [options.onResult] - Awaited with a processJob-style
+ *   result after every job.
+ */
+async function applyShortlist(page, run, { onResult = null } = {}) {
+  const { config, logger, history } = run;
+  const caps = new ApplicationCaps({
+    maxPerDay: config.maxApplicationsPerDay,
+    maxPerCompany: config.maxApplicationsPerCompany,
+    applications: history.loaded
+      ? history.applicationsSince(startOfToday())
+      : [],
+  });
+  const ranked = rankShortlist(run.shortlist);
+  console.log(
+    `🏁 Applying to ${
+      ranked.length
+    } shortlisted job(s), best match first (${caps.describe()})`
+  );
+
+  for (const entry of ranked) {
+    logger.setSearchTerm(entry.searchTerm);
+    const log = (status) =>
+      logger.logJob(
+        entry.jobTitle,
+        entry.companyName,
+        status,
+        entry.llmMatch,
+        "",
+        entry.jobPageUrl,
+        entry.metadata
+      );
+    const score =
+      entry.llmMatch && entry.llmMatch.score !== undefined
+        ? `score ${entry.llmMatch.score}`
+        : "no score";
+
+    let result;
+    // Another run may have applied in the meantime
+    const previousRecord = history.loaded
+      ? history.findFinal(entry.jobPageUrl)
+      : null;
+    const limited = run.companyLimits
+      ? run.companyLimits.check(entry.companyName)
+      : null;
+    const cap = caps.check(entry.companyName);
+    if (previousRecord) {
+      const status = `Skipped - Seen in previous run (${previousRecord.status})`;
+      await log(status);
+      result = {
+        success: false,
+        reason: status,
+        skipped: true,
+        previouslySeen: true,
+      };
+    } else if (limited) {
+      const status = `Skipped - Company limit (${limited.reason})`;
+      await log(status);
+      result = {
+        success: false,
+        reason: status,
+        skipped: true,
+        companyLimited: true,
+      };
+    } else if (cap) {
+      console.log(`⏳ Deferring "${entry.jobTitle}" (${score}): ${cap}`);
+      await log(`Deferred (${cap})`);
+      result = { success: false, reason: cap, deferred: true };
+    } else if (config.dryRun) {
+      caps.count(entry.companyName);
+      if (run.companyLimits) run.companyLimits.count(entry.companyName);
+      console.log(`🧪 Dry run, not applying to "${entry.jobTitle}" (${score})`);
+      await log("Would Apply");
+      result = { success: false, reason: "Would Apply", wouldApply: true };
+    } else {
+      console.log(`✅ Applying to "${entry.jobTitle}" (${score})...`);
+      const pageLoaded = await safeGoto(page, entry.jobPageUrl);
+      const applicationResult = pageLoaded
+        ? await applyToJob(page, {
+            fillStep: (jobPage, step) =>
+              run.screening.fillStep(jobPage, step, entry),
+          })
+        : { success: false, reason: "Job page failed to load" };
+      if (applicationResult.success) {
+        if (!applicationResult.alreadyApplied) {
+          caps.count(entry.companyName);
+          if (run.companyLimits) run.companyLimits.count(entry.companyName);
+        }
+        await log(
+          applicationResult.alreadyApplied
+            ? "Already Applied"
+            : applicationResult.verified === false
+            ? "Submitted (Unverified)"
+            : "Success - Applied"
+        );
+        result = {
+          success: true,
+          alreadyApplied: applicationResult.alreadyApplied,
+          unverified: applicationResult.verified === false,
+        };
+      } else {
+        await log(`Failed - ${applicationResult.reason}`);
+        result = { success: false, reason: applicationResult.reason };
+      }
+      await page.waitForTimeout(config.tabDelay);
+    }
+
+    run.shortlist = run.shortlist.filter((item) => item !== entry);
+    if (onResult) await onResult(result);
+  }
+}
+
+module.exports = { applyShortlist, rankShortlist, ApplicationCaps };
@@ -0,0 +1,225 @@
+// Applied Jobs Reconciliation
+// After a run, logs in again and reads the candidate dashboard's applied-jobs list, the only real
+// ground truth for whether a submit went through. The list is matched to the run's log rows (by
+// Dice job ID, or title and company) and every difference is flagged:
+//   - "Missing on Dice": the bot logged an application that Dice does not list
+//   - "Not logged by the bot": Dice lists an application that no run ever logged
+//   - "Confirmed": both agree (an unverified submission listed by Dice is confirmed here)
+// The results go to the "Reconciliation" sheet of the run's Excel log.
+const { getHistoryKey } = require("./application_history");
+const {
+  safeGoto,
+  performLogin,
+  BROWSER_CONTEXT_OPTIONS,
+} = require("./dice_page");
+
+// Result pages read from the dashboard; the newest applications come first
+const MAX_DASHBOARD_PAGES = 5;
+const JOB_LINK_SELECTOR = "a[href*='/job-detail/'], a[href*='/jobs/detail/']";
+const NEXT_PAGE_SELECTORS = [
+  "[aria-label='Next page']",
+  "[data-testid='pagination-next']",
+  "button:has-text('Next')",
+  "button:has-text('Load more')",
+  "a:has-text('Next')",
+];
+
+// Log categories that mean "the bot applied in this run"
+const APPLIED_CATEGORIES = ["success", "unverified"];
+// History categories that mean "some run knew about this application"
+const KNOWN_CATEGORIES = ["success", "unverified", "already_applied"];
+
+const RESULTS = {
+  confirmed: "Confirmed",
+  missingOnDice: "Missing on Dice",
+  notLogged: "Not logged by the bot",
+};
+
+const titleCompanyKey = (jobTitle, companyName) =>
+  `${jobTitle || ""}|${companyName || ""}`
+    .toLowerCase()
+    .replace(/[^a-z0-9|]+/g, " ")
+    .trim();
+
+async function readAppliedJobsPage(page) {
+  return page.evaluate((selector) => {
+    const text = (el) =>
+      ((el && el.textContent) || "").replace(/\s+/g, " ").trim();
+    return Array.from(document.querySelectorAll(selector)).map((link) => {
+      const card =
+        link.closest("li, article, [data-testid*='card'], [class*='card' i]") ||
+        link.parentElement;
+      const company = card.querySelector(
+        "[data-testid*='company' i], [class*='company' i], [data-cy*='company' i]"
+      );
+      const applied = text(card).match(
+        /applied\s*(?:on)?\s*:?\s*(\d{1,2}\/\d{1,2}\/\d{2,4}|[a-z]{3,9}\.? \d{1,2},? \d{4}|\d+ \w+ ago|today|yesterday)/i
+      );
+      return {
+        jobTitle: text(link),
+        companyName: text(company),
+        appliedOn: applied ? applied[1] : "",
+        jobPageUrl: link.href,
+      };
+    });
+  }, JOB_LINK_SELECTOR);
+}
+
+/**
+ * Reads the applied-jobs list from the candidate dashboard (the page must be logged in).
+ * @param {import('@playwright/test').Page} page
+ * @param {string} url - The dashboard's applied-jobs page.
+ * @returns {Promise<Array<{key: string, jobTitle: string, companyName: string, appliedOn: string,
+ *   jobPageUrl: string}>|null>} null when the page could not be loaded.
+ */
+async function scrapeAppliedJobs(page, url) {
+  if (!(await safeGoto(page, url))) return null;
+  const jobs = new Map(); // history key -> dashboard entry
+  for (let pageNum = 1; pageNum <= MAX_DASHBOARD_PAGES; pageNum++) {
+    try {
+      await page.waitForSelector(JOB_LINK_SELECTOR, { timeout: 15000 });
+    } catch (err) {
+      break; // No (more) applications listed
+    }
+    const before = jobs.size;
+    for (const job of await readAppliedJobsPage(page)) {
+      const key = getHistoryKey(job.jobPageUrl);
+      if (key && !jobs.has(key)) jobs.set(key, { ...job, key });
+    }
+    if (jobs.size === before) break;
+
+    let next = null;
+    for (const selector of NEXT_PAGE_SELECTORS) {
+      const element = page.locator(selector).first();
+      try {
+        if (
+          (await element.isVisible({ timeout: 1000 })) &&
+          (await element.isEnabled())
+        ) {
+          next = element;
+          break;
+        }
+      } catch (err) {
+        /* continue */
+      }
+    }
+    if (!next) break;
+    await next.click();
+    await page.waitForTimeout(3000);
+  }
+  console.log(`🧾 Read ${jobs.size} application(s) from the Dice dashboard`);
+  return [...jobs.values()];
+}
+
+/**
+ * Compares the run's log rows with the dashboard's applied jobs.
+ * @param {object[]} jobData - logger.jobData.
+ * @param {object[]} appliedJobs - From scrapeAppliedJobs.
+ * @param {import('./application_history').ApplicationHistory} [history] - Applications logged by
+ *   earlier runs are not reported as "Not logged by the bot".
+ * @returns {{rows: object[], counts: {confirmed: number, missingOnDice: number, notLogged: number}}}
+ */
+function reconcile(jobData, appliedJobs, history = null) {
+  const byKey = new Map();
+  const byTitle = new Map();
+  for (const job of appliedJobs) {
+    byKey.set(job.key, job);
+    byTitle.set(titleCompanyKey(job.jobTitle, job.companyName), job);
+  }
+
+  const rows = [];
+  const counts = { confirmed: 0, missingOnDice: 0, notLogged: 0 };
+  const matched = new Set(); // dashboard keys seen in this run's log
+  for (const entry of jobData) {
+    const dashboardJob =
+      byKey.get(getHistoryKey(entry.jobPageUrl)) ||
+      byTitle.get(titleCompanyKey(entry.jobTitle, entry.companyName));
+    if (dashboardJob) matched.add(dashboardJob.key);
+    if (!APPLIED_CATEGORIES.includes(entry.category)) continue;
+
+    const result = dashboardJob ? "confirmed" : "missingOnDice";
+    counts[result]++;
+    rows.push({
+      result: RESULTS[result],
+      jobTitle: entry.jobTitle,
+      companyName: entry.companyName,
+      loggedStatus: entry.status,
+      appliedOn: dashboardJob ? dashboardJob.appliedOn : "",
+      jobPageUrl: entry.jobPageUrl,
+      note: !dashboardJob
+        ? "The submit did not reach Dice"
+        : entry.category === "unverified"
+        ? "Unverified submission confirmed by Dice"
+        : "",
+    });
+  }
+
+  for (const job of appliedJobs) {
+    if (matched.has(job.key)) continue;
+    const record = history ? history.find(job.jobPageUrl) : null;
+    if (record && KNOWN_CATEGORIES.includes(record.category)) continue;
+    counts.notLogged++;
+    rows.push({
+      result: RESULTS.notLogged,
+      jobTitle: job.jobTitle,
+      companyName: job.companyName,
+      loggedStatus: record ? record.status : "",
+      appliedOn: job.appliedOn,
+      jobPageUrl: job.jobPageUrl,
+      note: record
+        ? "Logged, but not as applied"
+        : "Applied outside the bot, or the log was lost",
+    });
+  }
+  return { rows, counts };
+}
+
+/**
+ * Post-run step: reads the dashboard in a fresh browser context, reconciles it with the run's log
+ * and writes the "Reconciliation" sheet. Never throws; a failure only skips the step.
+ * @param {object} options
+ * @param {import('@playwright/test').Browser} options.browser
+ * @param {import('./job_application_logger').JobApplicationLogger} options.logger
+ * @param {import('./application_history').ApplicationHistory} [options.history]
+ * @param {string} options.appliedJobsUrl
+ * @returns {Promise<{confirmed: number, missingOnDice: number, notLogged: number}|null>}
+ */
+async function reconcileWithDashboard({
+  browser,
+  logger,
+  history = null,
+  appliedJobsUrl,
+}) {
+  console.log(
+    "\n🧾 Reconciling the run log with the Dice applied-jobs page..."
+  );
+  let context;
+  try {
+    context = await browser.newContext(BROWSER_CONTEXT_OPTIONS);
+    const page = await context.newPage();
+    await performLogin(page);
+    const appliedJobs = await scrapeAppliedJobs(page, appliedJobsUrl);
+    if (!appliedJobs) {
+      console.warn("⚠️ Could not load the applied-jobs page, skipping.");
+      return null;
+    }
+    const { rows, counts } = reconcile(logger.jobData, appliedJobs, history);
+    logger.writeReconciliationSheet(rows);
+    console.log(
+      `🧾 Reconciliation: ${counts.confirmed} confirmed, ${counts.missingOnDice} missing on Dice, ${counts.notLogged} not logged by the bot`
+    );
+    return counts;
+  } catch (error) {
+    console.warn(`⚠️ Reconciliation failed: ${error.message}`);
+    return null;
+  } finally {
+    if (context) await context.close();
+  }
+}
+
+module.exports = {
+  reconcileWithDashboard,
+  reconcile,
+  scrapeAppliedJobs,
+  RESULTS,
+};
@@ -0,0 +1,214 @@
+// Approval Queue Review Page
+// Renders the page served by scripts/review.js: one row per queued job with its verdict, reason
+// and description, checkboxes for bulk selection, and Approve / Reject / Reset buttons that post
+// the selection back to the local server. Self-contained like the HTML dashboard (no CDN assets).
+const { escapeHtml, formatJobMetadata, LLM_META } = require("./html_report");
+
+const STATUS_META = {
+  pending: { label: "Pending", color: "#6f42c1" },
+  approved: { label: "Approved", color: "#28a745" },
+  rejected: { label: "Rejected", color: "#dc3545" },
+  applied: { label: "Applied", color: "#20c997" },
+  failed: { label: "Failed", color: "#fd7e14" },
+};
+
+function renderEntryRow(entry) {
+  const status = STATUS_META[entry.status] || {
+    label: entry.status,
+    color: "#6c757d",
+  };
+  const llm = LLM_META[entry.llmMatch] || {
+    label: entry.llmMatch,
+    color: "#6c757d",
+  };
+  const locked = entry.status === "applied";
+  return `<tr data-status="${escapeHtml(entry.status)}">
+      <td><input type="checkbox" class="select" value="${escapeHtml(
+        entry.key
+      )}"${locked ? " disabled" : ""}></td>
+      <td><a href="${escapeHtml(
+        entry.jobPageUrl
+      )}" target="_blank" rel="noopener">${escapeHtml(entry.jobTitle)}</a>
+        <div class="muted">${escapeHtml(entry.companyName)} · ${escapeHtml(
+    entry.searchTerm
+  )}</div>${
+    formatJobMetadata(entry.metadata)
+      ? `<div class="muted">${escapeHtml(
+          formatJobMetadata(entry.metadata)
+        )}</div>`
+      : ""
+  }</td>
+      <td><span class="badge" style="background:${llm.color}">${escapeHtml(
+    llm.label
+  )}${
+    entry.llmScore !== null ? ` ${escapeHtml(entry.llmScore)}` : ""
+  }</span></td>
+      <td class="reason">${escapeHtml(entry.llmReason)}
+        ${
+          entry.matchedSkills.length
+            ? `<div class="muted">✔ ${escapeHtml(
+                entry.matchedSkills.join(", ")
+              )}</div>`
+            : ""
+        }
+        ${
+          entry.missingSkills.length
+            ? `<div class="muted">✘ ${escapeHtml(
+                entry.missingSkills.join(", ")
+              )}</div>`
+            : ""
+        }
+        <details><summary>Description</summary><p>${escapeHtml(
+          entry.description
+        )}</p></details></td>
+      <td><span class="badge" style="background:${status.color}">${escapeHtml(
+    status.label
+  )}</span>${
+    entry.result ? `<div class="muted">${escapeHtml(entry.result)}</div>` : ""
+  }</td>
+      <td>${escapeHtml(new Date(entry.queuedAt).toLocaleString())}</td>
+    </tr>`;
+}
+
+/**
+ * Builds the review page markup.
+ * @param {Array<object>} entries - ApprovalQueue entries.
+ * @returns {string} The complete HTML document.
+ */
+function buildReviewPage(entries) {
+  const counts = {};
+  for (const entry of entries) {
+    counts[entry.status] = (counts[entry.status] || 0) + 1;
+  }
+  const filterButtons = [
+    `<button class="filter-btn" data-filter="all">All (${entries.length})</button>`,
+    ...Object.entries(STATUS_META).map(
+      ([status, meta]) =>
+        `<button class="filter-btn${
+          status === "pending" ? " active" : ""
+        }" data-filter="${status}">${meta.label} (${
+          counts[status] || 0
+        })</button>`
+    ),
+  ].join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>Dice Approval Queue</title>
+<style>
+  * { box-sizing: border-box; }
+  body { margin: 0; font-family: -apple-system, "Segoe UI", Arial, sans-serif; background: #f4f6f9; color: #212529; }
+  header { background: linear-gradient(135deg, #6f42c1, #0d6efd); color: #fff; padding: 24px 32px; }
+  header h1 { margin: 0 0 6px; font-size: 24px; }
+  header .meta { opacity: 0.85; font-size: 14px; }
+  main { padding: 24px 32px; max-width: 1400px; margin: 0 auto; }
+  .toolbar { display: flex; flex-wrap: wrap; gap: 8px; margin-bottom: 16px; align-items: center; }
+  .filter-btn, .action-btn { border: 1px solid #ced4da; background: #fff; border-radius: 20px; padding: 6px 14px; cursor: pointer; font-size: 13px; }
+  .filter-btn.active { background: #0d6efd; border-color: #0d6efd; color: #fff; }
+  .action-btn.approve { background: #28a745; border-color: #28a745; color: #fff; }
+  .action-btn.reject { background: #dc3545; border-color: #dc3545; color: #fff; }
+  #message { margin-left: auto; color: #6c757d; font-size: 13px; }
+  table { width: 100%; border-collapse: collapse; font-size: 13px; background: #fff; border-radius: 10px; overflow: hidden; box-shadow: 0 2px 6px rgba(0,0,0,0.06); }
+  th { background: #f1f3f5; text-align: left; padding: 8px 10px; }
+  td { padding: 8px 10px; border-top: 1px solid #eef0f3; vertical-align: top; }
+  td.reason { max-width: 520px; color: #495057; }
+  td.reason p { white-space: pre-wrap; max-height: 240px; overflow: auto; }
+  .muted { color: #6c757d; font-size: 12px; margin-top: 4px; }
+  .badge { display: inline-block; color: #fff; border-radius: 12px; padding: 2px 10px; font-size: 12px; font-weight: 500; }
+  tr.hidden { display: none; }
+  .empty { color: #6c757d; font-style: italic; }
+</style>
+</head>
+<body>
+<header>
+  <h1>🗳️ Approval Queue</h1>
+  <div class="meta">Borderline matches waiting for a decision. Approved jobs are applied to by <code>npm run apply-approved</code>.</div>
+</header>
+<main>
+  <div class="toolbar">${filterButtons}</div>
+  <div class="toolbar">
+    <label><input type="checkbox" id="select-all"> Select visible</label>
+    <button class="action-btn approve" data-decision="approved">Approve selected</button>
+    <button class="action-btn reject" data-decision="rejected">Reject selected</button>
+    <button class="action-btn" data-decision="pending">Reset to pending</button>
+    <span id="message"></span>
+  </div>
+  ${
+    entries.length === 0
+      ? `<p class="empty">The queue is empty.</p>`
+      : `<table>
+    <thead><tr><th></th><th>Job</th><th>Verdict</th><th>Reason</th><th>Status</th><th>Queued</th></tr></thead>
+    <tbody>${entries.map(renderEntryRow).join("")}</tbody>
+  </table>`
+  }
+</main>
+<script>
+  (function () {
+    var activeFilter = "pending";
+    var rows = document.querySelectorAll("tbody tr");
+
+    function applyFilter() {
+      rows.forEach(function (row) {
+        var visible = activeFilter === "all" || row.getAttribute("data-status") === activeFilter;
+        row.classList.toggle("hidden", !visible);
+        if (!visible) row.querySelector(".select").checked = false;
+      });
+      document.querySelectorAll(".filter-btn").forEach(function (el) {
+        el.classList.toggle("active", el.getAttribute("data-filter") === activeFilter);
+      });
+      document.getElementById("select-all").checked = false;
+    }
+
+    document.querySelectorAll(".filter-btn").forEach(function (el) {
+      el.addEventListener("click", function () {
+        activeFilter = el.getAttribute("data-filter");
+        applyFilter();
+      });
+    });
+
+    document.getElementById("select-all").addEventListener("change", function (e) {
+      rows.forEach(function (row) {
+        var box = row.querySelector(".select");
+        if (!row.classList.contains("hidden") && !box.disabled) box.checked = e.target.checked;
+      });
+    });
+
+    document.querySelectorAll(".action-btn").forEach(function (el) {
+      el.addEventListener("click", function () {
+        var keys = Array.prototype.map.call(
+          document.querySelectorAll(".select:checked"),
+          function (box) { return box.value; }
+        );
+        var message = document.getElementById("message");
+        if (keys.length === 0) {
+          message.textContent = "Select at least one job.";
+          return;
+        }
+        fetch("/api/decisions", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ keys: keys, decision: el.getAttribute("data-decision") }),
+        })
+          .then(function (response) { return response.json(); })
+          .then(function (result) {
+            if (!result.success) throw new Error(result.reason);
+            location.reload();
+          })
+          .catch(function (error) {
+            message.textContent = "Could not save: " + error.message;
+          });
+      });
+    });
+
+    applyFilter();
+  })();
+</script>
+</body>
+</html>
+`;
+}
+
+module.exports = { buildReviewPage, STATUS_META };
@@ -0,0 +1,657 @@
+// Screening Question Answering
+// Fills in the questions an Easy Apply step asks ("Are you authorized to work in the US?",
+// "Years of Playwright experience", "Willing to relocate?") from answer_bank.json:
+//   - "Years of <skill> experience" questions are answered from the yearsOfExperience map
+//   - other questions are fuzzy-matched against the example questions of each bank answer
+//   - a required question the bank does not cover can be answered by the LLM from the CV text,
+//     but only when it reports enough confidence
+// Answers are fitted to the control type (text, number, select, radio, checkbox); a select or
+// radio answer that fits none of the options counts as no answer. Every question seen is appended
+// to Logs/screening_log.jsonl with the answer given, and a required question left without a
+// confident answer stops the application at that step. Unanswered questions are also collected
+// in Logs/unanswered_questions.json (see utils/unanswered_questions.js).
+const fs = require("fs");
+const path = require("path");
+const { UnansweredQuestions } = require("./unanswered_questions");
+
+const DEFAULT_SCREENING_LOG_PATH = path.join(
+  __dirname,
+  "..",
+  "Logs",
+  "screening_log.jsonl"
+);
+
+// Minimum similarity (0-100) between a question and a bank example question
+const MIN_BANK_SIMILARITY = 60;
+// Minimum similarity (0-100) between an answer and an option label
+const MIN_OPTION_SIMILARITY = 50;
+// Minimum confidence (0-100) the LLM must report for its answer to be used
+const MIN_LLM_CONFIDENCE = 70;
+
+// Where the wizard's questions live, so the site header (job search box) is never filled in
+const SCOPE_SELECTORS = [
+  "[role='dialog']",
+  "[data-testid*='wizard']",
+  "main form",
+  "main",
+];
+
+// Words that carry no meaning when comparing two questions
+const QUESTION_STOPWORDS = new Set(
+  [
+    "a an and any are as at be been can currently do does for have how i if",
+    "in is it many of on or please select than the this to what which will",
+    "with would you your",
+  ]
+    .join(" ")
+    .split(" ")
+);
+
+const YEARS_QUESTION = /\b(years?|yrs?)\b/;
+
+// Lowercase words, with "U.S." / "United States" / "USA" folded into "us"
+const normalize = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .replace(/\(required\)|\*/g, " ")
+    .replace(
+      /\bu\.s\.?(a\.?)?(?![a-z])|\bunited states( of america)?\b|\busa\b/g,
+      "us"
+    )
+    .replace(/[^a-z0-9+#]+/g, " ")
+    .trim();
+
+const tokenize = (text) =>
+  normalize(text)
+    .split(" ")
+    .filter((token) => token && !QUESTION_STOPWORDS.has(token));
+
+// A negation flips a yes/no question ("Are you NOT authorized to work in the US?"), but it is a
+// single token and barely moves the similarity, so questions are only matched to bank examples
+// of the same polarity. "Yes/No" option hints in a label are not negations.
+const NEGATION = /\b(not|never|no|nor|none|without|cannot|\w+n t)\b/g;
+
+function isNegated(text) {
+  const words = normalize(text).replace(/\byes (or )?no\b/g, " ");
+  return (words.match(NEGATION) || []).length % 2 === 1;
+}
+
+// Dice coefficient of two token lists, 0-100
+function similarity(tokensA, tokensB) {
+  const setA = new Set(tokensA);
+  const setB = new Set(tokensB);
+  if (setA.size === 0 || setB.size === 0) return 0;
+  let shared = 0;
+  for (const token of setA) if (setB.has(token)) shared++;
+  return Math.round(((2 * shared) / (setA.size + setB.size)) * 100);
+}
+
+const isYes = (answer) => /^(yes|y|true)\b/.test(normalize(answer));
+const isNo = (answer) => /^(no|n|false)\b/.test(normalize(answer));
+
+// True when an option like "3-5 years", "10+ years" or "Less than 1 year" covers the number
+function numberFitsOption(number, option) {
+  const text = option.toLowerCase();
+  let match = text.match(/(\d+)\s*(?:-|–|to)\s*(\d+)/);
+  if (match) return number >= Number(match[1]) && number <= Number(match[2]);
+  match = text.match(/(?:less than|under|fewer than)\s*(\d+)/);
+  if (match) return number < Number(match[1]);
+  match = text.match(
+    /(\d+)\s*(?:\+|or more|and above|and up)|(?:more than|over)\s*(\d+)/
+  );
+  if (match) return number >= Number(match[1] || match[2]);
+  match = text.match(/^\s*(\d+)\b/);
+  return Boolean(match) && number === Number(match[1]);
+}
+
+/**
+ * Picks the option an answer refers to.
+ * @param {string} answer
+ * @param {string[]} options - Option labels as shown on the page.
+ * @returns {number} The option index, or -1.
+ */
+function matchOption(answer, options) {
+  const target = normalize(answer);
+  if (!target) return -1;
+  const normalized = options.map(normalize);
+  let index = normalized.indexOf(target);
+  if (index !== -1) return index;
+
+  if (/^\d+(\.\d+)?$/.test(target)) {
+    index = options.findIndex((option) =>
+      numberFitsOption(Number(target), option)
+    );
+    if (index !== -1) return index;
+  }
+
+  // "Yes" picks "Yes, I am authorized"
+  index = normalized.findIndex(
+    (option) =>
+      option.startsWith(`${target} `) || target.startsWith(`${option} `)
+  );
+  if (index !== -1) return index;
+
+  let best = { index: -1, score: 0 };
+  normalized.forEach((option, i) => {
+    const score = similarity(tokenize(option), tokenize(target));
+    if (score > best.score) best = { index: i, score };
+  });
+  return best.score >= MIN_OPTION_SIMILARITY ? best.index : -1;
+}
+
+/**
+ * Fits a raw answer to the control it is meant for.
+ * @param {string} answer
+ * @param {{type: string, options: string[]}} question
+ * @returns {{value: string, optionIndexes: number[]}|null} null when the answer does not fit.
+ */
+function fitAnswer(answer, question) {
+  const raw = String(answer === undefined || answer === null ? "" : answer);
+  if (!raw.trim()) return null;
+  const { type, options } = question;
+
+  if (type === "select" || type === "radio") {
+    const index = matchOption(raw, options);
+    return index === -1
+      ? null
+      : { value: options[index], optionIndexes: [index] };
+  }
+  if (type === "checkbox") {
+    // A lone checkbox ("I certify that ...") is a yes/no question
+    if (options.length === 1 && matchOption(raw, options) === -1) {
+      if (isYes(raw)) return { value: "Yes", optionIndexes: [0] };
+      if (isNo(raw)) return { value: "No", optionIndexes: [] };
+      return null;
+    }
+    const indexes = [
+      ...new Set(
+        raw
+          .split(/[,;]/)
+          .map((part) => matchOption(part, options))
+          .filter((index) => index !== -1)
+      ),
+    ];
+    return indexes.length === 0
+      ? null
+      : {
+          value: indexes.map((index) => options[index]).join(", "),
+          optionIndexes: indexes,
+        };
+  }
+  if (type === "number") {
+    const match = raw.match(/\d+(\.\d+)?/);
+    return match ? { value: match[0], optionIndexes: [] } : null;
+  }
+  return { value: raw.trim(), optionIndexes: [] };
+}
+
+/**
+ * Reads and validates the answer bank:
+ * { "answers": [{ "questions": ["example", ...], "answer": "..." }, ...],
+ *   "yearsOfExperience": { "Skill": years, ... } }
+ * @param {string} filepath
+ * @returns {{answers: Array<{questions: string[], answer: string}>, yearsOfExperience: Object<string, number>}}
+ */
+function loadAnswerBank(filepath) {
+  if (!fs.existsSync(filepath)) {
+    throw new Error(`Answer bank not found: ${filepath}`);
+  }
+  let bank;
+  try {
+    bank = JSON.parse(fs.readFileSync(filepath, "utf-8"));
+  } catch (error) {
+    throw new Error(`Could not parse ${filepath}: ${error.message}`);
+  }
+  const answers = (bank && bank.answers) || [];
+  const yearsOfExperience = (bank && bank.yearsOfExperience) || {};
+  const valid =
+    Array.isArray(answers) &&
+    answers.every(
+      (entry) =>
+        entry &&
+        Array.isArray(entry.questions) &&
+        entry.questions.length > 0 &&
+        entry.questions.every((question) => typeof question === "string") &&
+        typeof entry.answer === "string"
+    ) &&
+    typeof yearsOfExperience === "object" &&
+    !Array.isArray(yearsOfExperience) &&
+    Object.values(yearsOfExperience).every(
+      (years) => Number.isFinite(years) && years >= 0
+    );
+  if (!valid) {
+    throw new Error(
+      `${filepath} must have "answers" ([{ "questions": [...], "answer": "..." }]) and "yearsOfExperience" ({ "Skill": years })`
+    );
+  }
+  return { answers, yearsOfExperience };
+}
+
+/**
+ * Adds answered questions to the answer bank file, one new entry per question. A question that is
+ * already listed as an example takes the new answer: its entry is updated when the question is
+ * its only example, else the question moves to an entry of its own, so the other examples keep
+ * their answer. (A question only comes back unanswered when its bank answer did not fit.)
+ * @param {string} filepath
+ * @param {Array<{question: string, answer: string}>} items
+ * @returns {{added: number, updated: number}} New entries, and entries whose answer changed.
+ */
+function mergeIntoAnswerBank(filepath, items) {
+  loadAnswerBank(filepath); // Refuse to write over a broken file
+  const bank = JSON.parse(fs.readFileSync(filepath, "utf-8"));
+  bank.answers = bank.answers || [];
+  let added = 0;
+  let updated = 0;
+  for (const { question, answer } of items) {
+    const key = normalize(question);
+    const existing = bank.answers.find((entry) =>
+      entry.questions.some((example) => normalize(example) === key)
+    );
+    if (existing && existing.answer === answer) continue;
+    if (existing && existing.questions.length === 1) {
+      existing.answer = answer;
+      updated++;
+      continue;
+    }
+    if (existing) {
+      existing.questions = existing.questions.filter(
+        (example) => normalize(example) !== key
+      );
+      updated++;
+    } else {
+      added++;
+    }
+    bank.answers.push({ questions: [question], answer });
+  }
+  if (added + updated > 0) {
+    // Write to a temp file first so a crash mid-write never leaves a truncated bank
+    const tmpPath = `${filepath}.tmp`;
+    fs.writeFileSync(tmpPath, `${JSON.stringify(bank, null, 2)}\n`, "utf-8");
+    fs.renameSync(tmpPath, filepath);
+  }
+  return { added, updated };
+}
+
+// Tags the visible controls of the current step and describes them as questions.
+// Radio buttons and checkboxes sharing a name form one question with one option per input.
+async function collectQuestions(page, scopeSelectors) {
+  try {
+    return await page.evaluate((selectors) => {
+      const clean = (text) =>
+        (text || "").replace(/\s+/g, " ").replace(/\*/g, "").trim();
+      const isVisible = (el) =>
+        el.offsetParent !== null || el.getClientRects().length > 0;
+      const labelOf = (el) => {
+        const byFor = el.id
+          ? document.querySelector(`label[for="${CSS.escape(el.id)}"]`)
+          : null;
+        return clean(
+          (byFor && byFor.textContent) ||
+            (el.closest("label") && el.closest("label").textContent) ||
+            el.getAttribute("aria-label") ||
+            el.getAttribute("placeholder") ||
+            el.getAttribute("name") ||
+            ""
+        );
+      };
+      const groupLabelOf = (el) => {
+        const group = el.closest(
+          "fieldset, [role='radiogroup'], [role='group']"
+        );
+        if (!group) return "";
+        const legend = group.querySelector("legend");
+        const labelledBy = group.getAttribute("aria-labelledby");
+        const labelEl = labelledBy && document.getElementById(labelledBy);
+        return clean(
+          (legend && legend.textContent) ||
+            (labelEl && labelEl.textContent) ||
+            group.getAttribute("aria-label") ||
+            ""
+        );
+      };
+
+      // Tags from an earlier step must not collide with this one
+      document
+        .querySelectorAll("[data-dice-bot-q], [data-dice-bot-opt]")
+        .forEach((el) => {
+          el.removeAttribute("data-dice-bot-q");
+          el.removeAttribute("data-dice-bot-opt");
+        });
+
+      const scope =
+        selectors
+          .map((selector) => document.querySelector(selector))
+          .find((el) => el && isVisible(el)) || document.body;
+      const questions = [];
+      const groups = new Map(); // "radio:name" -> question
+      const firstInGroup = new Map(); // question id -> first input
+      for (const el of scope.querySelectorAll("input, select, textarea")) {
+        if (!isVisible(el) || el.disabled) continue;
+        const tag = el.tagName.toLowerCase();
+        const inputType = (el.getAttribute("type") || "text").toLowerCase();
+        if (
+          tag === "input" &&
+          [
+            "hidden",
+            "file",
+            "submit",
+            "button",
+            "image",
+            "reset",
+            "search",
+            "password",
+          ].includes(inputType)
+        ) {
+          continue;
+        }
+        const required =
+          el.required || el.getAttribute("aria-required") === "true";
+
+        if (inputType === "radio" || inputType === "checkbox") {
+          const groupKey = `${inputType}:${el.name || el.id}`;
+          let question = groups.get(groupKey);
+          if (!question) {
+            question = {
+              id: String(questions.length),
+              type: inputType,
+              label: "",
+              options: [],
+              required: false,
+              answered: false,
+            };
+            groups.set(groupKey, question);
+            firstInGroup.set(question.id, el);
+            questions.push(question);
+          }
+          el.setAttribute(
+            "data-dice-bot-opt",
+            `${question.id}:${question.options.length}`
+          );
+          question.options.push(labelOf(el));
+          question.required = question.required || required;
+          question.answered = question.answered || el.checked;
+          continue;
+        }
+
+        const id = String(questions.length);
+        el.setAttribute("data-dice-bot-q", id);
+        questions.push({
+          id,
+          type:
+            tag === "select" || tag === "textarea"
+              ? tag
+              : inputType === "number"
+              ? "number"
+              : "text",
+          label: labelOf(el),
+          options:
+            tag === "select"
+              ? Array.from(el.options)
+                  .filter((option) => option.value !== "")
+                  .map((option) => clean(option.textContent))
+              : [],
+          required,
+          answered: !!String(el.value || "").trim(),
+        });
+      }
+
+      for (const question of questions) {
+        if (question.type !== "radio" && question.type !== "checkbox") continue;
+        question.label =
+          groupLabelOf(firstInGroup.get(question.id)) ||
+          (question.options.length === 1 ? question.options[0] : "") ||
+          question.options.join(" / ");
+      }
+      return questions.filter((question) => question.label);
+    }, scopeSelectors);
+  } catch (err) {
+    return [];
+  }
+}
+
+// Puts a fitted answer into the tagged control
+async function applyAnswer(page, question, fitted) {
+  if (question.type === "radio" || question.type === "checkbox") {
+    for (const index of fitted.optionIndexes) {
+      await page
+        .locator(`[data-dice-bot-opt="${question.id}:${index}"]`)
+        .check({ force: true, timeout: 5000 });
+    }
+  } else if (question.type === "select") {
+    await page
+      .locator(`[data-dice-bot-q="${question.id}"]`)
+      .selectOption(
+        { label: question.options[fitted.optionIndexes[0]] },
+        { timeout: 5000 }
+      );
+  } else {
+    await page
+      .locator(`[data-dice-bot-q="${question.id}"]`)
+      .fill(fitted.value, { timeout: 5000 });
+  }
+}
+
+class ScreeningAnswerer {
+  /**
+   * @param {object} options
+   * @param {object} options.bank - From loadAnswerBank.
+   * @param {import('./llm_client').LlmClient} [options.llm] - LLM fallback for required questions;
+   *   omit to answer from the bank only.
+   * @param {string} [options.cvText] - Plain text of the CV, given to the LLM.
+   * @param {string} [options.logPath] - JSON Lines log of every question seen.
+   * @param {UnansweredQuestions} [options.unanswered] - Where unanswered questions are collected.
+   * @param {function(object): void} [options.onUnanswered] - Called with every unanswered question,
+   *   e.g. to add it to the Excel log.
+   */
+  constructor({
+    bank,
+    llm = null,
+    cvText = "",
+    logPath = DEFAULT_SCREENING_LOG_PATH,
+    unanswered = new UnansweredQuestions(),
+    onUnanswered = null,
+  }) {
+    this.bankEntries = bank.answers.map((entry) => ({
+      answer: entry.answer,
+      examples: entry.questions.map((question) => ({
+        tokens: tokenize(question),
+        negated: isNegated(question),
+      })),
+    }));
+    // Longest skill first, so "Test Automation" wins over "Automation"
+    this.experience = Object.entries(bank.yearsOfExperience)
+      .map(([skill, years]) => ({ term: normalize(skill), years }))
+      .filter((entry) => entry.term)
+      .sort((a, b) => b.term.length - a.term.length);
+    this.llm = llm;
+    this.cvText = cvText || "";
+    this.logPath = logPath;
+    this.unanswered = unanswered;
+    this.onUnanswered = onUnanswered;
+    this.unansweredCount = 0;
+  }
+
+  // "How many years of Playwright experience do you have?" -> the years listed for Playwright
+  experienceAnswer(label) {
+    const text = ` ${normalize(label)} `;
+    if (!YEARS_QUESTION.test(text)) return null;
+    const entry = this.experience.find((skill) =>
+      text.includes(` ${skill.term} `)
+    );
+    return entry
+      ? { answer: String(entry.years), source: "experience", confidence: 100 }
+      : null;
+  }
+
+  bankAnswer(label) {
+    const tokens = tokenize(label);
+    const negated = isNegated(label);
+    let best = null;
+    for (const entry of this.bankEntries) {
+      for (const example of entry.examples) {
+        if (example.negated !== negated) continue;
+        const score = similarity(tokens, example.tokens);
+        if (!best || score > best.confidence) {
+          best = { answer: entry.answer, source: "bank", confidence: score };
+        }
+      }
+    }
+    return best && best.confidence >= MIN_BANK_SIMILARITY ? best : null;
+  }
+
+  /**
+   * Finds a confident answer for one question.
+   * @param {{label: string, type: string, options: string[], required: boolean}} question
+   * @returns {Promise<{value: string|null, optionIndexes?: number[], source?: string,
+   *   confidence?: number, reason?: string}>} value is null when there is no confident answer.
+   */
+  async answer(question) {
+    for (const candidate of [
+      this.experienceAnswer(question.label),
+      this.bankAnswer(question.label),
+    ]) {
+      if (!candidate) continue;
+      const fitted = fitAnswer(candidate.answer, question);
+      if (fitted) {
+        return {
+          ...fitted,
+          source: candidate.source,
+          confidence: candidate.confidence,
+        };
+      }
+    }
+
+    // The LLM is only asked for questions that would otherwise block the application
+    if (!question.required || !this.llm || !this.llm.isActive || !this.cvText) {
+      return { value: null, reason: "Not in the answer bank" };
+    }
+    const reply = await this.llm.answerScreeningQuestion({
+      question: question.label,
+      type: question.type,
+      options: question.options,
+      cvText: this.cvText,
+    });
+    if (!reply) return { value: null, reason: "No LLM answer" };
+    if (reply.confidence < MIN_LLM_CONFIDENCE) {
+      return {
+        value: null,
+        reason: `LLM not confident (${reply.confidence}% for "${reply.answer}")`,
+      };
+    }
+    const fitted = fitAnswer(reply.answer, question);
+    if (!fitted) {
+      return {
+        value: null,
+        reason: `LLM answer "${reply.answer}" fits no option`,
+      };
+    }
+    return { ...fitted, source: "llm", confidence: reply.confidence };
+  }
+
+  /**
+   * Answers the questions of one wizard step. Pass it to applyToJob as `fillStep`.
+   * @param {import('@playwright/test').Page} page
+   * @param {{index: number, name: string}} step
+   * @param {{jobTitle?: string, companyName?: string}} [job] - Recorded with unanswered questions.
+   * @returns {Promise<{answered: number, unanswered: string[], stop?: string}>} `stop` is set when
+   *   a required question has no confident answer.
+   */
+  async fillStep(page, step, job = {}) {
+    const questions = await collectQuestions(page, SCOPE_SELECTORS);
+    const unanswered = [];
+    let answered = 0;
+    for (const question of questions) {
+      const record = {
+        jobUrl: page.url(),
+        jobTitle: job.jobTitle || "",
+        companyName: job.companyName || "",
+        step: step.name,
+        question: question.label,
+        type: question.type,
+        options: question.options,
+        required: question.required,
+      };
+      if (question.answered) {
+        this.log({ ...record, status: "prefilled" });
+        continue;
+      }
+
+      const result = await this.answer(question);
+      if (result.value !== null) {
+        try {
+          await applyAnswer(page, question, result);
+          answered++;
+          console.log(
+            `💬 "${question.label}" -> "${result.value}" (${result.source}, ${result.confidence}%)`
+          );
+          this.log({
+            ...record,
+            status: "answered",
+            answer: result.value,
+            source: result.source,
+            confidence: result.confidence,
+          });
+          continue;
+        } catch (error) {
+          result.reason = `Could not fill in "${result.value}": ${error.message}`;
+        }
+      }
+
+      console.log(`❓ No answer for "${question.label}" (${result.reason})`);
+      this.recordUnanswered({ ...record, reason: result.reason });
+      if (question.required) unanswered.push(question.label);
+    }
+
+    if (unanswered.length > 0) {
+      return {
+        answered,
+        unanswered,
+        stop: `No confident answer for required question(s): ${unanswered.join(
+          ", "
+        )}`,
+      };
+    }
+    return { answered, unanswered };
+  }
+
+  recordUnanswered(record) {
+    this.unansweredCount++;
+    this.log({ ...record, status: "unanswered" });
+    this.unanswered.add(record);
+    if (this.onUnanswered) {
+      try {
+        this.onUnanswered(record);
+      } catch (error) {
+        console.error(
+          `❌ Error recording unanswered question: ${error.message}`
+        );
+      }
+    }
+  }
+
+  log(record) {
+    try {
+      const dir = path.dirname(this.logPath);
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+      fs.appendFileSync(
+        this.logPath,
+        `${JSON.stringify({
+          timestamp: new Date().toISOString(),
+          ...record,
+        })}\n`,
+        "utf-8"
+      );
+    } catch (error) {
+      console.error(`❌ Error writing screening log: ${error.message}`);
+    }
+  }
+}
+
+module.exports = {
+  ScreeningAnswerer,
+  loadAnswerBank,
+  mergeIntoAnswerBank,
+  fitAnswer,
+  matchOption,
+  DEFAULT_SCREENING_LOG_PATH,
+};
@@ -0,0 +1,156 @@
+// Unanswered Screening Questions
+// Every screening question the bot could not answer is collected in
+// Logs/unanswered_questions.json, one entry per distinct question (same wording, field type and
+// options) with the jobs it was seen on. `npm run answer-questions` asks for the missing answers
+// once and merges them into the answer bank, so the next run can get past those steps.
+// Runs and the CLI may overlap, so every change re-reads the file before writing it.
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_UNANSWERED_PATH = path.join(
+  __dirname,
+  "..",
+  "Logs",
+  "unanswered_questions.json"
+);
+
+// Jobs kept per question; the count keeps growing
+const MAX_JOBS_PER_QUESTION = 20;
+
+const collapse = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9+#]+/g, " ")
+    .trim();
+
+// Same question text, field type and options -> same entry
+const questionKey = ({ question, type, options = [] }) =>
+  [collapse(question), type, options.map(collapse).join("|")].join("::");
+
+class UnansweredQuestions {
+  constructor(filepath = DEFAULT_UNANSWERED_PATH) {
+    this.filepath = filepath;
+    this.entries = new Map(); // question key -> entry
+  }
+
+  load() {
+    this.entries.clear();
+    if (fs.existsSync(this.filepath)) {
+      try {
+        const data = JSON.parse(fs.readFileSync(this.filepath, "utf-8"));
+        for (const entry of data.questions || []) {
+          if (entry.key) this.entries.set(entry.key, entry);
+        }
+      } catch (error) {
+        console.warn(
+          `⚠️ Could not read unanswered questions: ${error.message}`
+        );
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Records a question the bot could not answer.
+   * @param {object} record - { question, type, options, required, jobUrl, jobTitle, companyName,
+   *   step, reason }
+   * @returns {object} The stored entry.
+   */
+  add({
+    question,
+    type,
+    options = [],
+    required = false,
+    jobUrl = "",
+    jobTitle = "",
+    companyName = "",
+    step = "",
+    reason = "",
+  }) {
+    this.load();
+    const key = questionKey({ question, type, options });
+    const now = new Date().toISOString();
+    let entry = this.entries.get(key);
+    if (!entry) {
+      entry = {
+        key,
+        question,
+        type,
+        options,
+        required,
+        answer: "", // Filled in by `npm run answer-questions` or by hand
+        count: 0,
+        firstSeenAt: now,
+        lastSeenAt: now,
+        lastReason: "",
+        jobs: [],
+      };
+      this.entries.set(key, entry);
+    }
+    entry.count++;
+    entry.required = entry.required || required;
+    entry.lastSeenAt = now;
+    entry.lastReason = reason;
+    if (!entry.jobs.some((job) => job.jobUrl === jobUrl)) {
+      entry.jobs.push({ jobUrl, jobTitle, companyName, step, seenAt: now });
+      entry.jobs = entry.jobs.slice(-MAX_JOBS_PER_QUESTION);
+    }
+    this.save();
+    return entry;
+  }
+
+  /**
+   * @returns {object[]} Most frequent first.
+   */
+  list() {
+    return [...this.entries.values()].sort(
+      (a, b) => b.count - a.count || a.firstSeenAt.localeCompare(b.firstSeenAt)
+    );
+  }
+
+  /**
+   * Stores an answer without merging it yet.
+   * @param {string} key
+   * @param {string} answer
+   */
+  setAnswer(key, answer) {
+    this.load();
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    entry.answer = answer;
+    this.save();
+  }
+
+  /**
+   * Drops questions whose answers were merged into the answer bank.
+   * @param {string[]} keys
+   */
+  remove(keys) {
+    this.load();
+    let removed = 0;
+    for (const key of keys) {
+      if (this.entries.delete(key)) removed++;
+    }
+    if (removed > 0) this.save();
+    return removed;
+  }
+
+  save() {
+    try {
+      const dir = path.dirname(this.filepath);
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+      // Write to a temp file first so a crash mid-write never leaves a truncated file
+      const tmpPath = `${this.filepath}.tmp`;
+      fs.writeFileSync(
+        tmpPath,
+        JSON.stringify({ version: 1, questions: this.list() }, null, 2),
+        "utf-8"
+      );
+      fs.renameSync(tmpPath, this.filepath);
+    } catch (error) {
+      console.error(`❌ Error saving unanswered questions: ${error.message}`);
+    }
+  }
+}
+
+module.exports = { UnansweredQuestions, DEFAULT_UNANSWERED_PATH };
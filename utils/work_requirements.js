@@ -0,0 +1,379 @@
+// Work Requirements
+// Reads the eligibility terms a posting states in its description: visa sponsorship ("No
+// sponsorship", "No H1B"), accepted work authorizations ("USC/GC only", "must be a US citizen"),
+// security clearance ("Active Secret clearance required", "TS/SCI") and tax terms ("W2 only",
+// "No C2C"). Deterministic patterns run sentence by sentence; the LLM can confirm a finding before
+// a job is skipped for it (LlmClient.confirmWorkRequirements). checkEligibility matches the result
+// against the candidate profile from dice.config.json and names the requirement the candidate
+// does not meet. Requirements a posting does not state are never judged.
+
+const AUTHORIZATIONS = ["citizen", "green-card", "ead", "visa"];
+const AUTHORIZATION_LABELS = {
+  citizen: "USC",
+  "green-card": "GC",
+  ead: "EAD",
+  visa: "Visa holders",
+};
+
+// In order of rank: a candidate's clearance covers every level below it
+const CLEARANCES = ["none", "public-trust", "secret", "top-secret", "ts-sci"];
+const CLEARANCE_LABELS = {
+  any: "Security", // "Security clearance required", no level named
+  "public-trust": "Public Trust",
+  secret: "Secret",
+  "top-secret": "Top Secret",
+  "ts-sci": "TS/SCI",
+};
+const clearanceRank = (level) =>
+  level === "any" ? 1 : Math.max(0, CLEARANCES.indexOf(level));
+
+const TAX_TERMS = ["W2", "C2C", "1099"];
+
+// Columns the requirements add to the log (with the metadata fields of utils/job_metadata.js)
+const WORK_REQUIREMENT_FIELDS = [
+  "sponsorship",
+  "workAuthorization",
+  "clearance",
+  "taxTerms",
+];
+
+// --- Patterns (run on lowercased sentences) ---
+
+const STATUS =
+  "(?:u\\.?s\\.? citizens?(?:hip)?|usc|citizens?(?:hip)?|green ?cards?(?: holders?)?|" +
+  "(?:gc|h4|l2)[- ]?ead|gc|permanent residents?|ead|h-?1b|tn|opt|cpt)";
+const LIST_SEPARATOR = "\\s*(?:/|,|\\bor\\b|\\band\\b|&)\\s*";
+const STATUS_LIST = `${STATUS}(?:${LIST_SEPARATOR}${STATUS})*`;
+const AUTHORIZATION_PATTERNS = [
+  // "USC/GC only", "US citizenship required", "GC holders only"
+  new RegExp(
+    `\\b(${STATUS_LIST})\\s*(?:candidates\\s*)?(?:only|required|is required|are required)\\b`
+  ),
+  // "must be a US citizen", "only USC or GC", "open to USC/GC/EAD"
+  new RegExp(
+    `\\b(?:only|must be(?: an?)?|must hold|open to|requires?|accepting)\\s+(${STATUS_LIST})\\b`
+  ),
+];
+const STATUS_TESTS = {
+  citizen: /citizen|\busc\b/,
+  "green-card": /green ?card|\bgc\b(?![- ]?ead)|permanent resident/,
+  ead: /ead\b/,
+  visa: /h-?1b|\btn\b|\bopt\b|\bcpt\b/,
+};
+
+const SPONSORSHIP_DENIED = [
+  /\b(?:no|not|unable to|cannot|can ?not|can't|won't|will not|do not|does not|don't|without)\b[^.]{0,40}\b(?:sponsor|sponsorship|sponsoring)\b/,
+  /\bno\s+(?:h-?1b|visa|opt|cpt|tn)s?\b/,
+];
+const SPONSORSHIP_OFFERED =
+  /\b(?:sponsorship (?:is )?(?:available|offered|provided)|(?:will|can|willing to) sponsor|visa sponsorship for)\b/;
+
+const CLEARANCE_PATTERNS = [
+  ["ts-sci", /\bts\s*\/\s*sci\b|\bts-sci\b|\btop secret\s*\/\s*sci\b/],
+  ["top-secret", /\btop secret\b|\bts clearance\b/],
+  ["secret", /\bsecret\b/],
+  ["public-trust", /\bpublic trust\b/],
+  ["any", /\b(?:security )?clearance\b/],
+];
+// A level named without "clearance" nearby ("trade secret") is not a clearance
+const CLEARANCE_CONTEXT =
+  /\bclearance\b|\bcleared\b|\bts\s*\/\s*sci\b|\bpublic trust\b|\bactive (?:top )?secret\b/;
+const CLEARANCE_WAIVED =
+  /\b(?:no|not|without|n't)\b[^.]{0,30}\bclearance\b|\bclearance\b[^.]{0,20}\bnot (?:required|needed|necessary)\b/;
+const CLEARANCE_OBTAINABLE =
+  /\b(?:obtain|obtaining|eligible|eligibility|able to get|ability to get)\b/;
+
+const TAX_TERM = "(?:w-?2|c2c|corp[- ]to[- ]corp|corp2corp|1099)";
+const TAX_TERM_LIST = `${TAX_TERM}(?:${LIST_SEPARATOR}${TAX_TERM})*`;
+// A comma ends the excluded list: in "No C2C, W2 only" the W2 belongs to the next clause
+const EXCLUDED_TAX_TERM_LIST = `${TAX_TERM}(?:\\s*(?:/|\\bor\\b|&)\\s*${TAX_TERM})*`;
+const TAX_EXCLUDED = new RegExp(
+  `\\b(?:no|not|without|cannot|can't|do not|don't)\\b[^.,;]{0,20}?\\b(${EXCLUDED_TAX_TERM_LIST})\\b`
+);
+const TAX_REQUIRED = [
+  new RegExp(`\\b(${TAX_TERM_LIST})\\s*(?:only|required)\\b`),
+  new RegExp(`\\b(?:only|must be(?: on)?|strictly)\\s+(${TAX_TERM_LIST})\\b`),
+];
+const taxTermsIn = (text) =>
+  [
+    /\bw-?2\b/.test(text) ? "W2" : "",
+    /\bc2c\b|corp[- ]to[- ]corp|corp2corp/.test(text) ? "C2C" : "",
+    /\b1099\b/.test(text) ? "1099" : "",
+  ].filter(Boolean);
+
+const unique = (list) => [...new Set(list)];
+
+// Sentences (and bullet points) of a description, keeping their original text for evidence
+function splitSentences(description) {
+  return String(description || "")
+    .split(/(?<=[.!?])\s+|\n+|\s*[•·▪]\s*|;\s+/)
+    .map((sentence) => sentence.replace(/\s+/g, " ").trim())
+    .filter(Boolean);
+}
+
+const quote = (sentence) =>
+  sentence.length > 90 ? `${sentence.slice(0, 87)}...` : sentence;
+
+/**
+ * Requirements nobody stated; the base for detection and for LLM answers.
+ * @returns {object}
+ */
+const emptyRequirements = () => ({
+  sponsorship: null, // "not-offered" | "offered" | null
+  authorization: [], // Accepted work authorizations (AUTHORIZATIONS), empty when not restricted
+  clearance: null, // CLEARANCE_LABELS key | null
+  clearanceActive: false, // false when the candidate only has to be able to obtain it
+  taxTerms: { required: [], excluded: [] }, // TAX_TERMS
+  evidence: {}, // Requirement -> the sentence it was read from
+  source: "patterns",
+});
+
+/**
+ * Detects the work requirements a job description states.
+ * @param {string} description
+ * @returns {object} See emptyRequirements.
+ */
+function detectWorkRequirements(description) {
+  const requirements = emptyRequirements();
+  const { evidence } = requirements;
+
+  for (const sentence of splitSentences(description)) {
+    const text = sentence.toLowerCase();
+
+    if (SPONSORSHIP_DENIED.some((pattern) => pattern.test(text))) {
+      if (requirements.sponsorship !== "not-offered") {
+        requirements.sponsorship = "not-offered";
+        evidence.sponsorship = quote(sentence);
+      }
+    } else if (!requirements.sponsorship && SPONSORSHIP_OFFERED.test(text)) {
+      requirements.sponsorship = "offered";
+      evidence.sponsorship = quote(sentence);
+    }
+
+    for (const pattern of AUTHORIZATION_PATTERNS) {
+      const match = text.match(pattern);
+      if (!match) continue;
+      const statuses = AUTHORIZATIONS.filter((status) =>
+        STATUS_TESTS[status].test(match[1])
+      );
+      if (statuses.length === 0) continue;
+      requirements.authorization = unique([
+        ...requirements.authorization,
+        ...statuses,
+      ]);
+      evidence.workAuthorization =
+        evidence.workAuthorization || quote(sentence);
+      break;
+    }
+
+    if (CLEARANCE_CONTEXT.test(text) && !CLEARANCE_WAIVED.test(text)) {
+      const found = CLEARANCE_PATTERNS.find(([, pattern]) =>
+        pattern.test(text)
+      );
+      const active = !CLEARANCE_OBTAINABLE.test(text);
+      const current = requirements.clearance;
+      // Keep the highest level; an active requirement beats an obtainable one
+      if (
+        found &&
+        (!current ||
+          (active && !requirements.clearanceActive) ||
+          (active === requirements.clearanceActive &&
+            clearanceRank(found[0]) > clearanceRank(current)))
+      ) {
+        requirements.clearance = found[0];
+        requirements.clearanceActive = active;
+        evidence.clearance = quote(sentence);
+      }
+    }
+
+    const excludedMatch = text.match(TAX_EXCLUDED);
+    const excluded = excludedMatch ? taxTermsIn(excludedMatch[1]) : [];
+    // "No C2C, W2 only": the excluded terms are not part of the required list
+    const rest = excludedMatch ? text.replace(excludedMatch[0], " ; ") : text;
+    const requiredMatch = TAX_REQUIRED.map((pattern) =>
+      rest.match(pattern)
+    ).find(Boolean);
+    const required = requiredMatch ? taxTermsIn(requiredMatch[1]) : [];
+    if (required.length || excluded.length) {
+      requirements.taxTerms.required = unique([
+        ...requirements.taxTerms.required,
+        ...required,
+      ]);
+      requirements.taxTerms.excluded = unique([
+        ...requirements.taxTerms.excluded,
+        ...excluded,
+      ]);
+      evidence.taxTerms = evidence.taxTerms || quote(sentence);
+    }
+  }
+  return requirements;
+}
+
+/**
+ * Cleans requirements from an untrusted source (an LLM answer) into the detectWorkRequirements
+ * shape; unknown values are dropped.
+ * @param {object} raw
+ * @returns {object}
+ */
+function normalizeRequirements(raw) {
+  const requirements = emptyRequirements();
+  if (!raw || typeof raw !== "object") return requirements;
+  const list = (value, allowed) =>
+    Array.isArray(value)
+      ? unique(
+          value
+            .map((item) =>
+              allowed.find(
+                (option) =>
+                  option.toLowerCase() === String(item).trim().toLowerCase()
+              )
+            )
+            .filter(Boolean)
+        )
+      : [];
+  if (["not-offered", "offered"].includes(raw.sponsorship)) {
+    requirements.sponsorship = raw.sponsorship;
+  }
+  requirements.authorization = list(raw.authorization, AUTHORIZATIONS);
+  if (Object.keys(CLEARANCE_LABELS).includes(raw.clearance)) {
+    requirements.clearance = raw.clearance;
+    requirements.clearanceActive = raw.clearanceActive !== false;
+  }
+  const taxTerms = raw.taxTerms || {};
+  requirements.taxTerms = {
+    required: list(taxTerms.required, TAX_TERMS),
+    excluded: list(taxTerms.excluded, TAX_TERMS),
+  };
+  return requirements;
+}
+
+/**
+ * Log columns for the requirements, e.g. {sponsorship: "No sponsorship", workAuthorization:
+ * "USC/GC only", clearance: "Secret clearance", taxTerms: "W2 only, no C2C"}.
+ * @param {object} requirements
+ * @returns {object} One string per WORK_REQUIREMENT_FIELDS entry ("" when not stated).
+ */
+function describeRequirements(requirements) {
+  const { sponsorship, authorization, clearance, clearanceActive, taxTerms } =
+    requirements;
+  return {
+    sponsorship:
+      sponsorship === "not-offered"
+        ? "No sponsorship"
+        : sponsorship === "offered"
+        ? "Sponsorship offered"
+        : "",
+    workAuthorization: authorization.length
+      ? `${authorization
+          .map((status) => AUTHORIZATION_LABELS[status])
+          .join("/")} only`
+      : "",
+    clearance: clearance
+      ? `${CLEARANCE_LABELS[clearance]} clearance${
+          clearanceActive ? "" : " (obtainable)"
+        }`
+      : "",
+    taxTerms: [
+      taxTerms.required.length ? `${taxTerms.required.join("/")} only` : "",
+      taxTerms.excluded.length ? `no ${taxTerms.excluded.join("/")}` : "",
+    ]
+      .filter(Boolean)
+      .join(", "),
+  };
+}
+
+/**
+ * The candidate profile from the run configuration.
+ * @param {object} config
+ * @returns {{workAuthorization: string|null, needsSponsorship: boolean, securityClearance: string,
+ *   acceptedTaxTerms: string[]}}
+ */
+const candidateProfileFromConfig = (config) => ({
+  workAuthorization: config.workAuthorization || null,
+  needsSponsorship: config.needsSponsorship === true,
+  securityClearance: config.securityClearance || "none",
+  acceptedTaxTerms: config.acceptedTaxTerms || [],
+});
+
+/**
+ * Matches requirements against the candidate; profile fields left unset are not judged.
+ * @param {object} requirements - From detectWorkRequirements.
+ * @param {object} profile - From candidateProfileFromConfig.
+ * @returns {{requirement: string, reason: string}|null} The first requirement the candidate does
+ *   not meet (requirement is a WORK_REQUIREMENT_FIELDS entry), or null.
+ */
+function checkEligibility(requirements, profile) {
+  const described = describeRequirements(requirements);
+  const { evidence } = requirements;
+  const because = (field) => (evidence[field] ? ` ("${evidence[field]}")` : "");
+
+  if (requirements.sponsorship === "not-offered" && profile.needsSponsorship) {
+    return {
+      requirement: "sponsorship",
+      reason: `no sponsorship${because("sponsorship")}`,
+    };
+  }
+
+  const authorization = requirements.authorization;
+  if (
+    authorization.length > 0 &&
+    profile.workAuthorization &&
+    profile.workAuthorization !== "citizen" &&
+    !authorization.includes(profile.workAuthorization)
+  ) {
+    return {
+      requirement: "workAuthorization",
+      reason: `${described.workAuthorization}, candidate is ${
+        AUTHORIZATION_LABELS[profile.workAuthorization]
+      }`,
+    };
+  }
+
+  if (
+    requirements.clearance &&
+    requirements.clearanceActive &&
+    clearanceRank(profile.securityClearance) <
+      clearanceRank(requirements.clearance)
+  ) {
+    const held =
+      profile.securityClearance === "none"
+        ? "none"
+        : CLEARANCE_LABELS[profile.securityClearance];
+    return {
+      requirement: "clearance",
+      reason: `${described.clearance} required, candidate has ${held}`,
+    };
+  }
+
+  const accepted = profile.acceptedTaxTerms;
+  const { required, excluded } = requirements.taxTerms;
+  if (accepted.length > 0) {
+    const usable = accepted.filter(
+      (term) =>
+        !excluded.includes(term) &&
+        (required.length === 0 || required.includes(term))
+    );
+    if (usable.length === 0 && (required.length || excluded.length)) {
+      return {
+        requirement: "taxTerms",
+        reason: `${described.taxTerms}, candidate accepts ${accepted.join(
+          "/"
+        )}`,
+      };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  detectWorkRequirements,
+  normalizeRequirements,
+  describeRequirements,
+  checkEligibility,
+  candidateProfileFromConfig,
+  emptyRequirements,
+  WORK_REQUIREMENT_FIELDS,
+  AUTHORIZATIONS,
+  CLEARANCES,
+  TAX_TERMS,
+};